@@ -0,0 +1,686 @@
+// background.js — IndexedDB highlight store (service worker)
+//
+// Owns the "jumpreturn" database. Content scripts never open it directly;
+// storage.js forwards each call as a { type: "jr-db", op, args } message and
+// the matching handler in DB_OPS runs it inside a single IDB transaction.
+// Living in the extension origin means the data is shared between
+// chatgpt.com and chat.openai.com and is not readable by the page.
+//
+// Object store "highlights" (keyPath "id") holds the same per-version records
+// storage.js always used, with indexes on conversationId, quoteId and parentId.
+// Object store "images" (v3) holds local copies of response images; see
+// src/image-store.js.
+// conversationId is the id parsed from the /c/<id> URL (see conversation-id.js),
+// so query strings, /g/<gpt>/ prefixes and the old hostname all map to one key.
+//
+// early-hide.js runs at document_start and can't wait for this worker to spin
+// up, so every write also refreshes a small { conversationId: [turnRef, ...] }
+// map in chrome.storage.local (HIDDEN_TURNS_KEY) that it can read directly.
+// A turnRef is the turn's data-message-id when known, else its turn number.
+
+importScripts("src/conversation-id.js", "src/backup.js", "src/image-store.js", "src/custom-hosts.js",
+  "src/api-client.js", "src/side-conversation-relay.js");
+
+const DB_NAME = "jumpreturn";
+const DB_VERSION = 3;
+const HL_STORE = "highlights";
+const LEGACY_STORAGE_KEY = "jumpreturn_highlights";
+const HIDDEN_TURNS_KEY = "jumpreturn_hidden_turns";
+const DELETED_TURNS_KEY = "jumpreturn_deleted_turns";
+const DELETED_QUOTES_KEY = "jumpreturn_deleted_quotes";
+const DELETED_QUOTES_MAX = 5000;
+
+var dbPromise = null;
+
+/** Wrap an IDBRequest in a promise. */
+function idbRequest(req) {
+  return new Promise(function (resolve, reject) {
+    req.onsuccess = function () { resolve(req.result); };
+    req.onerror = function () { reject(req.error); };
+  });
+}
+
+/** Resolve when a transaction commits, reject if it errors or aborts. */
+function idbDone(tx) {
+  return new Promise(function (resolve, reject) {
+    tx.oncomplete = function () { resolve(); };
+    tx.onerror = function () { reject(tx.error); };
+    tx.onabort = function () { reject(tx.error || new Error("transaction aborted")); };
+  });
+}
+
+/**
+ * Migrate old storage format to new quoteId-based format.
+ * - Records without quoteId: set quoteId = id, active = true
+ * - Records with versions array: expand into separate records
+ */
+function migrateToQuoteIdFormat(highlights) {
+  var migrated = [];
+  for (var i = 0; i < highlights.length; i++) {
+    var h = highlights[i];
+    if (h.quoteId) {
+      migrated.push(h);
+      continue;
+    }
+
+    if (h.versions && h.versions.length > 0) {
+      var activeIdx = h.activeVersion != null ? h.activeVersion : h.versions.length - 1;
+      for (var vi = 0; vi < h.versions.length; vi++) {
+        var v = h.versions[vi];
+        migrated.push({
+          id: h.id + "-v" + vi,
+          quoteId: h.id,
+          text: h.text,
+          sentence: h.sentence || null,
+          blockTypes: h.blockTypes || null,
+          question: v.question || null,
+          responseHTML: v.responseHTML || null,
+          color: h.color || null,
+          url: h.url,
+          site: h.site,
+          parentId: h.parentId || null,
+          sourceTurnIndex: h.sourceTurnIndex,
+          questionIndex: v.questionIndex != null ? v.questionIndex : h.questionIndex,
+          responseIndex: v.responseIndex != null ? v.responseIndex : h.responseIndex,
+          createdAt: h.createdAt,
+          active: (vi === activeIdx),
+        });
+      }
+    } else {
+      h.quoteId = h.id;
+      h.active = true;
+      delete h.versions;
+      delete h.activeVersion;
+      migrated.push(h);
+    }
+  }
+  return migrated;
+}
+
+/**
+ * Conversation key for a record saved before keys existed. Pages without a
+ * /c/<id> keep their full URL so they stay separate from real conversations.
+ */
+function conversationKeyForLegacyUrl(url) {
+  return conversationIdFromUrl(url) || ("url:" + url);
+}
+
+/**
+ * Collect the Q&A turns a set of records keeps hidden. A turn is listed by its
+ * message id when known (early-hide matches it with :has()), and only falls
+ * back to its turn number otherwise — a stale number would hide the wrong turn.
+ */
+function hiddenTurnsOf(records) {
+  var seen = {};
+  var out = [];
+  for (var i = 0; i < records.length; i++) {
+    var r = records[i];
+    if (r.unfolded) continue; // shown in the main thread
+    var refs = [r.questionMessageId || r.questionIndex, r.responseMessageId || r.responseIndex];
+    for (var j = 0; j < refs.length; j++) {
+      var ref = refs[j];
+      var valid = typeof ref === "string" ? ref.length > 0 : ref > 0;
+      if (valid && !seen[ref]) {
+        seen[ref] = true;
+        out.push(ref);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * One-time move of the legacy chrome.storage.local array into IndexedDB.
+ * The legacy key is only removed after the records have committed, so an
+ * interrupted run simply repeats on the next open (puts are idempotent by id).
+ */
+async function migrateLegacyArray(db) {
+  var result = await chrome.storage.local.get(LEGACY_STORAGE_KEY);
+  var legacy = result[LEGACY_STORAGE_KEY];
+  if (!legacy) return;
+
+  var records = mergeHostDuplicates(migrateToQuoteIdFormat(legacy).filter(function (r) {
+    return r && r.id;
+  }));
+  var tx = db.transaction(HL_STORE, "readwrite");
+  var store = tx.objectStore(HL_STORE);
+  for (var i = 0; i < records.length; i++) store.put(records[i]);
+  await idbDone(tx);
+
+  await rebuildHiddenTurns(db);
+  await chrome.storage.local.remove(LEGACY_STORAGE_KEY);
+}
+
+/**
+ * Give URL-keyed records a conversationId and fold together records that the
+ * chat.openai.com → chatgpt.com move duplicated: two records of one
+ * conversation pointing at the same question + response turns are the same
+ * exchange. The newest is kept, and children of a dropped quoteId are
+ * re-parented onto the survivor.
+ * @param {object[]} records - Mutated in place where needed
+ * @returns {object[]} Records to keep
+ */
+function mergeHostDuplicates(records) {
+  var byExchange = {};
+  var dropped = {};      // dropped item id → surviving record
+  for (var i = 0; i < records.length; i++) {
+    var r = records[i];
+    if (!r.conversationId) r.conversationId = conversationKeyForLegacyUrl(r.url);
+    if (!(r.questionIndex > 0 && r.responseIndex > 0)) continue;
+    var key = r.conversationId + "|" + r.questionIndex + "|" + r.responseIndex;
+    var prev = byExchange[key];
+    if (!prev) { byExchange[key] = r; continue; }
+    if (hostOf(prev.url) === hostOf(r.url)) continue;
+    var keep = (r.createdAt || 0) >= (prev.createdAt || 0) ? r : prev;
+    var drop = keep === r ? prev : r;
+    byExchange[key] = keep;
+    dropped[drop.id] = keep;
+  }
+
+  var kept = records.filter(function (r) { return !dropped[r.id]; });
+  var liveQuoteIds = {};
+  for (var k = 0; k < kept.length; k++) liveQuoteIds[kept[k].quoteId] = true;
+  var survivorOfQuote = {};
+  Object.keys(dropped).forEach(function (id) {
+    var drop = records.find(function (r) { return r.id === id; });
+    if (!liveQuoteIds[drop.quoteId]) survivorOfQuote[drop.quoteId] = dropped[id];
+  });
+  for (var c = 0; c < kept.length; c++) {
+    var child = kept[c];
+    if (child.parentItemId && dropped[child.parentItemId]) {
+      child.parentItemId = dropped[child.parentItemId].id;
+    }
+    if (child.parentId && survivorOfQuote[child.parentId]) {
+      child.parentId = survivorOfQuote[child.parentId].quoteId;
+    }
+  }
+  return kept;
+}
+
+function hostOf(url) {
+  try { return new URL(url).host; } catch (e) { return ""; }
+}
+
+/**
+ * v1 → v2: replace the url index with conversationId and rewrite every record
+ * (inside the versionchange transaction, so a crash leaves v1 untouched).
+ */
+function upgradeToConversationKeys(store) {
+  if (store.indexNames.contains("url")) store.deleteIndex("url");
+  store.createIndex("conversationId", "conversationId", { unique: false });
+  var req = store.getAll();
+  req.onsuccess = function () {
+    var all = req.result;
+    var kept = mergeHostDuplicates(all);
+    var keptIds = {};
+    for (var i = 0; i < kept.length; i++) {
+      keptIds[kept[i].id] = true;
+      store.put(kept[i]);
+    }
+    for (var j = 0; j < all.length; j++) {
+      if (!keptIds[all[j].id]) store.delete(all[j].id);
+    }
+  };
+}
+
+/**
+ * Make sure both turn maps in chrome.storage.local are keyed by conversation.
+ * Deleted-turn lists saved under full URLs are merged per conversation, and the
+ * hidden-turn map is rebuilt from the store. No-op once everything is rekeyed.
+ */
+async function normalizeTurnMaps(db) {
+  var result = await chrome.storage.local.get([DELETED_TURNS_KEY, HIDDEN_TURNS_KEY]);
+  var deleted = result[DELETED_TURNS_KEY] || {};
+  var hidden = result[HIDDEN_TURNS_KEY] || {};
+  var isUrlKey = function (k) { return /^https?:/.test(k); };
+  var deletedKeys = Object.keys(deleted);
+  if (deletedKeys.some(isUrlKey)) {
+    var merged = {};
+    for (var i = 0; i < deletedKeys.length; i++) {
+      var k = isUrlKey(deletedKeys[i]) ? conversationKeyForLegacyUrl(deletedKeys[i]) : deletedKeys[i];
+      if (!merged[k]) merged[k] = [];
+      for (var j = 0; j < deleted[deletedKeys[i]].length; j++) {
+        var idx = deleted[deletedKeys[i]][j];
+        if (merged[k].indexOf(idx) === -1) merged[k].push(idx);
+      }
+    }
+    await chrome.storage.local.set({ [DELETED_TURNS_KEY]: merged });
+  }
+  if (Object.keys(hidden).some(isUrlKey)) await rebuildHiddenTurns(db);
+}
+
+/** Open (and on first use, create + migrate) the database. Cached per worker lifetime. */
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise(function (resolve, reject) {
+    var req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = function (e) {
+      var db = req.result;
+      if (!db.objectStoreNames.contains(HL_STORE)) {
+        var store = db.createObjectStore(HL_STORE, { keyPath: "id" });
+        store.createIndex("conversationId", "conversationId", { unique: false });
+        store.createIndex("quoteId", "quoteId", { unique: false });
+        store.createIndex("parentId", "parentId", { unique: false });
+      } else if (e.oldVersion < 2) {
+        upgradeToConversationKeys(req.transaction.objectStore(HL_STORE));
+      }
+      if (!db.objectStoreNames.contains(IMAGE_STORE)) createImageStore(db);
+    };
+    req.onsuccess = function () { resolve(req.result); };
+    req.onerror = function () { reject(req.error); };
+  }).then(function (db) {
+    return migrateLegacyArray(db)
+      .then(function () { return normalizeTurnMaps(db); })
+      .then(function () { return db; });
+  });
+  dbPromise.catch(function () { dbPromise = null; });
+  return dbPromise;
+}
+
+/**
+ * Recompute the hidden-turn map entries for the given conversations. Index
+ * writes are chained so two overlapping refreshes can't drop each other's entries.
+ */
+var hiddenIndexChain = Promise.resolve();
+function refreshHiddenTurns(db, keys) {
+  var unique = keys.filter(function (k, i) { return k && keys.indexOf(k) === i; });
+  if (unique.length === 0) return Promise.resolve();
+  hiddenIndexChain = hiddenIndexChain.then(async function () {
+    var tx = db.transaction(HL_STORE, "readonly");
+    var idx = tx.objectStore(HL_STORE).index("conversationId");
+    var perKey = await Promise.all(unique.map(function (k) { return idbRequest(idx.getAll(k)); }));
+    var result = await chrome.storage.local.get(HIDDEN_TURNS_KEY);
+    var index = result[HIDDEN_TURNS_KEY] || {};
+    for (var i = 0; i < unique.length; i++) {
+      var turns = hiddenTurnsOf(perKey[i]);
+      if (turns.length > 0) index[unique[i]] = turns;
+      else delete index[unique[i]];
+    }
+    await chrome.storage.local.set({ [HIDDEN_TURNS_KEY]: index });
+  }).catch(function (e) {
+    console.warn("[JR db] hidden-turn index refresh failed:", e);
+  });
+  return hiddenIndexChain;
+}
+
+/** Rebuild the whole hidden-turn map from the store (after migrations). */
+async function rebuildHiddenTurns(db) {
+  var tx = db.transaction(HL_STORE, "readonly");
+  var all = await idbRequest(tx.objectStore(HL_STORE).getAll());
+  var byKey = {};
+  for (var i = 0; i < all.length; i++) {
+    var k = all[i].conversationId;
+    if (!k) continue;
+    if (!byKey[k]) byKey[k] = [];
+    byKey[k].push(all[i]);
+  }
+  var index = {};
+  Object.keys(byKey).forEach(function (k) {
+    var turns = hiddenTurnsOf(byKey[k]);
+    if (turns.length > 0) index[k] = turns;
+  });
+  await chrome.storage.local.set({ [HIDDEN_TURNS_KEY]: index });
+}
+
+/** Gather every quoteId under (and including) a root quoteId via the parentId index. */
+async function collectSubtree(parentIdx, rootQuoteId) {
+  var quoteIds = new Set([rootQuoteId]);
+  var frontier = [rootQuoteId];
+  while (frontier.length > 0) {
+    var next = [];
+    var children = await Promise.all(frontier.map(function (q) { return idbRequest(parentIdx.getAll(q)); }));
+    for (var i = 0; i < children.length; i++) {
+      for (var j = 0; j < children[i].length; j++) {
+        var cq = children[i][j].quoteId;
+        if (!quoteIds.has(cq)) {
+          quoteIds.add(cq);
+          next.push(cq);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return quoteIds;
+}
+
+/**
+ * Remember deleted quoteIds, so marker recovery (src/recovery.js) doesn't
+ * rebuild popups from turns the user deleted them from. Oldest go first.
+ */
+async function addDeletedQuotes(quoteIds) {
+  var result = await chrome.storage.local.get(DELETED_QUOTES_KEY);
+  var deleted = result[DELETED_QUOTES_KEY] || [];
+  quoteIds.forEach(function (q) {
+    if (deleted.indexOf(q) === -1) deleted.push(q);
+  });
+  if (deleted.length > DELETED_QUOTES_MAX) deleted = deleted.slice(deleted.length - DELETED_QUOTES_MAX);
+  await chrome.storage.local.set({ [DELETED_QUOTES_KEY]: deleted });
+}
+
+/**
+ * Operation handlers. Each receives the open db followed by the args
+ * storage.js sent, and resolves to a structured-cloneable result.
+ */
+var DB_OPS = {
+  getAll: async function (db) {
+    var tx = db.transaction(HL_STORE, "readonly");
+    return idbRequest(tx.objectStore(HL_STORE).getAll());
+  },
+
+  getByConversation: async function (db, conversationId) {
+    var tx = db.transaction(HL_STORE, "readonly");
+    return idbRequest(tx.objectStore(HL_STORE).index("conversationId").getAll(conversationId));
+  },
+
+  getByQuoteId: async function (db, quoteId) {
+    var tx = db.transaction(HL_STORE, "readonly");
+    return idbRequest(tx.objectStore(HL_STORE).index("quoteId").getAll(quoteId));
+  },
+
+  getChildren: async function (db, parentQuoteId, parentItemId) {
+    var tx = db.transaction(HL_STORE, "readonly");
+    var rows = await idbRequest(tx.objectStore(HL_STORE).index("parentId").getAll(parentQuoteId));
+    return rows.filter(function (h) {
+      if (!h.active) return false;
+      if (parentItemId && h.parentItemId !== parentItemId) return false;
+      return true;
+    });
+  },
+
+  /** Insert a record; if it is active, deactivate its siblings in the same transaction. */
+  save: async function (db, record) {
+    var tx = db.transaction(HL_STORE, "readwrite");
+    var store = tx.objectStore(HL_STORE);
+    if (record.active) {
+      var siblings = await idbRequest(store.index("quoteId").getAll(record.quoteId));
+      for (var i = 0; i < siblings.length; i++) {
+        if (siblings[i].active && siblings[i].id !== record.id) {
+          siblings[i].active = false;
+          store.put(siblings[i]);
+        }
+      }
+    }
+    store.put(record);
+    await idbDone(tx);
+    await refreshHiddenTurns(db, [record.conversationId]);
+    return record;
+  },
+
+  update: async function (db, id, fields) {
+    var tx = db.transaction(HL_STORE, "readwrite");
+    var store = tx.objectStore(HL_STORE);
+    var rec = await idbRequest(store.get(id));
+    if (!rec) return null;
+    var keys = Object.keys(fields);
+    for (var i = 0; i < keys.length; i++) rec[keys[i]] = fields[keys[i]];
+    store.put(rec);
+    await idbDone(tx);
+    if ("questionIndex" in fields || "responseIndex" in fields ||
+        "questionMessageId" in fields || "responseMessageId" in fields || "unfolded" in fields) {
+      await refreshHiddenTurns(db, [rec.conversationId]);
+    }
+    return rec;
+  },
+
+  updateColor: async function (db, quoteId, color) {
+    var tx = db.transaction(HL_STORE, "readwrite");
+    var store = tx.objectStore(HL_STORE);
+    var rows = await idbRequest(store.index("quoteId").getAll(quoteId));
+    for (var i = 0; i < rows.length; i++) {
+      rows[i].color = color;
+      store.put(rows[i]);
+    }
+    await idbDone(tx);
+    return null;
+  },
+
+  setActive: async function (db, quoteId, itemId) {
+    var tx = db.transaction(HL_STORE, "readwrite");
+    var store = tx.objectStore(HL_STORE);
+    var rows = await idbRequest(store.index("quoteId").getAll(quoteId));
+    for (var i = 0; i < rows.length; i++) {
+      var active = rows[i].id === itemId;
+      if (rows[i].active !== active) {
+        rows[i].active = active;
+        store.put(rows[i]);
+      }
+    }
+    await idbDone(tx);
+    return null;
+  },
+
+  /** Delete a quoteId and every descendant quoteId. */
+  deleteTree: async function (db, quoteId) {
+    var tx = db.transaction(HL_STORE, "readwrite");
+    var store = tx.objectStore(HL_STORE);
+    var quoteIds = await collectSubtree(store.index("parentId"), quoteId);
+    var rows = await Promise.all(Array.from(quoteIds).map(function (q) {
+      return idbRequest(store.index("quoteId").getAll(q));
+    }));
+    var keys = [];
+    for (var i = 0; i < rows.length; i++) {
+      for (var j = 0; j < rows[i].length; j++) {
+        store.delete(rows[i][j].id);
+        keys.push(rows[i][j].conversationId);
+      }
+    }
+    await idbDone(tx);
+    await refreshHiddenTurns(db, keys);
+    await addDeletedQuotes(quoteIds);
+    return null;
+  },
+
+  /**
+   * Move every record saved under a draft key (new chat before it had a /c/<id>)
+   * onto the real conversation id, along with its deleted-turn list.
+   */
+  rekeyConversation: async function (db, fromKey, toKey, url) {
+    var tx = db.transaction(HL_STORE, "readwrite");
+    var store = tx.objectStore(HL_STORE);
+    var rows = await idbRequest(store.index("conversationId").getAll(fromKey));
+    for (var i = 0; i < rows.length; i++) {
+      rows[i].conversationId = toKey;
+      rows[i].url = url;
+      store.put(rows[i]);
+    }
+    await idbDone(tx);
+
+    var result = await chrome.storage.local.get(DELETED_TURNS_KEY);
+    var deleted = result[DELETED_TURNS_KEY] || {};
+    if (deleted[fromKey]) {
+      var into = deleted[toKey] || [];
+      for (var d = 0; d < deleted[fromKey].length; d++) {
+        if (into.indexOf(deleted[fromKey][d]) === -1) into.push(deleted[fromKey][d]);
+      }
+      deleted[toKey] = into;
+      delete deleted[fromKey];
+      await chrome.storage.local.set({ [DELETED_TURNS_KEY]: deleted });
+    }
+    await refreshHiddenTurns(db, [fromKey, toKey]);
+    return rows.length;
+  },
+
+  countDescendants: async function (db, quoteId) {
+    var tx = db.transaction(HL_STORE, "readonly");
+    var quoteIds = await collectSubtree(tx.objectStore(HL_STORE).index("parentId"), quoteId);
+    return quoteIds.size - 1;
+  },
+
+  exportBackup: function (db, conversationId) {
+    return buildBackup(db, conversationId || null);
+  },
+
+  importBackup: function (db, data, policy) {
+    return mergeBackup(db, data, policy);
+  },
+
+  listConversations: function (db) {
+    return summarizeConversations(db);
+  },
+
+  putImage: function (db, source) {
+    return storeImage(db, source);
+  },
+
+  getImages: function (db, hashes) {
+    return loadImages(db, hashes);
+  },
+};
+
+chrome.runtime.onMessage.addListener(function (msg, sender, sendResponse) {
+  if (!msg || msg.type !== "jr-db") return false;
+  var handler = DB_OPS[msg.op];
+  if (!handler) {
+    sendResponse({ error: "unknown op: " + msg.op });
+    return false;
+  }
+  openDb().then(function (db) {
+    return handler.apply(null, [db].concat(msg.args || []));
+  }).then(function (result) {
+    sendResponse({ result: result });
+  }, function (e) {
+    console.warn("[JR db] " + msg.op + " failed:", e);
+    sendResponse({ error: String(e && e.message || e) });
+  });
+  return true; // keep the channel open for the async response
+});
+
+// The standalone HTML export (src/html-export.js) inlines these files. Only the
+// worker can read extension files without exposing them to the page.
+const VIEWER_ASSETS = { styles: "styles.css", viewerCss: "viewer/viewer.css", viewerJs: "viewer/viewer.js" };
+
+chrome.runtime.onMessage.addListener(function (msg, sender, sendResponse) {
+  if (!msg || msg.type !== "jr-viewer-assets") return false;
+  var names = Object.keys(VIEWER_ASSETS);
+  Promise.all(names.map(function (name) {
+    return fetch(chrome.runtime.getURL(VIEWER_ASSETS[name])).then(function (res) { return res.text(); });
+  })).then(function (texts) {
+    var result = {};
+    for (var i = 0; i < names.length; i++) result[names[i]] = texts[i];
+    sendResponse({ result: result });
+  }, function (e) {
+    sendResponse({ error: String(e && e.message || e) });
+  });
+  return true;
+});
+
+// Popup questions sent to the API backend (src/api-backend.js): the content
+// script posts { messages } and gets { delta } pieces, then { done } or
+// { error }. Disconnecting the port aborts the request.
+chrome.runtime.onConnect.addListener(function (port) {
+  if (port.name !== "jr-api") return;
+  var controller = new AbortController();
+  port.onDisconnect.addListener(function () { controller.abort(); });
+  port.onMessage.addListener(async function (msg) {
+    try {
+      var settings = await getApiSettings();
+      if (!settings.baseUrl) throw new Error("No API endpoint is set");
+      await streamCompletion(settings, msg.messages, function (delta) {
+        port.postMessage({ delta: delta });
+      }, controller.signal);
+      port.postMessage({ done: true });
+    } catch (e) {
+      if (!controller.signal.aborted) port.postMessage({ error: String(e && e.message || e) });
+    }
+  });
+});
+
+// Popup questions routed to a side conversation (src/side-conversation-relay.js)
+chrome.runtime.onMessage.addListener(function (msg, sender, sendResponse) {
+  if (!msg || !sender.tab) return false;
+  if (msg.type === "jr-side-ask") {
+    askSideConversation(msg, sender.tab);
+  } else if (msg.type === "jr-side-progress") {
+    relaySideProgress(msg);
+  } else {
+    return false;
+  }
+  sendResponse({ accepted: true });
+  return false;
+});
+
+// Fork to new chat (src/fork.js): the origin tab asks for a new chat tab and
+// leaves its prompt here, keyed by the new tab's id; the new tab's content
+// script claims it once loaded. Session storage outlives a worker restart.
+const FORK_PENDING_KEY = "jumpreturn_fork_pending";
+
+async function openForkTab(msg, originTab) {
+  var tab = await chrome.tabs.create({
+    url: msg.newChatUrl,
+    index: originTab.index + 1,
+    openerTabId: originTab.id,
+  });
+  var pending = (await chrome.storage.session.get(FORK_PENDING_KEY))[FORK_PENDING_KEY] || {};
+  pending[tab.id] = { prompt: msg.prompt, origin: msg.origin };
+  await chrome.storage.session.set({ [FORK_PENDING_KEY]: pending });
+}
+
+async function claimForkTab(tabId) {
+  var pending = (await chrome.storage.session.get(FORK_PENDING_KEY))[FORK_PENDING_KEY] || {};
+  var fork = pending[tabId] || null;
+  if (fork) {
+    delete pending[tabId];
+    await chrome.storage.session.set({ [FORK_PENDING_KEY]: pending });
+  }
+  return fork;
+}
+
+chrome.runtime.onMessage.addListener(function (msg, sender, sendResponse) {
+  if (!msg || !sender.tab) return false;
+  var work;
+  if (msg.type === "jr-fork-open") {
+    work = openForkTab(msg, sender.tab).then(function () { return null; });
+  } else if (msg.type === "jr-fork-claim") {
+    work = claimForkTab(sender.tab.id);
+  } else {
+    return false;
+  }
+  work.then(function (fork) {
+    sendResponse({ fork: fork });
+  }, function (e) {
+    sendResponse({ error: String(e && e.message || e) });
+  });
+  return true;
+});
+
+// Run the legacy migration as soon as the new version is installed, so
+// early-hide.js has the hidden-turn map before the next ChatGPT page load.
+chrome.runtime.onInstalled.addListener(function () {
+  openDb().catch(function (e) { console.warn("[JR db] open failed:", e); });
+});
+
+// Self-hosted sites get their content scripts registered at runtime (see
+// src/custom-hosts.js). Re-register after an update, when the options page
+// changes the list, and when access to an origin is granted or revoked.
+chrome.runtime.onInstalled.addListener(function () {
+  syncCustomHostScripts();
+});
+
+chrome.storage.onChanged.addListener(function (changes, area) {
+  if (area === "local" && changes[CUSTOM_HOSTS_KEY]) syncCustomHostScripts();
+});
+
+chrome.permissions.onAdded.addListener(function () {
+  syncCustomHostScripts();
+});
+
+chrome.permissions.onRemoved.addListener(function () {
+  syncCustomHostScripts();
+});
+
+// Keyboard shortcuts that act on the page are forwarded to its content script.
+chrome.commands.onCommand.addListener(function (command, tab) {
+  if (!tab || tab.id == null) return;
+  var msg = null;
+  if (command === "export-markdown" || command === "export-markdown-all-versions") {
+    msg = { type: "jr-export-markdown", allVersions: command === "export-markdown-all-versions" };
+  } else if (command === "export-html") {
+    msg = { type: "jr-export-html" };
+  }
+  if (msg) chrome.tabs.sendMessage(tab.id, msg).catch(function () { /* not a chat tab */ });
+});
+
+// The toolbar icon opens the settings page.
+chrome.action.onClicked.addListener(function () {
+  chrome.runtime.openOptionsPage();
+});
@@ -5,6 +5,7 @@
   var st = JR.state;
   var mouseIsDown = false;
   var triggerBtn = null; // floating "open popup" button after highlight
+  var collectBtn = null; // "add to multi-quote question" button below it
   var triggerData = null; // saved selection data for the trigger
 
   document.addEventListener("mousedown", function () { mouseIsDown = true; }, true);
@@ -34,6 +35,10 @@
       triggerBtn = null;
       triggerData = null;
     }
+    if (collectBtn) {
+      collectBtn.remove();
+      collectBtn = null;
+    }
     removeDisableBtn();
   }
   JR.removeTriggerBtn = removeTriggerBtn;
@@ -56,6 +61,15 @@
     triggerBtn.setAttribute("aria-label", "Follow up on selection");
     triggerBtn.style.position = "fixed";
 
+    // Collect the selection for a question about several quotes (src/quote-group.js)
+    collectBtn = document.createElement("button");
+    collectBtn.type = "button";
+    collectBtn.className = "jr-highlight-trigger-btn jr-collect-btn";
+    collectBtn.innerHTML = '<svg viewBox="0 0 256 256" fill="currentColor"><path d="M228,128a12,12,0,0,1-12,12H140v76a12,12,0,0,1-24,0V140H40a12,12,0,0,1,0-24h76V40a12,12,0,0,1,24,0v76h76A12,12,0,0,1,228,128Z"/></svg>';
+    collectBtn.title = "Add to a question about several quotes";
+    collectBtn.setAttribute("aria-label", "Collect selection for a multi-quote question");
+    collectBtn.style.position = "fixed";
+
     function positionBtn() {
       var sel = window.getSelection();
       if (!sel || sel.isCollapsed || !sel.rangeCount) {
@@ -85,6 +99,8 @@
       }
       triggerBtn.style.left = Math.min(maxRight + 6, rightLimit) + "px";
       triggerBtn.style.top = (r.top + r.height / 2 - (triggerBtn.offsetHeight || 32) / 2) + "px";
+      collectBtn.style.left = triggerBtn.style.left;
+      collectBtn.style.top = (parseFloat(triggerBtn.style.top) + (triggerBtn.offsetHeight || 32) + 4) + "px";
     }
 
     triggerBtn.addEventListener("click", function (e) {
@@ -128,7 +144,19 @@
       e.stopPropagation();
     });
 
+    collectBtn.addEventListener("click", function (e) {
+      e.stopPropagation();
+      e.preventDefault();
+      var data = triggerData;
+      removeTriggerBtn();
+      if (data) JR.collectQuote(data, chainParentId);
+    });
+    collectBtn.addEventListener("mousedown", function (e) {
+      e.stopPropagation();
+    });
+
     document.body.appendChild(triggerBtn);
+    document.body.appendChild(collectBtn);
     positionBtn();
 
     // Reposition on scroll/resize, remove when selection disappears
@@ -182,6 +210,8 @@
     if (e.target.closest(".jr-popup-disable-btn")) return;
     if (e.target.closest(".jr-search-bar")) return;
     if (e.target.closest(".jr-highlight-trigger-btn")) return;
+    // Shift-click collects a highlight (see the click handler); popups stay
+    if (e.shiftKey && e.target.closest(".jr-source-highlight-done")) return;
     // Dismiss trigger button on click outside
     if (triggerBtn && !triggerBtn.contains(e.target)) {
       removeTriggerBtn();
@@ -219,6 +249,14 @@
   // click on completed highlight → open popup
   document.addEventListener("click", function (e) {
     if (st.confirmingDelete) return;
+    // Shift-click on a saved highlight: collect it for a batch question
+    if (e.shiftKey) {
+      var shiftSpan = e.target.closest(".jr-source-highlight-done");
+      if (shiftSpan && JR.collectHighlight(shiftSpan.getAttribute("data-jr-highlight-id"))) {
+        e.stopPropagation();
+        return;
+      }
+    }
     if (st.activePopup) {
       var hlSpan = e.target.closest(".jr-source-highlight");
       if (hlSpan && st.activeSourceHighlights.indexOf(hlSpan) !== -1) {
@@ -230,11 +268,23 @@
     if (!span) return;
     var hlId = span.getAttribute("data-jr-highlight-id");
     if (!hlId || !st.completedHighlights.has(hlId)) return;
+    // Unfolded highlights are markers for turns in the main thread
+    if (JR.unfoldedItem(st.completedHighlights.get(hlId))) {
+      e.stopPropagation();
+      JR.showUnfoldedTurn(hlId);
+      return;
+    }
     if (st.activePopup && st.activeHighlightId && hlId === st.activeHighlightId) {
       JR.selectSourceHighlightText();
       return;
     }
     e.stopPropagation();
+    // Another quote of a multi-quote question: open the group's popup where it lives
+    var clicked = st.completedHighlights.get(hlId);
+    if (clicked.groupSpans && clicked.spans.indexOf(span) === -1) {
+      JR.openHighlight(hlId);
+      return;
+    }
     if (span.closest(".jr-popup")) {
       JR.pushPopupState();
     } else {
@@ -339,7 +389,7 @@
     if (!posParent) {
       posParent = entry.contentContainer;
       if (!posParent || !posParent.isConnected) {
-        var turnEl = entry.spans[0].closest(JR.SELECTORS.aiTurn);
+        var turnEl = entry.spans[0].closest(JR.SELECTORS.turn);
         posParent = turnEl ? turnEl.parentElement : document.body;
       }
     }
@@ -872,30 +922,16 @@
    */
   function refreshEarlyHideStyle() {
     var url = location.href;
-    try {
-    chrome.storage.local.get(["jumpreturn_highlights", "jumpreturn_deleted_turns"], function (result) {
-      var highlights = result.jumpreturn_highlights || [];
-      var deletedAll = result.jumpreturn_deleted_turns || {};
-      var deletedTurns = deletedAll[url] || [];
-      var turnSet = {};
-      for (var i = 0; i < highlights.length; i++) {
-        var h = highlights[i];
-        if (h.url !== url) continue;
-        if (h.questionIndex > 0) turnSet[h.questionIndex] = true;
-        if (h.responseIndex > 0) turnSet[h.responseIndex] = true;
-      }
-      for (var d = 0; d < deletedTurns.length; d++) {
-        if (deletedTurns[d] > 0) turnSet[deletedTurns[d]] = true;
-      }
+    getHiddenTurns(url).then(function (indices) {
       var existing = document.getElementById("jr-early-hide");
-      var indices = Object.keys(turnSet);
-      if (indices.length === 0) {
-        if (existing) existing.remove();
-        return;
-      }
       var rules = [];
       for (var r = 0; r < indices.length; r++) {
-        rules.push('[data-testid="conversation-turn-' + indices[r] + '"]');
+        var sel = JR.turnSelector(indices[r]);
+        if (sel) rules.push(sel);
+      }
+      if (rules.length === 0) {
+        if (existing) existing.remove();
+        return;
       }
       var css = rules.join(",\n") + " { display: none !important; }";
       if (existing) {
@@ -906,19 +942,81 @@
         style.textContent = css;
         (document.head || document.documentElement).appendChild(style);
       }
+    }).catch(function () { /* extension context invalidated after reload */ });
+  }
+
+  JR.refreshEarlyHideStyle = refreshEarlyHideStyle;
+
+  // How long after a new chat gets an id to check that its turns stayed put
+  var DRAFT_ADOPT_CHECK_MS = 800;
+
+  /**
+   * True if a URL change keeps us in the same conversation: only the query
+   * string or /g/<gpt>/ prefix changed.
+   */
+  function isSameConversation(prevUrl, nextUrl) {
+    var prevId = conversationIdFromUrl(prevUrl);
+    return !!prevId && prevId === conversationIdFromUrl(nextUrl);
+  }
+
+  /**
+   * A highlighted turn of the new chat on screen, to tell whether the chat
+   * just got its /c/<id> (the turn stays) or the page went to another
+   * conversation (the turn is replaced). Null if there's none.
+   */
+  function draftAnchor() {
+    var anchor = null;
+    st.completedHighlights.forEach(function (entry) {
+      if (anchor || !entry.spans || !entry.spans[0] || !entry.spans[0].isConnected) return;
+      var turn = entry.spans[0].closest(JR.SELECTORS.turn);
+      if (turn) anchor = { span: entry.spans[0], turn: turn, messageId: JR.getMessageId(turn) };
     });
-    } catch (e) { /* extension context invalidated after reload */ }
+    return anchor;
+  }
+
+  function anchorStayed(anchor) {
+    return anchor.span.isConnected && anchor.turn.isConnected && anchor.turn.contains(anchor.span) &&
+      JR.getMessageId(anchor.turn) === anchor.messageId;
   }
 
   function onNavigate() {
     var currentUrl = location.href;
     if (currentUrl === st.lastKnownUrl) return;
+    var prevUrl = st.lastKnownUrl;
     st.lastKnownUrl = currentUrl;
 
+    if (isSameConversation(prevUrl, currentUrl)) return;
+
+    // A new chat with highlights got an id, or the sidebar opened another
+    // chat before the old turns were swapped out: wait and see which
+    if (!conversationIdFromUrl(prevUrl) && conversationIdFromUrl(currentUrl) && hasDraftConversation()) {
+      var anchor = draftAnchor();
+      if (anchor) {
+        setTimeout(function () {
+          if (location.href !== currentUrl) return;
+          if (anchorStayed(anchor)) {
+            adoptDraftConversation(currentUrl).then(refreshEarlyHideStyle);
+          } else {
+            discardDraftConversation();
+            leaveConversation();
+          }
+        }, DRAFT_ADOPT_CHECK_MS);
+        return;
+      }
+    }
+    if (hasDraftConversation()) discardDraftConversation();
+    leaveConversation();
+  }
+
+  /** Drop everything that belonged to the conversation the page left. */
+  function leaveConversation() {
     JR.removeAllPopups();
     JR.hideSearchBar();
     JR.hideToolbar();
     JR.clearHiddenTurnIndices();
+    JR.clearOrphanedHighlights();
+    JR.clearCollectedQuotes();
+    JR.closeBatchPanel();
     st.messageQueue.length = 0;
     if (st.navWidget) {
       if (st.navWidget._jrScrollCleanup) st.navWidget._jrScrollCleanup();
@@ -940,15 +1038,27 @@
         parent.removeChild(span);
         parent.normalize();
       }
+      if (entry.groupSpans) JR.unwrapGroupSpans(entry);
     });
     st.completedHighlights.clear();
     refreshEarlyHideStyle();
     setTimeout(JR.restoreHighlights, 1000);
+    JR.scanForPopupMarkers();
     setTimeout(JR.initSearchBar, 1500);
+    JR.refreshForkOrigin();
   }
 
   window.addEventListener("popstate", onNavigate);
 
+  // SPA navigation doesn't drop queued writes (reads wait for the queue), but a
+  // full reload or tab close can't await it. If a version is still being saved,
+  // ask the browser to confirm so the write isn't lost mid-flight.
+  window.addEventListener("beforeunload", function (e) {
+    if (!hasPendingWrites()) return;
+    e.preventDefault();
+    e.returnValue = "";
+  });
+
   var origPushState = history.pushState;
   history.pushState = function () {
     origPushState.apply(this, arguments);
@@ -968,10 +1078,11 @@
     }
   }, 500);
 
-  // --- Inject disable × on ChatGPT's native "Ask ChatGPT" selection button ---
+  // --- Inject disable × on the site's native "ask about selection" button ---
+  // (ChatGPT's "Ask ChatGPT"; label from JR.site.nativeAskButtonText)
 
   function hideAskBtn(askBtn) {
-    // Hide the native "Ask ChatGPT" popover container
+    // Hide the native button's popover container
     var container = askBtn.closest('[popover], [style*="position"]') || askBtn.parentElement;
     if (container) container.style.display = "none";
   }
@@ -1030,7 +1141,7 @@
     document.body.appendChild(btn);
   }
 
-  // Observer handles both: show × when Ask ChatGPT appears, remove × when
+  // Observer handles both: show × when the native button appears, remove × when
   // it disappears, and auto-hide if user previously dismissed.
   // Deferred to rAF so it never blocks trigger button paint.
   var askBtnObserverPending = false;
@@ -1043,7 +1154,7 @@
       var found = null;
       for (var i = 0; i < candidates.length; i++) {
         var c = candidates[i];
-        if (c.textContent.trim() === "Ask ChatGPT" && !c.closest(".jr-popup")) {
+        if (c.textContent.trim() === JR.site.nativeAskButtonText && !c.closest(".jr-popup")) {
           found = c;
           break;
         }
@@ -1060,12 +1171,35 @@
       }
     });
   });
-  askBtnObserver.observe(document.body, { childList: true, subtree: true });
+  if (JR.site.nativeAskButtonText) {
+    askBtnObserver.observe(document.body, { childList: true, subtree: true });
+  }
+
+  // --- Theme: mirror the site's theme as html.jr-theme-dark for styles.css ---
+
+  function syncTheme() {
+    var root = document.documentElement;
+    var dark = !!JR.site.isDarkTheme();
+    if (root.classList.contains("jr-theme-dark") !== dark) root.classList.toggle("jr-theme-dark", dark);
+  }
+  syncTheme();
+  new MutationObserver(syncTheme).observe(document.documentElement, {
+    attributes: true, attributeFilter: ["class", "style", "data-theme", "data-mode"],
+  });
+  if (window.matchMedia) {
+    window.matchMedia("(prefers-color-scheme: dark)").addEventListener("change", syncTheme);
+  }
 
   // Restore saved highlights on initial page load
   JR.restoreHighlights();
   JR.startHiddenTurnEnforcer();
 
+  // Rebuild popups storage has no record of from the markers in their turns
+  JR.scanForPopupMarkers();
+
+  // "Forked from" link, or reopen the popup a fork was left from
+  JR.refreshForkOrigin();
+
   // Init the search bar (delay for DOM to be ready)
   setTimeout(JR.initSearchBar, 1500);
 
@@ -1120,6 +1254,21 @@
   document.addEventListener("jr-locate", function (e) {
     JR.locate(e.detail || null);
   });
+  document.addEventListener("jr-export-markdown", function (e) {
+    JR.exportConversationMarkdown({ allVersions: !!e.detail }).catch(function (e) { console.warn("[JR] export failed:", e); });
+  });
+  document.addEventListener("jr-export-html", function () {
+    JR.exportConversationHTML().catch(function (e) { console.warn("[JR] export failed:", e); });
+  });
+
+  // Keyboard shortcuts (manifest "commands") arrive from background.js
+  chrome.runtime.onMessage.addListener(function (msg) {
+    if (msg && msg.type === "jr-export-markdown") {
+      JR.exportConversationMarkdown({ allVersions: !!msg.allVersions }).catch(function (e) { console.warn("[JR] export failed:", e); });
+    } else if (msg && msg.type === "jr-export-html") {
+      JR.exportConversationHTML().catch(function (e) { console.warn("[JR] export failed:", e); });
+    }
+  });
 
   // Bridge script (src/console-bridge.js) runs in MAIN world via manifest,
   // exposing JR.go() and JR.open() to the browser console.
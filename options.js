@@ -0,0 +1,643 @@
+// options.js — Settings page (opened from the toolbar icon): backup & restore,
+// self-hosted chat sites
+(function () {
+  "use strict";
+
+  var TITLE_CHARS = 60;
+
+  var scopeSelect = document.getElementById("export-scope");
+  var exportBtn = document.getElementById("export-btn");
+  var importBtn = document.getElementById("import-btn");
+  var fileInput = document.getElementById("import-file");
+  var statusEl = document.getElementById("status");
+
+  function setStatus(text, isError) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle("jr-options-status--error", !!isError);
+  }
+
+  function plural(n, word) {
+    return n + " " + word + (n === 1 ? "" : "s");
+  }
+
+  /** Fill the scope dropdown with every stored conversation. */
+  async function loadConversations() {
+    var rows = await listConversations();
+    while (scopeSelect.options.length > 1) scopeSelect.remove(1);
+    for (var i = 0; i < rows.length; i++) {
+      var row = rows[i];
+      var title = row.title.replace(/\s+/g, " ").trim() || row.conversationId;
+      if (title.length > TITLE_CHARS) title = title.slice(0, TITLE_CHARS) + "\u2026";
+      var opt = document.createElement("option");
+      opt.value = row.conversationId;
+      opt.textContent = "\u201c" + title + "\u201d \u2014 " + plural(row.highlights, "highlight");
+      scopeSelect.appendChild(opt);
+    }
+  }
+
+  /** Short, filename-safe label for the export scope. */
+  function scopeLabel(conversationId) {
+    if (!conversationId) return "all";
+    return conversationId.replace(/[^0-9A-Za-z-]/g, "").slice(0, 12) || "conversation";
+  }
+
+  function download(filename, text) {
+    var url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+    var a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+  }
+
+  exportBtn.addEventListener("click", async function () {
+    exportBtn.disabled = true;
+    try {
+      var conversationId = scopeSelect.value || null;
+      var backup = await exportBackup(conversationId);
+      if (!backup) throw new Error("Extension was reloaded \u2014 refresh this page");
+      var date = backup.exportedAt.slice(0, 10);
+      download("popup-backup-" + scopeLabel(conversationId) + "-" + date + ".json", JSON.stringify(backup, null, 2));
+      setStatus("Exported " + plural(backup.highlights.length, "saved item") + ".");
+    } catch (e) {
+      setStatus("Export failed: " + e.message, true);
+    } finally {
+      exportBtn.disabled = false;
+    }
+  });
+
+  importBtn.addEventListener("click", function () {
+    fileInput.value = "";
+    fileInput.click();
+  });
+
+  fileInput.addEventListener("change", async function () {
+    var file = fileInput.files[0];
+    if (!file) return;
+    var policy = document.querySelector('input[name="policy"]:checked').value;
+    importBtn.disabled = true;
+    setStatus("Importing " + file.name + "\u2026");
+    try {
+      var data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (e) {
+        throw new Error("File is not valid JSON");
+      }
+      var summary = await importBackup(data, policy);
+      var parts = [plural(summary.added, "highlight") + " added"];
+      if (summary.overwritten) parts.push(summary.overwritten + " replaced");
+      if (summary.duplicated) parts.push(summary.duplicated + " kept as copies");
+      if (summary.skipped) parts.push(summary.skipped + " already saved, skipped");
+      setStatus("Imported: " + parts.join(", ") + ". Reload open chat tabs to see them.");
+      await loadConversations();
+    } catch (e) {
+      setStatus("Import failed: " + e.message, true);
+    } finally {
+      importBtn.disabled = false;
+    }
+  });
+
+  // --- Self-hosted chats ---
+
+  var hostOriginInput = document.getElementById("host-origin");
+  var hostAdapterSelect = document.getElementById("host-adapter");
+  var hostAddBtn = document.getElementById("host-add-btn");
+  var hostList = document.getElementById("host-list");
+  var hostStatusEl = document.getElementById("host-status");
+
+  function setHostStatus(text, isError) {
+    hostStatusEl.textContent = text;
+    hostStatusEl.classList.toggle("jr-options-status--error", !!isError);
+  }
+
+  function adapterName(adapterId) {
+    var adapter = SELF_HOSTED_ADAPTERS[adapterId];
+    return adapter ? adapter.name : adapterId;
+  }
+
+  async function renderHosts() {
+    var hosts = await getCustomHosts();
+    hostList.textContent = "";
+    for (var i = 0; i < hosts.length; i++) {
+      var origin = hosts[i].origin;
+      var li = document.createElement("li");
+      var label = document.createElement("span");
+      label.textContent = origin;
+      var kind = document.createElement("small");
+      kind.textContent = adapterName(hosts[i].adapter);
+      label.appendChild(kind);
+      var removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "jr-options-remove";
+      removeBtn.textContent = "Remove";
+      removeBtn.addEventListener("click", onRemoveHost.bind(null, origin));
+      li.appendChild(label);
+      li.appendChild(removeBtn);
+      hostList.appendChild(li);
+    }
+  }
+
+  async function onRemoveHost(origin) {
+    try {
+      // The API backend may be served from the same origin
+      var api = await getApiSettings();
+      await removeCustomHost(origin, api.enabled && normalizeOrigin(api.baseUrl) === origin);
+      setHostStatus("Removed " + origin + ".");
+    } catch (e) {
+      setHostStatus("Couldn\u2019t remove " + origin + ": " + e.message, true);
+    }
+    await renderHosts();
+  }
+
+  Object.keys(SELF_HOSTED_ADAPTERS).forEach(function (adapterId) {
+    var opt = document.createElement("option");
+    opt.value = adapterId;
+    opt.textContent = SELF_HOSTED_ADAPTERS[adapterId].name;
+    hostAdapterSelect.appendChild(opt);
+  });
+
+  hostAddBtn.addEventListener("click", async function () {
+    var origin = normalizeOrigin(hostOriginInput.value);
+    if (!origin) {
+      setHostStatus("Enter an http:// or https:// address, e.g. http://localhost:3000.", true);
+      return;
+    }
+    hostAddBtn.disabled = true;
+    try {
+      // The permission prompt needs this click, so nothing is awaited before it
+      var added = await addCustomHost(origin, hostAdapterSelect.value);
+      if (!added) {
+        setHostStatus("Access to " + origin + " wasn\u2019t granted.", true);
+        return;
+      }
+      hostOriginInput.value = "";
+      setHostStatus("Added " + origin + ". Reload its open tabs to start using Popup there.");
+      await renderHosts();
+    } catch (e) {
+      setHostStatus("Couldn\u2019t add " + origin + ": " + e.message, true);
+    } finally {
+      hostAddBtn.disabled = false;
+    }
+  });
+
+  // --- Follow-up context ---
+
+  // ANCESTOR_CONTEXT_KEY, DEFAULT_CONTEXT_TOKENS: src/context-settings.js
+
+  var contextModeSelect = document.getElementById("context-mode");
+  var contextTokensInput = document.getElementById("context-max-tokens");
+  var contextStatusEl = document.getElementById("context-status");
+
+  function setContextStatus(text, isError) {
+    contextStatusEl.textContent = text;
+    contextStatusEl.classList.toggle("jr-options-status--error", !!isError);
+  }
+
+  async function saveContextSettings() {
+    var maxTokens = parseInt(contextTokensInput.value, 10);
+    if (contextTokensInput.value && !(maxTokens > 0)) {
+      setContextStatus("Enter the budget as a number of tokens, e.g. 1500.", true);
+      return;
+    }
+    try {
+      await chrome.storage.local.set({
+        [ANCESTOR_CONTEXT_KEY]: { mode: contextModeSelect.value, maxTokens: maxTokens || DEFAULT_CONTEXT_TOKENS },
+      });
+      setContextStatus(contextModeSelect.value === "off"
+        ? "Popup questions quote only the answer they\u2019re asked in."
+        : "Saved. Questions in chained popups start with up to " + (maxTokens || DEFAULT_CONTEXT_TOKENS) + " tokens of earlier popups.");
+    } catch (e) {
+      setContextStatus("Couldn\u2019t save: " + e.message, true);
+    }
+  }
+
+  contextModeSelect.addEventListener("change", saveContextSettings);
+  contextTokensInput.addEventListener("change", saveContextSettings);
+
+  chrome.storage.local.get(ANCESTOR_CONTEXT_KEY).then(function (result) {
+    var settings = result[ANCESTOR_CONTEXT_KEY] || {};
+    contextModeSelect.value = settings.mode || "off";
+    if (settings.maxTokens) contextTokensInput.value = settings.maxTokens;
+  }).catch(function (e) {
+    setContextStatus("Couldn\u2019t read the setting: " + e.message, true);
+  });
+
+  // --- Response modes ---
+
+  var modeList = document.getElementById("mode-list");
+  var modePresetSelect = document.getElementById("mode-preset");
+  var modeAddBtn = document.getElementById("mode-add-btn");
+  var modeSaveBtn = document.getElementById("mode-save-btn");
+  var modeStatusEl = document.getElementById("mode-status");
+  var editedModes = [];
+
+  function setModeStatus(text, isError) {
+    modeStatusEl.textContent = text;
+    modeStatusEl.classList.toggle("jr-options-status--error", !!isError);
+  }
+
+  function modeButton(className, label, title, onClick, disabled) {
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = className;
+    btn.textContent = label;
+    btn.title = title;
+    btn.setAttribute("aria-label", title);
+    btn.disabled = !!disabled;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  function moveMode(index, delta) {
+    var moved = editedModes.splice(index, 1)[0];
+    editedModes.splice(index + delta, 0, moved);
+    renderModes();
+  }
+
+  function renderModes() {
+    modeList.innerHTML = "";
+    editedModes.forEach(function (mode, index) {
+      var li = document.createElement("li");
+
+      var head = document.createElement("div");
+      head.className = "jr-options-row";
+      var labelInput = document.createElement("input");
+      labelInput.type = "text";
+      labelInput.className = "jr-options-input";
+      labelInput.value = mode.label;
+      labelInput.placeholder = "Name";
+      labelInput.setAttribute("aria-label", "Mode name");
+      labelInput.addEventListener("input", function () { mode.label = labelInput.value; });
+      head.appendChild(labelInput);
+      head.appendChild(modeButton("jr-options-remove jr-options-move", "\u2191", "Move up", function () { moveMode(index, -1); }, index === 0));
+      head.appendChild(modeButton("jr-options-remove jr-options-move", "\u2193", "Move down", function () { moveMode(index, 1); }, index === editedModes.length - 1));
+      head.appendChild(modeButton("jr-options-remove", "Delete", "Delete mode", function () {
+        editedModes.splice(index, 1);
+        renderModes();
+      }, editedModes.length === 1));
+      li.appendChild(head);
+
+      var instructionInput = document.createElement("textarea");
+      instructionInput.className = "jr-options-input jr-options-textarea";
+      instructionInput.rows = 3;
+      instructionInput.value = mode.instruction;
+      instructionInput.placeholder = "Instruction added after the question";
+      instructionInput.setAttribute("aria-label", "Instruction for " + (mode.label || "this mode"));
+      instructionInput.addEventListener("input", function () { mode.instruction = instructionInput.value; });
+      li.appendChild(instructionInput);
+
+      modeList.appendChild(li);
+    });
+  }
+
+  RESPONSE_MODE_PRESETS.forEach(function (preset, index) {
+    var option = document.createElement("option");
+    option.value = String(index);
+    option.textContent = preset.label;
+    modePresetSelect.appendChild(option);
+  });
+
+  modeAddBtn.addEventListener("click", function () {
+    var preset = RESPONSE_MODE_PRESETS[modePresetSelect.value] || { label: "", instruction: "" };
+    editedModes.push({ id: crypto.randomUUID(), label: preset.label, instruction: preset.instruction });
+    renderModes();
+    var inputs = modeList.querySelectorAll("li:last-child .jr-options-input");
+    if (inputs.length > 0) inputs[preset.label ? 1 : 0].focus();
+  });
+
+  modeSaveBtn.addEventListener("click", async function () {
+    for (var i = 0; i < editedModes.length; i++) {
+      if (!editedModes[i].label.trim()) {
+        setModeStatus("Give every mode a name.", true);
+        return;
+      }
+    }
+    try {
+      editedModes = normalizeResponseModes(editedModes);
+      await chrome.storage.local.set({ [RESPONSE_MODES_KEY]: editedModes });
+      renderModes();
+      renderQuickActions();
+      setModeStatus("Saved " + plural(editedModes.length, "mode") + ".");
+    } catch (e) {
+      setModeStatus("Couldn\u2019t save: " + e.message, true);
+    }
+  });
+
+  getResponseModes().then(function (modes) {
+    editedModes = modes.map(function (m) { return { id: m.id, label: m.label, instruction: m.instruction }; });
+    renderModes();
+    renderQuickActions();
+  }).catch(function (e) {
+    setModeStatus("Couldn\u2019t read response modes: " + e.message, true);
+  });
+
+  // --- Quick actions ---
+
+  var quickList = document.getElementById("quick-list");
+  var quickAddBtn = document.getElementById("quick-add-btn");
+  var quickSaveBtn = document.getElementById("quick-save-btn");
+  var quickStatusEl = document.getElementById("quick-status");
+  var editedQuickActions = [];
+
+  function setQuickStatus(text, isError) {
+    quickStatusEl.textContent = text;
+    quickStatusEl.classList.toggle("jr-options-status--error", !!isError);
+  }
+
+  function moveQuickAction(index, delta) {
+    var moved = editedQuickActions.splice(index, 1)[0];
+    editedQuickActions.splice(index + delta, 0, moved);
+    renderQuickActions();
+  }
+
+  /** Mode picker for a chip: the send arrow's current mode, then each saved mode. */
+  function quickModeSelect(action) {
+    var select = document.createElement("select");
+    select.setAttribute("aria-label", "Response mode for " + (action.label || "this chip"));
+    var current = document.createElement("option");
+    current.value = "";
+    current.textContent = "Current mode";
+    select.appendChild(current);
+    editedModes.forEach(function (mode) {
+      var option = document.createElement("option");
+      option.value = mode.id;
+      option.textContent = mode.label;
+      select.appendChild(option);
+    });
+    select.value = action.mode;
+    if (select.value !== action.mode) select.value = "";
+    select.addEventListener("change", function () { action.mode = select.value; });
+    return select;
+  }
+
+  function renderQuickActions() {
+    quickList.innerHTML = "";
+    editedQuickActions.forEach(function (action, index) {
+      var li = document.createElement("li");
+
+      var head = document.createElement("div");
+      head.className = "jr-options-row";
+      var labelInput = document.createElement("input");
+      labelInput.type = "text";
+      labelInput.className = "jr-options-input";
+      labelInput.value = action.label;
+      labelInput.placeholder = "Chip label";
+      labelInput.setAttribute("aria-label", "Chip label");
+      labelInput.addEventListener("input", function () { action.label = labelInput.value; });
+      head.appendChild(labelInput);
+      head.appendChild(quickModeSelect(action));
+      head.appendChild(modeButton("jr-options-remove jr-options-move", "\u2191", "Move up", function () { moveQuickAction(index, -1); }, index === 0));
+      head.appendChild(modeButton("jr-options-remove jr-options-move", "\u2193", "Move down", function () { moveQuickAction(index, 1); }, index === editedQuickActions.length - 1));
+      head.appendChild(modeButton("jr-options-remove", "Delete", "Delete chip", function () {
+        editedQuickActions.splice(index, 1);
+        renderQuickActions();
+      }));
+      li.appendChild(head);
+
+      var questionInput = document.createElement("textarea");
+      questionInput.className = "jr-options-input jr-options-textarea";
+      questionInput.rows = 2;
+      questionInput.value = action.question;
+      questionInput.placeholder = "Question it sends";
+      questionInput.setAttribute("aria-label", "Question for " + (action.label || "this chip"));
+      questionInput.addEventListener("input", function () { action.question = questionInput.value; });
+      li.appendChild(questionInput);
+
+      quickList.appendChild(li);
+    });
+  }
+
+  quickAddBtn.addEventListener("click", function () {
+    editedQuickActions.push({ id: crypto.randomUUID(), label: "", question: "", mode: "" });
+    renderQuickActions();
+    var input = quickList.querySelector("li:last-child .jr-options-input");
+    if (input) input.focus();
+  });
+
+  quickSaveBtn.addEventListener("click", async function () {
+    for (var i = 0; i < editedQuickActions.length; i++) {
+      if (!editedQuickActions[i].label.trim() || !editedQuickActions[i].question.trim()) {
+        setQuickStatus("Give every chip a label and a question.", true);
+        return;
+      }
+    }
+    try {
+      editedQuickActions = normalizeQuickActions(editedQuickActions);
+      await chrome.storage.local.set({ [QUICK_ACTIONS_KEY]: editedQuickActions });
+      renderQuickActions();
+      setQuickStatus("Saved " + plural(editedQuickActions.length, "chip") + ".");
+    } catch (e) {
+      setQuickStatus("Couldn\u2019t save: " + e.message, true);
+    }
+  });
+
+  getQuickActions().then(function (actions) {
+    editedQuickActions = actions.map(function (a) { return { id: a.id, label: a.label, question: a.question, mode: a.mode }; });
+    renderQuickActions();
+  }).catch(function (e) {
+    setQuickStatus("Couldn\u2019t read quick actions: " + e.message, true);
+  });
+
+  // --- Message templates ---
+
+  var templateVariablesEl = document.getElementById("template-variables");
+  var templateList = document.getElementById("template-list");
+  var templateSaveBtn = document.getElementById("template-save-btn");
+  var templateResetBtn = document.getElementById("template-reset-btn");
+  var templateStatusEl = document.getElementById("template-status");
+  var templateInputs = {};
+
+  // Made-up values for the sample under each template
+  var TEMPLATE_SAMPLE_VALUES = {
+    prose: { quote: "the cache is cleared on every deploy", sentence: "To keep things simple, the cache is cleared on every deploy.", blockType: "paragraph" },
+    code: { quote: "cache.clear()", sentence: "", blockType: "code block" },
+    table: { quote: "30 minutes", sentence: "", blockType: "table cell" },
+    whole: { quote: "To keep things simple, the cache is cleared on every deploy\u2026", sentence: "", blockType: "response" },
+    group: { quote: '1. "the cache is cleared on every deploy"\n2. "sessions survive a deploy"', sentence: "", blockType: "several quotes" },
+  };
+
+  function setTemplateStatus(text, isError) {
+    templateStatusEl.textContent = text;
+    templateStatusEl.classList.toggle("jr-options-status--error", !!isError);
+  }
+
+  function renderTemplateSample(kind, sampleEl) {
+    var sample = TEMPLATE_SAMPLE_VALUES[kind];
+    var template = templateInputs[kind].value.trim() ? templateInputs[kind].value : DEFAULT_MESSAGE_TEMPLATES[kind];
+    sampleEl.textContent = renderMessageTemplate(template, {
+      quote: sample.quote,
+      sentence: sample.sentence,
+      question: "Why not only when the schema changes?",
+      blockType: sample.blockType,
+      parentQuestion: "",
+      mode: DEFAULT_RESPONSE_MODES[0].instruction,
+    });
+  }
+
+  function renderTemplates(templates) {
+    templateList.innerHTML = "";
+    MESSAGE_TEMPLATE_KINDS.forEach(function (kind) {
+      var label = document.createElement("label");
+      label.className = "jr-options-template";
+      label.textContent = kind.label;
+
+      var input = document.createElement("textarea");
+      input.className = "jr-options-input jr-options-textarea";
+      input.rows = 4;
+      input.value = templates[kind.id];
+      input.placeholder = DEFAULT_MESSAGE_TEMPLATES[kind.id];
+      label.appendChild(input);
+      templateInputs[kind.id] = input;
+
+      var sample = document.createElement("pre");
+      sample.className = "jr-options-sample";
+      sample.setAttribute("aria-label", "Sample message");
+      renderTemplateSample(kind.id, sample);
+      input.addEventListener("input", function () { renderTemplateSample(kind.id, sample); });
+
+      templateList.appendChild(label);
+      templateList.appendChild(sample);
+    });
+  }
+
+  MESSAGE_TEMPLATE_VARIABLES.forEach(function (variable) {
+    var term = document.createElement("dt");
+    term.textContent = "{" + variable.name + "}";
+    var desc = document.createElement("dd");
+    desc.textContent = variable.description;
+    templateVariablesEl.appendChild(term);
+    templateVariablesEl.appendChild(desc);
+  });
+
+  templateSaveBtn.addEventListener("click", async function () {
+    var templates = {};
+    MESSAGE_TEMPLATE_KINDS.forEach(function (kind) { templates[kind.id] = templateInputs[kind.id].value; });
+    for (var i = 0; i < MESSAGE_TEMPLATE_KINDS.length; i++) {
+      var kind = MESSAGE_TEMPLATE_KINDS[i];
+      var text = templates[kind.id];
+      if (text.trim() && (text.indexOf("{quote}") === -1 || text.indexOf("{question}") === -1)) {
+        setTemplateStatus("The " + kind.label.toLowerCase() + " template needs {quote} and {question}.", true);
+        return;
+      }
+    }
+    try {
+      templates = normalizeMessageTemplates(templates);
+      await chrome.storage.local.set({ [MESSAGE_TEMPLATES_KEY]: templates });
+      renderTemplates(templates);
+      setTemplateStatus("Saved.");
+    } catch (e) {
+      setTemplateStatus("Couldn\u2019t save: " + e.message, true);
+    }
+  });
+
+  templateResetBtn.addEventListener("click", async function () {
+    try {
+      await chrome.storage.local.remove(MESSAGE_TEMPLATES_KEY);
+      renderTemplates(normalizeMessageTemplates(null));
+      setTemplateStatus("Restored the default templates.");
+    } catch (e) {
+      setTemplateStatus("Couldn\u2019t reset: " + e.message, true);
+    }
+  });
+
+  getMessageTemplates().then(renderTemplates).catch(function (e) {
+    setTemplateStatus("Couldn\u2019t read message templates: " + e.message, true);
+  });
+
+  // --- Side conversation ---
+
+  var sideEnabledInput = document.getElementById("side-enabled");
+  var sideStatusEl = document.getElementById("side-status");
+
+  function setSideStatus(text, isError) {
+    sideStatusEl.textContent = text;
+    sideStatusEl.classList.toggle("jr-options-status--error", !!isError);
+  }
+
+  sideEnabledInput.addEventListener("change", async function () {
+    try {
+      await chrome.storage.local.set({ [SIDE_CHAT_KEY]: { enabled: sideEnabledInput.checked } });
+      setSideStatus(sideEnabledInput.checked ? "Popup questions now go to a side conversation." : "Popup questions go to the chat.");
+    } catch (e) {
+      setSideStatus("Couldn\u2019t save: " + e.message, true);
+    }
+  });
+
+  chrome.storage.local.get(SIDE_CHAT_KEY).then(function (result) {
+    sideEnabledInput.checked = !!(result[SIDE_CHAT_KEY] && result[SIDE_CHAT_KEY].enabled);
+  }).catch(function (e) {
+    setSideStatus("Couldn\u2019t read the setting: " + e.message, true);
+  });
+
+  // --- Direct API ---
+
+  var apiEnabledInput = document.getElementById("api-enabled");
+  var apiBaseUrlInput = document.getElementById("api-base-url");
+  var apiModelInput = document.getElementById("api-model");
+  var apiKeyInput = document.getElementById("api-key");
+  var apiSaveBtn = document.getElementById("api-save-btn");
+  var apiStatusEl = document.getElementById("api-status");
+
+  function setApiStatus(text, isError) {
+    apiStatusEl.textContent = text;
+    apiStatusEl.classList.toggle("jr-options-status--error", !!isError);
+  }
+
+  async function loadApiSettings() {
+    var settings = await getApiSettings();
+    apiEnabledInput.checked = settings.enabled;
+    apiBaseUrlInput.value = settings.baseUrl;
+    apiModelInput.value = settings.model;
+    apiKeyInput.value = settings.apiKey;
+  }
+
+  apiSaveBtn.addEventListener("click", async function () {
+    var baseUrl = apiBaseUrlInput.value.trim();
+    var enabled = apiEnabledInput.checked;
+    var origin = baseUrl ? normalizeOrigin(baseUrl) : null;
+    if (baseUrl && (!origin || !/^https?:\/\//i.test(baseUrl))) {
+      setApiStatus("Enter the API's full http:// or https:// address, e.g. http://localhost:8080/v1.", true);
+      return;
+    }
+    if (enabled && !origin) {
+      setApiStatus("Enter a base URL to turn the API on.", true);
+      return;
+    }
+    apiSaveBtn.disabled = true;
+    try {
+      // The permission prompt needs this click, so nothing is awaited before it
+      if (enabled && !(await chrome.permissions.request({ origins: [originPattern(origin)] }))) {
+        setApiStatus("Access to " + origin + " wasn\u2019t granted, so the API stays off.", true);
+        return;
+      }
+      await chrome.storage.local.set({
+        [API_BACKEND_KEY]: {
+          enabled: enabled,
+          baseUrl: baseUrl,
+          model: apiModelInput.value.trim(),
+          apiKey: apiKeyInput.value.trim(),
+        },
+      });
+      setApiStatus(enabled ? "Saved. Popup questions now go to " + origin + "." : "Saved. Popup questions go to the chat.");
+    } catch (e) {
+      setApiStatus("Couldn\u2019t save: " + e.message, true);
+    } finally {
+      apiSaveBtn.disabled = false;
+    }
+  });
+
+  loadApiSettings().catch(function (e) {
+    setApiStatus("Couldn\u2019t read API settings: " + e.message, true);
+  });
+
+  renderHosts().catch(function (e) {
+    setHostStatus("Couldn\u2019t read self-hosted chats: " + e.message, true);
+  });
+
+  loadConversations().catch(function (e) {
+    setStatus("Couldn\u2019t read saved conversations: " + e.message, true);
+  });
+})();
@@ -0,0 +1,94 @@
+// chatgpt.js — Site adapter for ChatGPT (chatgpt.com, chat.openai.com).
+// Interface documented in src/site-adapters.js.
+(function () {
+  "use strict";
+
+  var STOP_BUTTON = 'button[data-testid="stop-button"]';
+
+  registerSiteAdapter({
+    id: "chatgpt",
+    name: "ChatGPT",
+    hosts: ["chatgpt.com", "chat.openai.com"],
+    newChatPath: "/",
+
+    selectors: {
+      turn: '[data-testid^="conversation-turn-"]',
+      responseContent: ".markdown",
+      chatInput: 'div[contenteditable="true"]',
+      sendButton: 'button[data-testid="send-button"]',
+      stopButton: STOP_BUTTON,
+      citationPill: '[data-testid="webpage-citation-pill"]',
+      codeBlockWrapper: ".contain-inline-size",
+    },
+
+    /** AI turns carry a screen-reader heading "ChatGPT said:". */
+    isAssistantTurn: function (turn) {
+      var label = turn.querySelector("h4.sr-only");
+      return !!label && label.textContent.includes("ChatGPT said:");
+    },
+
+    turnRole: function (turn) {
+      var el = turn.querySelector("[data-message-author-role]");
+      return el ? el.getAttribute("data-message-author-role") : null;
+    },
+
+    userText: function (turn) {
+      var el = turn.querySelector('[data-message-author-role="user"]');
+      return el ? el.textContent || "" : "";
+    },
+
+    /** From the turn's data-testid, e.g. "conversation-turn-5" → 5. */
+    turnNumber: function (turn) {
+      var testId = turn.getAttribute("data-testid") || "";
+      var match = testId.match(/conversation-turn-(\d+)/);
+      return match ? parseInt(match[1], 10) : -1;
+    },
+
+    messageId: function (turn) {
+      var el = turn.matches("[data-message-id]") ? turn : turn.querySelector("[data-message-id]");
+      return el ? el.getAttribute("data-message-id") : null;
+    },
+
+    turnSelector: function (ref) {
+      if (typeof ref === "string" && ref) {
+        return '[data-testid^="conversation-turn-"]:has([data-message-id="' + CSS.escape(ref) + '"])';
+      }
+      return ref > 0 ? '[data-testid="conversation-turn-' + ref + '"]' : null;
+    },
+
+    /** The stop button is present ONLY during active generation. */
+    isGenerating: function () {
+      return !!document.querySelector(STOP_BUTTON);
+    },
+
+    findSendButton: function () {
+      return document.querySelector('button[data-testid="send-button"]')
+        || document.querySelector('button[aria-label="Send prompt"]')
+        || document.querySelector('form button[type="submit"]');
+    },
+
+    /** ProseMirror input: a synthetic paste keeps its editor state in sync. */
+    insertText: function (input, text) {
+      var dt = new DataTransfer();
+      dt.setData("text/plain", text);
+      input.dispatchEvent(new ClipboardEvent("paste", {
+        clipboardData: dt,
+        bubbles: true,
+        cancelable: true,
+      }));
+    },
+
+    /** Hide injected text + freeze the composer (prosemirror-parent) height. */
+    hideInputCSS: function (input) {
+      var composerH = input.parentElement ? input.parentElement.offsetHeight : 52;
+      return '#prompt-textarea, #prompt-textarea * { color: transparent !important; caret-color: transparent !important; }' +
+        '\ndiv:has(> #prompt-textarea) { max-height: ' + composerH + 'px !important; overflow: hidden !important; }';
+    },
+
+    isDarkTheme: function () {
+      return document.documentElement.classList.contains("dark");
+    },
+
+    nativeAskButtonText: "Ask ChatGPT",
+  });
+})();
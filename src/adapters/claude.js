@@ -0,0 +1,99 @@
+// claude.js — Site adapter for Claude (claude.ai).
+// Interface documented in src/site-adapters.js.
+//
+// Claude's turns carry no message ids or numbered attributes, so turns are
+// numbered by position and turnSelector() can't address them: hidden turns
+// are hidden by the enforcer once they render instead of by early-hide.js.
+(function () {
+  "use strict";
+
+  var TURN = "div[data-test-render-count]";
+  var ASSISTANT = ".font-claude-response, .font-claude-message";
+  var USER_MESSAGE = '[data-testid="user-message"]';
+  var INPUT = 'div.ProseMirror[contenteditable="true"]';
+  var STOP_BUTTON = 'button[aria-label="Stop response"], button[aria-label="Stop Response"]';
+
+  registerSiteAdapter({
+    id: "claude",
+    name: "Claude",
+    hosts: ["claude.ai"],
+    newChatPath: "/new",
+
+    selectors: {
+      turn: TURN,
+      responseContent: ASSISTANT,
+      chatInput: INPUT,
+      sendButton: 'button[aria-label="Send message"], button[aria-label="Send Message"]',
+      stopButton: STOP_BUTTON,
+      citationPill: null,
+      codeBlockWrapper: null,
+    },
+
+    isAssistantTurn: function (turn) {
+      return !!turn.querySelector(ASSISTANT) && !turn.querySelector(USER_MESSAGE);
+    },
+
+    turnRole: function (turn) {
+      if (turn.querySelector(USER_MESSAGE)) return "user";
+      return turn.querySelector(ASSISTANT) ? "assistant" : null;
+    },
+
+    userText: function (turn) {
+      var el = turn.querySelector(USER_MESSAGE);
+      return el ? el.textContent || "" : "";
+    },
+
+    /** 1-based position among the conversation's turns. */
+    turnNumber: function (turn) {
+      var turns = document.querySelectorAll(TURN);
+      for (var i = 0; i < turns.length; i++) {
+        if (turns[i] === turn) return i + 1;
+      }
+      return -1;
+    },
+
+    messageId: function () {
+      return null;
+    },
+
+    turnSelector: function () {
+      return null;
+    },
+
+    /** Streaming responses are flagged data-is-streaming="true" until done. */
+    isGenerating: function () {
+      return !!document.querySelector('[data-is-streaming="true"]')
+        || !!document.querySelector(STOP_BUTTON);
+    },
+
+    findSendButton: function () {
+      return document.querySelector('button[aria-label="Send message"], button[aria-label="Send Message"]')
+        || document.querySelector('fieldset button[type="submit"]');
+    },
+
+    /**
+     * Claude turns a large paste into an attachment, so type the text in
+     * instead: one insertText per line, insertParagraph between lines.
+     */
+    insertText: function (input, text) {
+      var lines = text.split("\n");
+      for (var i = 0; i < lines.length; i++) {
+        if (i > 0) document.execCommand("insertParagraph");
+        if (lines[i]) document.execCommand("insertText", false, lines[i]);
+      }
+    },
+
+    hideInputCSS: function (input) {
+      var composerH = input.parentElement ? input.parentElement.offsetHeight : 52;
+      return INPUT + ", " + INPUT + " * { color: transparent !important; caret-color: transparent !important; }" +
+        "\ndiv:has(> " + INPUT + ") { max-height: " + composerH + "px !important; overflow: hidden !important; }";
+    },
+
+    isDarkTheme: function () {
+      var root = document.documentElement;
+      return root.getAttribute("data-mode") === "dark" || root.classList.contains("dark");
+    },
+
+    nativeAskButtonText: null,
+  });
+})();
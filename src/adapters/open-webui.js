@@ -0,0 +1,123 @@
+// open-webui.js — Site adapter for self-hosted Open WebUI.
+// Interface documented in src/site-adapters.js.
+//
+// Open WebUI runs on whatever host the user deploys it to, so this adapter has
+// no hosts of its own: it is only injected on origins the user added on the
+// options page (see src/custom-hosts.js) and claims any page it's loaded on.
+// Messages carry id="message-<id>", so turns are addressable by message id;
+// they have no numbered attribute, so turn numbers are positional.
+(function () {
+  "use strict";
+
+  var TURN = '#messages-container div[id^="message-"]';
+  var USER_CLASS = "user-message";
+  var RESPONSE = "#response-content-container";
+  var INPUT = "#chat-input";
+  var SEND_BUTTON = "#send-message-button";
+  var STOP_BUTTON = 'button[aria-label="Stop"], button[aria-label="Stop response"]';
+  // Action buttons rendered under a response only once it has finished
+  var DONE_MARKER = ".regenerate-response-button, .copy-response-button";
+
+  function isUserTurn(turn) {
+    return turn.classList.contains(USER_CLASS);
+  }
+
+  registerSiteAdapter({
+    id: "openwebui",
+    name: "Open WebUI",
+    hosts: [],
+    selfHosted: true,
+    newChatPath: "/",
+
+    selectors: {
+      turn: TURN,
+      responseContent: RESPONSE,
+      chatInput: INPUT,
+      sendButton: SEND_BUTTON,
+      stopButton: STOP_BUTTON,
+      citationPill: null,
+      codeBlockWrapper: null,
+    },
+
+    isAssistantTurn: function (turn) {
+      return !isUserTurn(turn) && !!turn.querySelector(RESPONSE);
+    },
+
+    turnRole: function (turn) {
+      if (isUserTurn(turn)) return "user";
+      return turn.querySelector(RESPONSE) ? "assistant" : null;
+    },
+
+    userText: function (turn) {
+      if (!isUserTurn(turn)) return "";
+      var el = turn.querySelector(".markdown-prose, .whitespace-pre-wrap");
+      return (el || turn).textContent || "";
+    },
+
+    /** 1-based position among the conversation's turns. */
+    turnNumber: function (turn) {
+      var turns = document.querySelectorAll(TURN);
+      for (var i = 0; i < turns.length; i++) {
+        if (turns[i] === turn) return i + 1;
+      }
+      return -1;
+    },
+
+    /** From the turn's element id, e.g. "message-3f2a…" → "3f2a…". */
+    messageId: function (turn) {
+      return turn.id && turn.id.indexOf("message-") === 0 ? turn.id.slice(8) : null;
+    },
+
+    turnSelector: function (ref) {
+      if (typeof ref === "string" && ref) return '#messages-container div[id="message-' + CSS.escape(ref) + '"]';
+      return null;
+    },
+
+    /**
+     * A stop button while streaming, and the last response has no action
+     * buttons until it's done.
+     */
+    isGenerating: function () {
+      if (document.querySelector(STOP_BUTTON)) return true;
+      var turns = document.querySelectorAll(TURN);
+      var last = turns[turns.length - 1];
+      return !!last && !isUserTurn(last) && !last.querySelector(DONE_MARKER);
+    },
+
+    findSendButton: function () {
+      return document.querySelector(SEND_BUTTON)
+        || document.querySelector('form button[type="submit"]');
+    },
+
+    /**
+     * The input is a plain <textarea> or, with rich text input on, a
+     * contenteditable editor. The textarea's value is set through the native
+     * setter so Svelte's binding sees the input event.
+     */
+    insertText: function (input, text) {
+      if (input.tagName === "TEXTAREA") {
+        var setter = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, "value").set;
+        setter.call(input, text);
+        input.dispatchEvent(new Event("input", { bubbles: true }));
+        return;
+      }
+      var lines = text.split("\n");
+      for (var i = 0; i < lines.length; i++) {
+        if (i > 0) document.execCommand("insertParagraph");
+        if (lines[i]) document.execCommand("insertText", false, lines[i]);
+      }
+    },
+
+    hideInputCSS: function (input) {
+      var composerH = input.offsetHeight || 52;
+      return INPUT + ", " + INPUT + " * { color: transparent !important; caret-color: transparent !important; }" +
+        "\n" + INPUT + " { max-height: " + composerH + "px !important; overflow: hidden !important; }";
+    },
+
+    isDarkTheme: function () {
+      return document.documentElement.classList.contains("dark");
+    },
+
+    nativeAskButtonText: null,
+  });
+})();
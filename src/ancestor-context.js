@@ -0,0 +1,109 @@
+// ancestor-context.js — Breadcrumb of earlier popups for chained questions.
+//
+// A chained popup's message only quotes the popup answer it was asked in, and
+// that answer sits among many hidden turns, so the model can lose track of
+// which tangent it belongs to. With Settings → Follow-up context on, chained
+// questions start with the path that led there, from the level-1 quote down:
+//   short — each ancestor's quote and question
+//   full  — plus each ancestor's answer
+// The breadcrumb is capped at a token budget; the oldest ancestors are
+// dropped first.
+(function () {
+  "use strict";
+
+  var st = JR.state;
+
+  // ANCESTOR_CONTEXT_KEY and DEFAULT_CONTEXT_TOKENS: src/context-settings.js
+  var CHARS_PER_TOKEN = 4;              // rough estimate; good enough for a cap
+
+  /** First line of the breadcrumb; recovery.js skips past it when parsing. */
+  JR.ANCESTOR_CONTEXT_HEADER = "For context, this question continues a chain of follow-ups:";
+
+  var mode = "off";
+  var maxTokens = DEFAULT_CONTEXT_TOKENS;
+
+  function applySettings(settings) {
+    mode = settings && (settings.mode === "short" || settings.mode === "full") ? settings.mode : "off";
+    maxTokens = settings && settings.maxTokens > 0 ? settings.maxTokens : DEFAULT_CONTEXT_TOKENS;
+  }
+
+  chrome.storage.local.get(ANCESTOR_CONTEXT_KEY, function (result) {
+    applySettings(result[ANCESTOR_CONTEXT_KEY]);
+  });
+
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area === "local" && changes[ANCESTOR_CONTEXT_KEY]) applySettings(changes[ANCESTOR_CONTEXT_KEY].newValue);
+  });
+
+  function itemById(entry, itemId) {
+    if (!entry.items) return null;
+    for (var i = 0; i < entry.items.length; i++) {
+      if (entry.items[i].id === itemId) return entry.items[i];
+    }
+    return entry.items[entry.activeItemIndex || 0] || null;
+  }
+
+  function answerMarkdown(html) {
+    if (!html || html === "__PENDING__" || html === "__TIMEOUT__") return "";
+    var root = JR.parseResponseHTML(html);
+    JR.wireCopyButtons(root);
+    return JR.htmlToMarkdown(root).trim();
+  }
+
+  /**
+   * One line per ancestor, nearest first: [{ short, full }]. Each popup is
+   * read at the version its child was asked in.
+   */
+  function ancestorSteps(parentId, parentItemId) {
+    var steps = [];
+    var entry = parentId ? st.completedHighlights.get(parentId) : null;
+    var wantItemId = parentItemId;
+    while (entry) {
+      var item = itemById(entry, wantItemId);
+      var question = item ? item.question : entry.question;
+      var about = entry.wholeResponse
+        ? "About the whole answer before it"
+        : 'About "' + (entry.text || "").replace(/\s+/g, " ").trim() + '"';
+      var brief = about + (question ? ", I asked: " + question : "");
+      var answer = mode === "full" && item ? answerMarkdown(item.responseHTML) : "";
+      steps.push({ short: brief, full: answer ? brief + "\nYou answered:\n" + answer : brief });
+      wantItemId = entry.parentItemId;
+      entry = entry.parentId ? st.completedHighlights.get(entry.parentId) : null;
+    }
+    return steps;
+  }
+
+  /**
+   * Prefix a chained question's message with its ancestor breadcrumb, if the
+   * setting is on.
+   * @param {string} message - The injection message
+   * @param {string|null} parentId - quoteId of the popup the question was asked in
+   * @param {string|null} parentItemId - That popup's version
+   * @returns {string}
+   */
+  JR.withAncestorContext = function (message, parentId, parentItemId) {
+    if (mode === "off" || !parentId) return message;
+    var steps = ancestorSteps(parentId, parentItemId);
+    if (steps.length === 0) return message;
+
+    // Nearest ancestors first, each in full if it fits, else its short form
+    var budget = maxTokens * CHARS_PER_TOKEN;
+    var kept = [];
+    for (var i = 0; i < steps.length; i++) {
+      var line = steps[i].full.length <= budget ? steps[i].full : steps[i].short;
+      if (line.length > budget) {
+        if (kept.length === 0 && budget > 0) kept.unshift(JR.truncateText(line, budget));
+        break;
+      }
+      kept.unshift(line);
+      budget -= line.length;
+    }
+    if (kept.length === 0) return message;
+
+    var lines = [JR.ANCESTOR_CONTEXT_HEADER];
+    var omitted = steps.length - kept.length;
+    if (omitted > 0) lines.push("(" + omitted + (omitted === 1 ? " earlier step" : " earlier steps") + " left out)");
+    for (var k = 0; k < kept.length; k++) lines.push((omitted + k + 1) + ". " + kept[k]);
+    return lines.join("\n") + "\n\n" + message;
+  };
+})();
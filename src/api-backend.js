@@ -0,0 +1,81 @@
+// api-backend.js — Optional direct API backend for popup questions.
+//
+// With the backend on (Settings → Direct API), JR.enqueueMessage hands popup
+// questions here instead of typing them into the chat: the quote, sentence
+// context and question go to an OpenAI-compatible chat-completions endpoint
+// through the worker (src/api-client.js), the answer streams into the popup,
+// and it is saved on the same highlight records as a captured response. No
+// chat turns are created, so nothing has to be hidden.
+(function () {
+  "use strict";
+
+  var st = JR.state;
+
+  var API_BACKEND_KEY = "jumpreturn_api_backend";
+
+  var SYSTEM_PROMPT = "You answer follow-up questions about a passage from an earlier AI response. " +
+    "The user quotes the part they are asking about; answer that question directly. Format with Markdown.";
+
+  var enabled = false;
+
+  function applySettings(settings) {
+    enabled = !!(settings && settings.enabled && settings.baseUrl);
+  }
+
+  chrome.storage.local.get(API_BACKEND_KEY, function (result) {
+    applySettings(result[API_BACKEND_KEY]);
+  });
+
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area === "local" && changes[API_BACKEND_KEY]) applySettings(changes[API_BACKEND_KEY].newValue);
+  });
+
+  /** True when popup questions should go to the API instead of the chat. */
+  JR.apiBackendEnabled = function () {
+    return enabled;
+  };
+
+  /**
+   * Chat messages for a queued popup question. The message already holds the
+   * quote, sentence and question; a reply to a whole popup response only says
+   * "your response above", so that response goes in as the assistant's turn.
+   */
+  function buildMessages(opts, entry) {
+    var messages = [{ role: "system", content: SYSTEM_PROMPT }];
+    var source = entry && entry.wholeResponse ? JR.sourceResponseText(entry) : null;
+    if (source && source.text) messages.push({ role: "assistant", content: source.text });
+    messages.push({ role: "user", content: opts.message });
+    return messages;
+  }
+
+  /**
+   * Answer a popup question through the API backend. Takes the same options
+   * as JR.enqueueMessage; beforeSend is skipped since the chat isn't touched.
+   */
+  JR.askViaApi = function (opts) {
+    var answer = JR.startDirectAnswer(opts);
+    if (!answer) return;
+    var entry = st.completedHighlights.get(answer.hlId);
+
+    var text = "";
+    var port = chrome.runtime.connect({ name: "jr-api" });
+
+    port.onMessage.addListener(function (msg) {
+      if (msg.error) {
+        port.disconnect();
+        answer.finish(null, msg.error);
+      } else if (msg.done) {
+        port.disconnect();
+        answer.finish(JR.renderMarkdown(text));
+      } else if (msg.delta) {
+        text += msg.delta;
+        answer.show(JR.renderMarkdown(text));
+      }
+    });
+    port.onDisconnect.addListener(function () {
+      answer.finish(null, "the extension worker stopped");
+    });
+
+    port.postMessage({ messages: buildMessages(opts, entry) });
+  };
+})();
@@ -0,0 +1,97 @@
+// api-client.js — OpenAI-compatible chat-completions client.
+// Loaded into background.js with importScripts; the content script streams
+// answers through it over a "jr-api" port (see src/api-backend.js).
+//
+// Settings live in chrome.storage.local (API_BACKEND_KEY), written by the
+// options page: { enabled, baseUrl, apiKey, model }. The worker makes the
+// request because the content script's fetch is bound by the chat page's
+// CORS policy; the origin's host permission is requested when the settings
+// are saved. The key never leaves the extension except in that request.
+
+const API_BACKEND_KEY = "jumpreturn_api_backend";
+
+/** @returns {Promise<{enabled: boolean, baseUrl: string, apiKey: string, model: string}>} */
+async function getApiSettings() {
+  var result = await chrome.storage.local.get(API_BACKEND_KEY);
+  var s = result[API_BACKEND_KEY] || {};
+  return { enabled: !!s.enabled, baseUrl: s.baseUrl || "", apiKey: s.apiKey || "", model: s.model || "" };
+}
+
+/**
+ * The chat-completions endpoint for a base URL. Accepts the API root
+ * ("http://localhost:8080/v1") or the full endpoint.
+ */
+function completionsUrl(baseUrl) {
+  var url = String(baseUrl || "").trim().replace(/\/+$/, "");
+  return /\/chat\/completions$/.test(url) ? url : url + "/chat/completions";
+}
+
+/** Pull the text out of an error response body, if it has one. */
+async function errorDetail(res) {
+  try {
+    var body = await res.json();
+    return (body.error && (body.error.message || body.error)) || body.message || "";
+  } catch (e) {
+    return "";
+  }
+}
+
+/**
+ * POST a streaming chat completion and report the answer as it arrives.
+ * Servers that ignore `stream: true` and answer with one JSON body work too.
+ * @param {object} settings - From getApiSettings()
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {function(string)} onDelta - Called with each new piece of text
+ * @param {AbortSignal} [signal]
+ */
+async function streamCompletion(settings, messages, onDelta, signal) {
+  var headers = { "Content-Type": "application/json", Accept: "text/event-stream" };
+  if (settings.apiKey) headers.Authorization = "Bearer " + settings.apiKey;
+  var body = { messages: messages, stream: true };
+  if (settings.model) body.model = settings.model;
+
+  var res = await fetch(completionsUrl(settings.baseUrl), {
+    method: "POST",
+    headers: headers,
+    body: JSON.stringify(body),
+    signal: signal,
+  });
+  if (!res.ok) {
+    var detail = await errorDetail(res);
+    throw new Error("HTTP " + res.status + (detail ? ": " + detail : ""));
+  }
+
+  if (!/text\/event-stream/i.test(res.headers.get("content-type") || "")) {
+    var json = await res.json();
+    var choice = json.choices && json.choices[0];
+    var content = choice && choice.message ? choice.message.content : "";
+    if (content) onDelta(content);
+    return;
+  }
+
+  var reader = res.body.getReader();
+  var decoder = new TextDecoder();
+  var buffer = "";
+  for (;;) {
+    var chunk = await reader.read();
+    if (chunk.done) return;
+    buffer += decoder.decode(chunk.value, { stream: true });
+    var lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (var i = 0; i < lines.length; i++) {
+      var line = lines[i].trim();
+      if (line.indexOf("data:") !== 0) continue;
+      var data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+      var event;
+      try {
+        event = JSON.parse(data);
+      } catch (e) {
+        continue;
+      }
+      if (event.error) throw new Error(event.error.message || String(event.error));
+      var delta = event.choices && event.choices[0] && event.choices[0].delta;
+      if (delta && delta.content) onDelta(delta.content);
+    }
+  }
+}
@@ -0,0 +1,284 @@
+// backup.js — Versioned JSON backup / restore of the highlight store.
+// Loaded into background.js with importScripts and run against its open db
+// (through the exportBackup / importBackup / listConversations ops), so it
+// shares idbRequest, idbDone, migrateToQuoteIdFormat and the storage keys.
+//
+// File shape:
+//   { format: "jumpreturn-backup", version: 1, exportedAt, conversationId|null,
+//     highlights: [record, ...], deletedTurns: { conversationId: [turnRef, ...] } }
+// A bare array (a DevTools dump of the old jumpreturn_highlights key) is
+// accepted too and treated as version 0.
+
+const BACKUP_FORMAT = "jumpreturn-backup";
+const BACKUP_VERSION = 1;
+const CONFLICT_POLICIES = ["skip", "overwrite", "keepBoth"];
+
+/** Record fields kept on import; anything else in the file is dropped. */
+var RECORD_FIELDS = [
+  "id", "quoteId", "text", "sentence", "blockTypes", "question", "responseHTML",
+  "url", "conversationId", "site", "parentId", "parentItemId",
+  "sourceTurnIndex", "questionIndex", "responseIndex",
+  "sourceMessageId", "questionMessageId", "responseMessageId",
+  "quoteSelector", "positionSelector", "anchorConfidence",
+  "color", "createdAt", "active", "wholeResponse", "groupQuotes", "unfolded", "fork",
+];
+
+/**
+ * Build a backup of one conversation, or of everything when conversationId is null.
+ * @returns {Promise<object>}
+ */
+async function buildBackup(db, conversationId) {
+  var tx = db.transaction(HL_STORE, "readonly");
+  var store = tx.objectStore(HL_STORE);
+  var highlights = conversationId
+    ? await idbRequest(store.index("conversationId").getAll(conversationId))
+    : await idbRequest(store.getAll());
+
+  var result = await chrome.storage.local.get(DELETED_TURNS_KEY);
+  var deleted = result[DELETED_TURNS_KEY] || {};
+  var deletedTurns = {};
+  if (!conversationId) {
+    deletedTurns = deleted;
+  } else if (deleted[conversationId]) {
+    deletedTurns[conversationId] = deleted[conversationId];
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversationId: conversationId || null,
+    highlights: highlights,
+    deletedTurns: deletedTurns,
+  };
+}
+
+/**
+ * Check a parsed backup file and return its parts. Throws an Error whose
+ * message is shown to the user when the file can't be imported.
+ * @returns {{highlights: object[], deletedTurns: object}}
+ */
+function validateBackup(data) {
+  var backup = Array.isArray(data)
+    ? { format: BACKUP_FORMAT, version: 0, highlights: data, deletedTurns: {} }
+    : data;
+  if (!backup || typeof backup !== "object" || backup.format !== BACKUP_FORMAT) {
+    throw new Error("Not a Popup backup file");
+  }
+  if (typeof backup.version !== "number") throw new Error("Backup has no format version");
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error("Backup was made by a newer version of Popup (format v" + backup.version + ")");
+  }
+  if (!Array.isArray(backup.highlights)) {
+    throw new Error("Backup has no highlights list");
+  }
+  for (var i = 0; i < backup.highlights.length; i++) {
+    var h = backup.highlights[i];
+    var where = "Highlight " + (i + 1) + ": ";
+    if (!h || typeof h !== "object") throw new Error(where + "not an object");
+    if (typeof h.id !== "string" || !h.id) throw new Error(where + "missing id");
+    if (typeof h.text !== "string") throw new Error(where + "missing text");
+    if (typeof h.url !== "string" && typeof h.conversationId !== "string") {
+      throw new Error(where + "missing url");
+    }
+    if (h.quoteId != null && typeof h.quoteId !== "string") throw new Error(where + "bad quoteId");
+    if (h.parentId != null && typeof h.parentId !== "string") throw new Error(where + "bad parentId");
+  }
+
+  var deletedTurns = {};
+  var raw = backup.deletedTurns || {};
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error("Backup has a malformed deletedTurns map");
+  Object.keys(raw).forEach(function (k) {
+    if (!Array.isArray(raw[k])) throw new Error("Backup has a malformed deletedTurns list for " + k);
+    deletedTurns[k] = raw[k].filter(function (ref) {
+      return typeof ref === "string" ? ref.length > 0 : typeof ref === "number" && ref > 0;
+    });
+  });
+
+  return { highlights: backup.highlights, deletedTurns: deletedTurns };
+}
+
+/** Copy only known fields and give the record a conversation key. */
+function cleanImportedRecord(h) {
+  var rec = {};
+  for (var i = 0; i < RECORD_FIELDS.length; i++) {
+    if (h[RECORD_FIELDS[i]] !== undefined) rec[RECORD_FIELDS[i]] = h[RECORD_FIELDS[i]];
+  }
+  // Draft keys belong to a page that no longer exists; fall back to the URL
+  if (typeof rec.conversationId !== "string" || /^draft:/.test(rec.conversationId)) {
+    rec.conversationId = conversationKeyForLegacyUrl(rec.url);
+  }
+  rec.parentId = rec.parentId || null;
+  rec.parentItemId = rec.parentItemId || null;
+  rec.active = rec.active !== false;
+  return rec;
+}
+
+/** Leave exactly one active version per quoteId (the newest if none was). */
+function normalizeActiveVersions(records) {
+  var byQuote = {};
+  for (var i = 0; i < records.length; i++) {
+    var q = records[i].quoteId;
+    (byQuote[q] = byQuote[q] || []).push(records[i]);
+  }
+  Object.keys(byQuote).forEach(function (q) {
+    var group = byQuote[q];
+    var active = group.filter(function (r) { return r.active; });
+    var keep = active.length > 0 ? active[active.length - 1] : group.reduce(function (a, b) {
+      return (b.createdAt || 0) >= (a.createdAt || 0) ? b : a;
+    });
+    for (var j = 0; j < group.length; j++) group[j].active = group[j] === keep;
+  });
+}
+
+/**
+ * Merge a backup into the store.
+ *
+ * Conflicts are decided per highlight (quoteId): a highlight conflicts when the
+ * store already has that quoteId, or any of its version ids.
+ *  - "skip"      keep what's in the store, drop the imported highlight
+ *  - "overwrite" replace the stored versions with the imported ones
+ *  - "keepBoth"  import it as a copy under fresh quoteId / item ids; imported
+ *                children follow it onto the new ids
+ * Deleted-turn lists are unioned.
+ *
+ * @param {object} db
+ * @param {object|Array} data - Parsed backup file
+ * @param {string} policy - One of CONFLICT_POLICIES
+ * @returns {Promise<{added: number, skipped: number, overwritten: number, duplicated: number}>}
+ *   Counts of highlights (quoteIds), not versions
+ */
+async function mergeBackup(db, data, policy) {
+  if (CONFLICT_POLICIES.indexOf(policy) === -1) throw new Error("Unknown conflict policy: " + policy);
+  var backup = validateBackup(data);
+  var records = migrateToQuoteIdFormat(backup.highlights).map(cleanImportedRecord);
+
+  var groups = {};
+  var order = [];
+  for (var i = 0; i < records.length; i++) {
+    var q = records[i].quoteId;
+    if (!groups[q]) { groups[q] = []; order.push(q); }
+    groups[q].push(records[i]);
+  }
+
+  var tx = db.transaction(HL_STORE, "readwrite");
+  var store = tx.objectStore(HL_STORE);
+  var existingByQuote = await Promise.all(order.map(function (q) {
+    return idbRequest(store.index("quoteId").getAll(q));
+  }));
+  var existingById = await Promise.all(records.map(function (r) {
+    return idbRequest(store.get(r.id));
+  }));
+  var idTaken = {};
+  for (var e = 0; e < records.length; e++) {
+    if (existingById[e]) idTaken[records[e].id] = existingById[e];
+  }
+
+  var summary = { added: 0, skipped: 0, overwritten: 0, duplicated: 0 };
+  var quoteRemap = {};
+  var itemRemap = {};
+  var toWrite = [];
+  var keys = [];
+  for (var g = 0; g < order.length; g++) {
+    var group = groups[order[g]];
+    var stored = existingByQuote[g];
+    var clashes = group.filter(function (r) { return idTaken[r.id]; });
+    if (stored.length === 0 && clashes.length === 0) {
+      summary.added++;
+    } else if (policy === "skip") {
+      summary.skipped++;
+      continue;
+    } else if (policy === "overwrite") {
+      for (var s = 0; s < stored.length; s++) {
+        store.delete(stored[s].id);
+        keys.push(stored[s].conversationId);
+      }
+      for (var c = 0; c < clashes.length; c++) {
+        store.delete(clashes[c].id);
+        keys.push(idTaken[clashes[c].id].conversationId);
+      }
+      summary.overwritten++;
+    } else {
+      quoteRemap[order[g]] = crypto.randomUUID();
+      for (var r = 0; r < group.length; r++) itemRemap[group[r].id] = crypto.randomUUID();
+      summary.duplicated++;
+    }
+    for (var w = 0; w < group.length; w++) toWrite.push(group[w]);
+  }
+
+  for (var t = 0; t < toWrite.length; t++) {
+    var rec = toWrite[t];
+    if (quoteRemap[rec.quoteId]) rec.quoteId = quoteRemap[rec.quoteId];
+    if (itemRemap[rec.id]) rec.id = itemRemap[rec.id];
+    if (rec.parentId && quoteRemap[rec.parentId]) rec.parentId = quoteRemap[rec.parentId];
+    if (rec.parentItemId && itemRemap[rec.parentItemId]) rec.parentItemId = itemRemap[rec.parentItemId];
+  }
+  normalizeActiveVersions(toWrite);
+  for (var p = 0; p < toWrite.length; p++) {
+    store.put(toWrite[p]);
+    keys.push(toWrite[p].conversationId);
+  }
+  await idbDone(tx);
+
+  await mergeDeletedTurns(backup.deletedTurns);
+  await refreshHiddenTurns(db, keys);
+  return summary;
+}
+
+/** Union imported deleted-turn lists into chrome.storage.local. */
+async function mergeDeletedTurns(imported) {
+  var importedKeys = Object.keys(imported);
+  if (importedKeys.length === 0) return;
+  var result = await chrome.storage.local.get(DELETED_TURNS_KEY);
+  var deleted = result[DELETED_TURNS_KEY] || {};
+  for (var i = 0; i < importedKeys.length; i++) {
+    if (/^draft:/.test(importedKeys[i])) continue;
+    var k = /^https?:/.test(importedKeys[i]) ? conversationKeyForLegacyUrl(importedKeys[i]) : importedKeys[i];
+    var into = deleted[k] || [];
+    var refs = imported[importedKeys[i]];
+    for (var j = 0; j < refs.length; j++) {
+      if (into.indexOf(refs[j]) === -1) into.push(refs[j]);
+    }
+    deleted[k] = into;
+  }
+  await chrome.storage.local.set({ [DELETED_TURNS_KEY]: deleted });
+}
+
+/**
+ * One summary row per stored conversation, newest first, for choosing what to export.
+ * @returns {Promise<Array<{conversationId, url, title, highlights, updatedAt}>>}
+ */
+async function summarizeConversations(db) {
+  var tx = db.transaction(HL_STORE, "readonly");
+  var all = await idbRequest(tx.objectStore(HL_STORE).getAll());
+  var byKey = {};
+  for (var i = 0; i < all.length; i++) {
+    var r = all[i];
+    var row = byKey[r.conversationId];
+    if (!row) {
+      row = byKey[r.conversationId] = {
+        conversationId: r.conversationId, url: r.url, title: "", quoteIds: {}, updatedAt: 0, firstAt: Infinity,
+      };
+    }
+    row.quoteIds[r.quoteId] = true;
+    if ((r.createdAt || 0) >= row.updatedAt) {
+      row.updatedAt = r.createdAt || 0;
+      row.url = r.url;
+    }
+    // Title: the earliest level-1 quote in the conversation
+    if (!r.parentId && (r.createdAt || 0) < row.firstAt) {
+      row.firstAt = r.createdAt || 0;
+      row.title = r.text || "";
+    }
+  }
+  return Object.keys(byKey).map(function (k) {
+    var row = byKey[k];
+    return {
+      conversationId: row.conversationId,
+      url: row.url,
+      title: row.title,
+      highlights: Object.keys(row.quoteIds).length,
+      updatedAt: row.updatedAt,
+    };
+  }).sort(function (a, b) { return b.updatedAt - a.updatedAt; });
+}
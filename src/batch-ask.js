@@ -0,0 +1,371 @@
+// batch-ask.js — Batch questions (Step 2f): ask one question about each
+// collected quote or saved highlight, one queued message apiece.
+//
+// "Ask each" in the quote tray (src/quote-group.js) opens a question bar. A
+// new quote is saved as a pending highlight, as a popup send would save it; a
+// saved highlight gets the answer as a new version, as an edit would. The
+// messages go through JR.enqueueMessage without a popup, so each answer is
+// captured in the background and opens as a normal popup. A panel lists them
+// as queued, streaming, done or timed out.
+(function () {
+  "use strict";
+
+  var st = JR.state;
+  var S = JR.SELECTORS;
+
+  var POLL_MS = 400;  // how often the panel re-reads each question's status
+
+  var STATUS_LABELS = {
+    queued: "Queued",
+    streaming: "Streaming\u2026",
+    done: "Done",
+    timeout: "Timed out",
+    deleted: "Deleted",
+  };
+
+  var panel = null;     // floating panel: question bar and/or progress list
+  var rows = [];        // { hlId, itemId, itemsBefore, text, sent, status, el }
+  var pollTimer = null;
+
+  // --- Panel ---
+
+  function ensurePanel() {
+    if (panel) return panel;
+    panel = document.createElement("div");
+    panel.className = "jr-batch-panel";
+    panel.setAttribute("role", "dialog");
+    panel.setAttribute("aria-label", "Batch question");
+
+    var header = document.createElement("div");
+    header.className = "jr-batch-header";
+    var title = document.createElement("span");
+    title.className = "jr-batch-title";
+    header.appendChild(title);
+    var closeBtn = document.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.className = "jr-batch-close";
+    closeBtn.title = "Close (questions keep going)";
+    closeBtn.setAttribute("aria-label", "Close");
+    closeBtn.textContent = "\u00d7";
+    closeBtn.addEventListener("click", JR.closeBatchPanel);
+    header.appendChild(closeBtn);
+    panel.appendChild(header);
+
+    var list = document.createElement("div");
+    list.className = "jr-batch-list";
+    panel.appendChild(list);
+
+    // Keep open popups as they are
+    panel.addEventListener("mousedown", function (e) { e.stopPropagation(); });
+    panel.addEventListener("keydown", function (e) {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        closeComposer();
+      }
+    });
+    document.body.appendChild(panel);
+    return panel;
+  }
+
+  /** Hide the panel. Questions already queued are still asked and saved. */
+  JR.closeBatchPanel = function () {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+    rows = [];
+    if (panel) {
+      panel.remove();
+      panel = null;
+    }
+  };
+
+  function renderTitle() {
+    if (!panel) return;
+    var title = panel.querySelector(".jr-batch-title");
+    if (panel.querySelector(".jr-batch-composer")) {
+      var n = JR.collectedQuoteCount();
+      title.textContent = "Ask each of " + n + (n === 1 ? " quote" : " quotes");
+    } else {
+      var finished = rows.filter(isFinished).length;
+      title.textContent = finished + " of " + rows.length + " answered";
+    }
+  }
+
+  // --- Question bar ---
+
+  /** Open the question bar for the collected quotes. */
+  JR.showBatchComposer = function () {
+    if (JR.collectedQuoteCount() === 0) return;
+    ensurePanel();
+    var composer = panel.querySelector(".jr-batch-composer");
+    if (composer) {
+      composer.querySelector(".jr-batch-input").focus();
+      return;
+    }
+    composer = document.createElement("div");
+    composer.className = "jr-batch-composer";
+
+    var input = document.createElement("input");
+    input.type = "text";
+    input.className = "jr-batch-input";
+    input.placeholder = "Question for each quote\u2026";
+    input.setAttribute("aria-label", "Question for each quote");
+    composer.appendChild(input);
+
+    var controls = document.createElement("div");
+    controls.className = "jr-batch-controls";
+    var modeSelect = document.createElement("select");
+    modeSelect.className = "jr-batch-mode";
+    modeSelect.setAttribute("aria-label", "Response mode");
+    var modes = JR.responseModes();
+    for (var i = 0; i < modes.length; i++) {
+      var opt = document.createElement("option");
+      opt.value = modes[i].id;
+      opt.textContent = modes[i].label;
+      if (modes[i].id === st.responseMode) opt.selected = true;
+      modeSelect.appendChild(opt);
+    }
+    controls.appendChild(modeSelect);
+    var sendBtn = document.createElement("button");
+    sendBtn.type = "button";
+    sendBtn.className = "jr-batch-send";
+    sendBtn.textContent = "Send";
+    sendBtn.disabled = true;
+    controls.appendChild(sendBtn);
+    var cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "jr-batch-cancel";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", closeComposer);
+    controls.appendChild(cancelBtn);
+    composer.appendChild(controls);
+
+    // A chip sends its question right away, saved under its label
+    var chips = JR.buildQuickActionRow(function (action) {
+      sendBatch(action.label, action.question, action.mode || modeSelect.value);
+    });
+    if (chips) composer.appendChild(chips);
+
+    function send() {
+      var question = input.value.trim();
+      if (question) sendBatch(question, question, modeSelect.value);
+    }
+    input.addEventListener("input", function () {
+      sendBtn.disabled = !input.value.trim();
+    });
+    input.addEventListener("keydown", function (e) {
+      if (e.key === "Enter" && !e.isComposing) {
+        e.preventDefault();
+        send();
+      }
+    });
+    sendBtn.addEventListener("click", send);
+
+    panel.insertBefore(composer, panel.querySelector(".jr-batch-list"));
+    renderTitle();
+    input.focus();
+  };
+
+  /** Follow the tray: recount, or close the bar once the tray is cleared. */
+  JR.refreshBatchComposer = function () {
+    if (!panel || !panel.querySelector(".jr-batch-composer")) return;
+    if (JR.collectedQuoteCount() === 0) closeComposer();
+    else renderTitle();
+  };
+
+  function closeComposer() {
+    if (!panel) return;
+    var composer = panel.querySelector(".jr-batch-composer");
+    if (composer) composer.remove();
+    if (rows.length === 0) JR.closeBatchPanel();
+    else renderTitle();
+  }
+
+  // --- Sending ---
+
+  /**
+   * Ask `messageQuestion` about every collected quote.
+   * @param {string} question - Saved and shown as each popup's question
+   * @param {string} messageQuestion - Sent in its place (a chip's full question)
+   * @param {string} modeId
+   */
+  function sendBatch(question, messageQuestion, modeId) {
+    var composer = panel && panel.querySelector(".jr-batch-composer");
+    if (composer) composer.remove();
+    var quotes = JR.takeCollectedQuotes();
+    if (quotes.length === 0) {
+      closeComposer();
+      return;
+    }
+
+    JR.freezeChat();
+    for (var i = 0; i < quotes.length; i++) {
+      var row = quotes[i].hlId
+        ? askHighlight(quotes[i].hlId, question, messageQuestion, modeId)
+        : askQuote(quotes[i], question, messageQuestion, modeId);
+      if (row) addRow(row);
+    }
+    JR.updateNavWidget();
+    renderTitle();
+    startPolling();
+  }
+
+  function enqueue(row, message, waitOpts) {
+    JR.enqueueMessage({
+      message: message,
+      waitOpts: waitOpts,
+      beforeSend: function (w) {
+        w.turnsBefore = document.querySelectorAll(S.turn).length;
+        row.sent = true;
+      },
+    });
+  }
+
+  /** A saved highlight: the answer becomes its newest version. */
+  function askHighlight(hlId, question, messageQuestion, modeId) {
+    var entry = st.completedHighlights.get(hlId);
+    if (!entry || !entry.items) return null;
+    var row = { hlId: hlId, itemId: null, itemsBefore: entry.items.length, text: entry.text || "", sent: false };
+    enqueue(row, JR.composeMessage(entry, messageQuestion, modeId), {
+      popup: null, turnsBefore: 0, text: entry.text, sentence: entry.sentence,
+      blockTypes: entry.blockTypes, unlockScroll: null, parentId: entry.parentId,
+      question: question, editOpts: { hlId: hlId },
+    });
+    return row;
+  }
+
+  /** A new quote: saved as a pending highlight, like a popup send. */
+  function askQuote(q, question, messageQuestion, modeId) {
+    var hlId = crypto.randomUUID();
+    var itemId = crypto.randomUUID();
+    var spans = q.spans || [];
+    JR.claimQuoteSpans(spans, hlId);
+
+    var contentContainer;
+    if (q.parentId) {
+      var parentEntry = st.completedHighlights.get(q.parentId);
+      contentContainer = (parentEntry && parentEntry.contentContainer) || document.body;
+    } else {
+      var turn = (spans[0] && spans[0].closest(S.turn)) || JR.findTurn(q.sourceMessageId, q.sourceTurnIndex);
+      contentContainer = (turn && turn.parentElement) || document.body;
+    }
+
+    var entry = {
+      quoteId: hlId,
+      spans: spans.slice(),
+      responseHTML: "__PENDING__",
+      text: q.text,
+      sentence: q.sentence,
+      blockTypes: q.blockTypes,
+      question: question,
+      contentContainer: contentContainer,
+      parentId: q.parentId || null,
+      parentItemId: q.parentItemId || null,
+      responseIndex: -1,
+      items: [{ id: itemId, question: question, responseHTML: "__PENDING__", questionIndex: -1, responseIndex: -1 }],
+      activeItemIndex: 0,
+      wholeResponse: false,
+      quoteSelector: q.quoteSelector || null,
+      positionSelector: q.positionSelector || null,
+      anchorConfidence: q.quoteSelector ? 1 : null,
+    };
+    st.completedHighlights.set(hlId, entry);
+
+    saveHighlight({
+      id: itemId,
+      quoteId: hlId,
+      text: q.text,
+      sentence: q.sentence,
+      blockTypes: q.blockTypes,
+      responseHTML: "__PENDING__",
+      question: question,
+      url: location.href,
+      site: JR.site.id,
+      parentId: entry.parentId,
+      parentItemId: entry.parentItemId,
+      sourceTurnIndex: q.sourceTurnIndex,
+      sourceMessageId: q.sourceMessageId || null,
+      quoteSelector: entry.quoteSelector,
+      positionSelector: entry.positionSelector,
+      questionIndex: -1,
+      responseIndex: -1,
+    });
+
+    var row = { hlId: hlId, itemId: itemId, itemsBefore: 0, text: q.text || "", sent: false };
+    enqueue(row, JR.composeMessage(entry, messageQuestion, modeId), {
+      popup: null, turnsBefore: 0, text: q.text, sentence: q.sentence,
+      blockTypes: q.blockTypes, unlockScroll: null, parentId: entry.parentId,
+      question: question, preRegisteredHlId: hlId, preRegisteredItemId: itemId,
+    });
+    return row;
+  }
+
+  // --- Progress ---
+
+  /** The version a row's question is answered in, once there is one. */
+  function answerItem(row, entry) {
+    if (row.itemId) {
+      for (var i = 0; i < entry.items.length; i++) {
+        if (entry.items[i].id === row.itemId) return entry.items[i];
+      }
+      return null;
+    }
+    return entry.items.length > row.itemsBefore ? entry.items[entry.items.length - 1] : null;
+  }
+
+  function statusOf(row) {
+    var entry = st.completedHighlights.get(row.hlId);
+    if (!entry || !entry.items) return "deleted";
+    var item = answerItem(row, entry);
+    if (item && item.responseHTML && item.responseHTML !== "__PENDING__") {
+      return item.responseHTML === "__TIMEOUT__" ? "timeout" : "done";
+    }
+    if (row.sent || st.directAnswers.has(row.hlId)) return "streaming";
+    return "queued";
+  }
+
+  function isFinished(row) {
+    return row.status === "done" || row.status === "timeout" || row.status === "deleted";
+  }
+
+  function addRow(row) {
+    var el = document.createElement("button");
+    el.type = "button";
+    el.className = "jr-batch-row";
+    var quote = document.createElement("span");
+    quote.className = "jr-batch-quote";
+    quote.textContent = JR.truncateText(row.text, JR.MAX_DISPLAY_CHARS);
+    el.appendChild(quote);
+    var status = document.createElement("span");
+    status.className = "jr-batch-status";
+    el.appendChild(status);
+    el.addEventListener("click", function () {
+      if (st.completedHighlights.has(row.hlId)) JR.openHighlight(row.hlId);
+    });
+    row.el = el;
+    rows.push(row);
+    panel.querySelector(".jr-batch-list").appendChild(el);
+    renderRow(row);
+  }
+
+  function renderRow(row) {
+    row.status = statusOf(row);
+    row.el.setAttribute("data-status", row.status);
+    row.el.querySelector(".jr-batch-status").textContent = STATUS_LABELS[row.status];
+  }
+
+  function startPolling() {
+    if (pollTimer) return;
+    pollTimer = setInterval(function () {
+      for (var i = 0; i < rows.length; i++) {
+        if (!isFinished(rows[i])) renderRow(rows[i]);
+      }
+      renderTitle();
+      if (rows.every(isFinished)) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      }
+    }, POLL_MS);
+  }
+})();
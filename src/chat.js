@@ -43,18 +43,21 @@
    */
   JR.freezeChat = function () {
     if (_freezeStyle) return;
-    var allTurns = document.querySelectorAll(S.aiTurn);
+    var allTurns = document.querySelectorAll(S.turn);
     if (allTurns.length === 0) return;
     var lastTurn = allTurns[allTurns.length - 1];
     var lastNum = JR.getTurnNumber(lastTurn);
     if (lastNum < 1) return;
     _freezeStyle = document.createElement("style");
     _freezeStyle.id = "jr-freeze";
-    // Hide the next several turn numbers explicitly
+    // Hide the next several turn numbers explicitly (sites whose turns can't
+    // be addressed by number get no freeze; the response watch hides them)
     var rules = [];
     for (var fi = 1; fi <= 6; fi++) {
-      rules.push('[data-testid="conversation-turn-' + (lastNum + fi) + '"]');
+      var sel = JR.turnSelector(lastNum + fi);
+      if (sel) rules.push(sel);
     }
+    if (rules.length === 0) return;
     _freezeStyle.textContent = rules.join(",\n") + " { display: none !important; }";
     document.head.appendChild(_freezeStyle);
   };
@@ -68,12 +71,7 @@
   // --- Chat injection ---
 
   JR.findSendButton = function () {
-    var btn = document.querySelector(S.sendButton);
-    if (btn) return btn;
-    btn = document.querySelector('button[aria-label="Send prompt"]');
-    if (btn) return btn;
-    btn = document.querySelector('form button[type="submit"]');
-    return btn || null;
+    return JR.site.findSendButton() || null;
   };
 
   JR.injectAndSend = function (message) {
@@ -84,31 +82,21 @@
     }
 
     // Freeze the conversation scroll container before touching the input —
-    // prevents any ChatGPT-triggered scroll-to-bottom from causing a visible flicker.
-    var scrollAnchor = document.querySelector(S.aiTurn) || chatInput;
+    // prevents any site-triggered scroll-to-bottom from causing a visible flicker.
+    var scrollAnchor = document.querySelector(S.turn) || chatInput;
     var scrollParent = JR.getScrollParent(scrollAnchor);
     var savedScrollTop = scrollParent ? scrollParent.scrollTop : 0;
 
-    // Hide injected text + freeze composer height.
-    // Target the prosemirror-parent (direct parent of #prompt-textarea).
-    var composerH = chatInput.parentElement ? chatInput.parentElement.offsetHeight : 52;
+    // Hide injected text + freeze composer height
     var hideStyle = document.createElement("style");
-    hideStyle.textContent =
-      '#prompt-textarea, #prompt-textarea * { color: transparent !important; caret-color: transparent !important; }' +
-      '\ndiv:has(> #prompt-textarea) { max-height: ' + composerH + 'px !important; overflow: hidden !important; }';
+    hideStyle.textContent = JR.site.hideInputCSS(chatInput);
     document.head.appendChild(hideStyle);
 
     hideStyle.id = "jr-hide-style";
 
     chatInput.focus({ preventScroll: true });
 
-    var dt = new DataTransfer();
-    dt.setData("text/plain", message);
-    chatInput.dispatchEvent(new ClipboardEvent("paste", {
-      clipboardData: dt,
-      bubbles: true,
-      cancelable: true,
-    }));
+    JR.site.insertText(chatInput, message);
 
     if (scrollParent) scrollParent.scrollTop = savedScrollTop;
 
@@ -124,7 +112,8 @@
         // Wait until the input is empty so text doesn't flash.
         var _hideAttempts = 0;
         function removeHideWhenEmpty() {
-          if ((chatInput.textContent || "").trim().length === 0 || _hideAttempts > 20) {
+          var inputText = chatInput.tagName === "TEXTAREA" ? chatInput.value : chatInput.textContent;
+          if ((inputText || "").trim().length === 0 || _hideAttempts > 20) {
             hideStyle.remove();
             return;
           }
@@ -155,13 +144,22 @@
   // one-by-one as each generation completes.
 
   /**
-   * Enqueue a message to be sent. If idle, sends immediately.
+   * Enqueue a message to be sent. If idle, sends immediately. With the API
+   * backend on, the question goes to the API instead (src/api-backend.js);
+   * with side conversations on, to the side chat (src/side-conversation.js).
    * @param {object} opts
    * @param {string} opts.message - The injection message
    * @param {object} opts.waitOpts - Args for JR.waitForResponse (popup, turnsBefore, text, sentence, blockTypes, unlockScroll, parentId, question, editOpts)
    * @param {function} [opts.beforeSend] - Called right before injection (UI setup: show loading, lock scroll, etc.). Receives opts.waitOpts and should mutate it (e.g. set turnsBefore).
    */
   JR.enqueueMessage = function (opts) {
+    // The API backend answers outside the chat, so nothing waits for it
+    if (JR.apiBackendEnabled && JR.apiBackendEnabled()) {
+      JR.askViaApi(opts);
+      return;
+    }
+    // So does a side conversation, when this chat has one it can link to
+    if (JR.sideChatEnabled && JR.sideChatEnabled() && JR.askViaSideChat(opts)) return;
     if (!opts.force && (JR.isGenerating() || st.responseWatchActive)) {
       st.messageQueue.push(opts);
       return;
@@ -169,66 +167,174 @@
     sendQueued(opts);
   };
 
+  /**
+   * Whether a question sent now goes into the main chat, rather than to the
+   * API backend or a side chat.
+   */
+  JR.sendsToMainChat = function () {
+    if (JR.apiBackendEnabled && JR.apiBackendEnabled()) return false;
+    return !(JR.sideChatEnabled && JR.sideChatEnabled() && conversationIdFromUrl(location.href));
+  };
+
   function sendQueued(opts) {
     if (opts.beforeSend) opts.beforeSend(opts.waitOpts);
 
     // Offline check: skip injection entirely, save __TIMEOUT__ immediately
     if (!navigator.onLine) {
-      var w = opts.waitOpts;
-      immediateTimeout(w);
+      JR.saveDirectResponse(opts.waitOpts, "__TIMEOUT__");
       JR.drainQueue();
       return;
     }
 
-    JR.injectAndSend(opts.message);
+    // Only main-chat sends carry the marker (src/recovery.js)
+    JR.injectAndSend(opts.message + JR.popupMarker(opts.waitOpts));
     var w = opts.waitOpts;
     JR.waitForResponse(w.popup, w.turnsBefore, w.text, w.sentence, w.blockTypes, w.unlockScroll, w.parentId, w.question, w.editOpts, w.preRegisteredHlId, w.preRegisteredItemId);
   }
 
   /**
-   * Immediately save __TIMEOUT__ for a message that was never sent (e.g. offline).
-   * Mirrors saveTimeoutVersion logic but without needing a waitForResponse context.
+   * Save a response that didn't come through a chat turn — __TIMEOUT__ for a
+   * message that was never sent (offline), or an answer from the API backend
+   * (src/api-backend.js) — and rebuild the popup showing it.
+   * @param {object} w - The message's waitOpts
+   * @param {string} responseHTML - Sanitized response HTML, or "__TIMEOUT__"
    */
-  function immediateTimeout(w) {
+  JR.saveDirectResponse = function (w, responseHTML) {
     var hlId = w.editOpts ? w.editOpts.hlId : (w.preRegisteredHlId || null);
     if (!hlId) return;
     var memEntry = st.completedHighlights.get(hlId);
     if (!memEntry) return;
 
+    var savedItemId;
     if (w.editOpts) {
-      var newItemId = crypto.randomUUID();
-      memEntry.items.push({ id: newItemId, question: w.question, responseHTML: "__TIMEOUT__", questionIndex: -1, responseIndex: -1 });
+      savedItemId = crypto.randomUUID();
+      memEntry.items.push({ id: savedItemId, question: w.question, responseHTML: responseHTML, questionIndex: -1, responseIndex: -1 });
       memEntry.activeItemIndex = memEntry.items.length - 1;
       memEntry.question = w.question;
-      memEntry.responseHTML = "__TIMEOUT__";
+      memEntry.responseHTML = responseHTML;
+      var sourceTurn = memEntry.spans && memEntry.spans[0] ? memEntry.spans[0].closest(S.turn) : null;
       saveHighlight({
-        id: newItemId, quoteId: hlId, text: memEntry.text, sentence: memEntry.sentence,
-        blockTypes: memEntry.blockTypes, responseHTML: "__TIMEOUT__", question: w.question,
-        url: location.href, site: "chatgpt",
-        parentId: memEntry.parentId || null, parentItemId: memEntry.parentItemId || null,
-        sourceTurnIndex: -1, questionIndex: -1, responseIndex: -1, active: true,
-        wholeResponse: !!memEntry.wholeResponse,
+        id: savedItemId, quoteId: hlId, text: memEntry.text, sentence: memEntry.sentence,
+        blockTypes: memEntry.blockTypes, responseHTML: responseHTML, question: w.question,
+        url: location.href, site: JR.site.id,
+        parentId: memEntry.parentId || null, parentItemId: resolveParentItemId(memEntry, memEntry.parentId),
+        sourceTurnIndex: sourceTurn ? JR.getTurnNumber(sourceTurn) : -1, sourceMessageId: JR.getMessageId(sourceTurn),
+        questionIndex: -1, responseIndex: -1, active: true,
+        quoteSelector: memEntry.quoteSelector || null, positionSelector: memEntry.positionSelector || null,
+        wholeResponse: !!memEntry.wholeResponse, groupQuotes: memEntry.groupQuotes || null,
       });
     } else {
       var itemIdx = memEntry.activeItemIndex || 0;
       if (memEntry.items && memEntry.items[itemIdx]) {
-        memEntry.items[itemIdx].responseHTML = "__TIMEOUT__";
+        memEntry.items[itemIdx].responseHTML = responseHTML;
       }
-      memEntry.responseHTML = "__TIMEOUT__";
-      var updateId = w.preRegisteredItemId || (memEntry.items && memEntry.items[itemIdx] ? memEntry.items[itemIdx].id : null);
-      if (updateId) {
-        updateHighlightFields(updateId, { responseHTML: "__TIMEOUT__" });
+      memEntry.responseHTML = responseHTML;
+      savedItemId = w.preRegisteredItemId || (memEntry.items && memEntry.items[itemIdx] ? memEntry.items[itemIdx].id : null);
+      if (savedItemId) {
+        updateHighlightFields(savedItemId, { responseHTML: responseHTML });
       }
     }
+    JR.cacheItemImages(savedItemId, responseHTML);
 
-    // Rebuild popup
-    var targetPopup = w.popup;
-    if (targetPopup && targetPopup.isConnected) {
+    var targetPopup = directAnswerPopup(w, hlId);
+    if (targetPopup) {
+      if (responseHTML !== "__TIMEOUT__") JR.syncHighlightActive(hlId);
       JR.rebuildPopupAfterEdit(targetPopup, hlId);
     }
     JR.updateNavWidget();
+  };
+
+  /** The popup showing a question's highlight: the one it was asked from, or a reopened one. */
+  function directAnswerPopup(w, hlId) {
+    if (w.popup && w.popup.isConnected) return w.popup;
+    if (st.activePopup && st.activePopup.isConnected && st.activeHighlightId === hlId) return st.activePopup;
+    return null;
   }
 
+  var DIRECT_IDLE_TIMEOUT_MS = 100000;  // no data for this long → __TIMEOUT__
+
+  /**
+   * Start showing an answer that arrives outside the main chat (API backend,
+   * side conversation) for a queued question. Callers froze the chat for the
+   * turns an injected question would add; that is released here.
+   * @param {object} opts - As passed to JR.enqueueMessage
+   * @returns {{show: function(string), finish: function(?string, string=)}|null}
+   *   show(html) streams partial HTML into the popup (one render per frame);
+   *   finish(html, error) saves it — or __TIMEOUT__ for an error or no html.
+   *   null if the question has no highlight entry to save onto.
+   */
+  JR.startDirectAnswer = function (opts) {
+    var w = opts.waitOpts;
+    if (!st.responseWatchActive) JR.unfreezeChat();
+
+    var hlId = w.editOpts ? w.editOpts.hlId : (w.preRegisteredHlId || null);
+    if (!hlId || !st.completedHighlights.has(hlId)) return null;
+
+    var latestHTML = null;
+    var renderQueued = false;
+    var finished = false;
+    var idleTimer = null;
+    st.directAnswers.add(hlId);
+
+    function render() {
+      renderQueued = false;
+      if (finished) return;
+      var target = directAnswerPopup(w, hlId);
+      if (!target) return;
+
+      var loadingEl = target.querySelector(".jr-popup-loading");
+      if (loadingEl) loadingEl.remove();
+
+      var responseDiv = target.querySelector(".jr-popup-response");
+      var isNew = false;
+      if (!responseDiv) {
+        responseDiv = document.createElement("div");
+        responseDiv.className = "jr-popup-response";
+        target.appendChild(responseDiv);
+        isNew = true;
+      }
+      responseDiv.innerHTML = JR.sanitizeResponseHTML(latestHTML);
+      if (JR.wireResponseClicks) JR.wireResponseClicks(responseDiv);
+
+      JR.checkStreamingOverflow();
+      if (target._jrLockedDirection === "above" || isNew) JR.repositionPopup();
+    }
+
+    function resetIdleTimer() {
+      if (idleTimer) clearTimeout(idleTimer);
+      idleTimer = setTimeout(function () {
+        handle.finish(null, "no response for " + DIRECT_IDLE_TIMEOUT_MS / 1000 + "s");
+      }, DIRECT_IDLE_TIMEOUT_MS);
+    }
+
+    var handle = {
+      hlId: hlId,
+
+      show: function (html) {
+        if (finished) return;
+        latestHTML = html;
+        resetIdleTimer();
+        if (!renderQueued) {
+          renderQueued = true;
+          requestAnimationFrame(render);
+        }
+      },
+
+      finish: function (html, error) {
+        if (finished) return;
+        finished = true;
+        if (idleTimer) clearTimeout(idleTimer);
+        st.directAnswers.delete(hlId);
+        if (error) console.warn("[JR] answer failed:", error);
+        var clean = !error && html ? JR.sanitizeResponseHTML(html) : "";
+        var hasText = clean && (JR.parseResponseHTML(clean).textContent || "").trim().length > 0;
+        JR.saveDirectResponse(w, hasText ? clean : "__TIMEOUT__");
+      },
+    };
+    resetIdleTimer();
+    return handle;
+  };
+
   /**
    * Drain the next queued message after a generation completes.
    * Called from captureResponse.
@@ -268,10 +374,12 @@
 
     var markdown = responseTurn.querySelector(S.responseContent);
     if (markdown) {
-      responseDiv.innerHTML = markdown.innerHTML;
+      responseDiv.innerHTML = JR.sanitizeResponseHTML(markdown.innerHTML);
     } else {
       var text = responseTurn.textContent || "";
-      text = text.replace(JR.AI_LABEL_TEXT, "").trim();
+      var label = responseTurn.querySelector(".sr-only");
+      if (label) text = text.replace(label.textContent, "");
+      text = text.trim();
       responseDiv.textContent = text;
     }
     if (JR.wireResponseClicks) JR.wireResponseClicks(responseDiv);
@@ -387,9 +495,11 @@
     var questionTurn = null;
     var responseTurn = null;
     var cancelled = false;
-    var detached = false;
+    // Without a popup (a batch question, src/batch-ask.js) the answer follows
+    // its highlight from the start, as if its popup had been closed
+    var detached = !popup;
     var detachedSpans = null;
-    var detachedHlId = editOpts ? editOpts.hlId : null;
+    var detachedHlId = editOpts ? editOpts.hlId : (popup ? null : preRegisteredHlId || null);
     var streamObserver = null;
     var streamRafId = null;
     var streamDirty = false;
@@ -422,19 +532,6 @@
         ev.stopPropagation();
         timeoutDiv.remove();
 
-        // Rebuild the message
-        var retryMessage;
-        if (sentence) {
-          retryMessage = 'Regarding this part of your response:\n"' + sentence + '"\n\nSpecifically: "' + text + '"\n\n' + question;
-        } else {
-          retryMessage = 'Regarding this part of your response:\n"' + text + '"\n\n' + question;
-        }
-        if (st.responseMode === "concise") {
-          retryMessage += "\n\n(For this response only: please keep it brief \u2014 2-3 sentences. After this response, return to your normal response length and disregard the above brevity instruction entirely.)";
-        } else {
-          retryMessage += "\n\n(For this response only: give a clear, focused response \u2014 medium length, not too short, not too long. Cover what matters without over-explaining. Use formatting only if it genuinely helps. After this response, return to your normal response length and disregard this length instruction entirely.)";
-        }
-
         // Reset item to __PENDING__ so captureResponse overwrites in-place
         var retryHlId = editOpts ? editOpts.hlId : (preRegisteredHlId || detachedHlId);
         if (retryHlId) {
@@ -455,6 +552,8 @@
             if (re.items[ri2]) retryItemId = re.items[ri2].id;
           }
         }
+        // Rebuild the message
+        var retryMessage = JR.composeMessage(re || { text: text, sentence: sentence, blockTypes: blockTypes, parentId: parentId }, JR.quickActionQuestion(question));
 
         targetPopup.appendChild(JR.createLoadingDiv());
 
@@ -469,8 +568,8 @@
             preRegisteredHlId: retryHlId, preRegisteredItemId: retryItemId
           },
           beforeSend: function (w) {
-            w.turnsBefore = document.querySelectorAll(S.aiTurn).length;
-            var scrollAnchor = document.querySelector(S.aiTurn) || document.body;
+            w.turnsBefore = document.querySelectorAll(S.turn).length;
+            var scrollAnchor = document.querySelector(S.turn) || document.body;
             var chatScrollParent = JR.getScrollParent(scrollAnchor);
             w.unlockScroll = JR.lockScroll(chatScrollParent, scrollAnchor);
           },
@@ -491,11 +590,12 @@
       if (!memEntry) return;
 
       var qNum = questionTurn ? JR.getTurnNumber(questionTurn) : -1;
+      var qMsgId = JR.getMessageId(questionTurn);
 
       if (editOpts) {
         // Edit: create a new version item with __TIMEOUT__
         var newItemId = crypto.randomUUID();
-        var newItem = { id: newItemId, question: question, responseHTML: "__TIMEOUT__", questionIndex: qNum, responseIndex: -1 };
+        var newItem = { id: newItemId, question: question, responseHTML: "__TIMEOUT__", questionIndex: qNum, responseIndex: -1, questionMessageId: qMsgId, responseMessageId: null };
         memEntry.items.push(newItem);
         memEntry.activeItemIndex = memEntry.items.length - 1;
         memEntry.question = question;
@@ -503,11 +603,14 @@
         saveHighlight({
           id: newItemId, quoteId: hlId, text: text, sentence: sentence,
           blockTypes: blockTypes, responseHTML: "__TIMEOUT__", question: question,
-          url: location.href, site: "chatgpt",
+          url: location.href, site: JR.site.id,
           parentId: parentId || null, parentItemId: (memEntry && memEntry.parentItemId) || parentItemId || null,
-          sourceTurnIndex: memEntry.spans && memEntry.spans[0] ? JR.getTurnNumber(memEntry.spans[0].closest(S.aiTurn)) : -1,
-          questionIndex: qNum, responseIndex: -1, active: true,
+          sourceTurnIndex: memEntry.spans && memEntry.spans[0] ? JR.getTurnNumber(memEntry.spans[0].closest(S.turn)) : -1,
+          sourceMessageId: memEntry.spans && memEntry.spans[0] ? JR.getMessageId(memEntry.spans[0].closest(S.turn)) : null,
+          questionIndex: qNum, responseIndex: -1, questionMessageId: qMsgId, active: true,
+          quoteSelector: memEntry.quoteSelector || null, positionSelector: memEntry.positionSelector || null,
           wholeResponse: memEntry ? !!memEntry.wholeResponse : false,
+          groupQuotes: memEntry ? memEntry.groupQuotes || null : null,
         });
       } else {
         // New highlight (pre-registered or detached): update the pending item to __TIMEOUT__
@@ -515,13 +618,14 @@
         if (memEntry.items && memEntry.items.length > itemIdx) {
           memEntry.items[itemIdx].responseHTML = "__TIMEOUT__";
           memEntry.items[itemIdx].questionIndex = qNum;
+          memEntry.items[itemIdx].questionMessageId = qMsgId;
         }
         memEntry.responseHTML = "__TIMEOUT__";
         var updateId = preRegisteredItemId
           || (memEntry.items && memEntry.items[itemIdx] ? memEntry.items[itemIdx].id : null);
         if (updateId) {
           updateHighlightFields(updateId, {
-            responseHTML: "__TIMEOUT__", questionIndex: qNum,
+            responseHTML: "__TIMEOUT__", questionIndex: qNum, questionMessageId: qMsgId,
           });
         }
       }
@@ -534,13 +638,14 @@
 
       // Hide ALL turns created after turnsBefore — covers cases where
       // the poll didn't find them before the timeout fired
-      var allTurnsNow = document.querySelectorAll(S.aiTurn);
+      var allTurnsNow = document.querySelectorAll(S.turn);
       for (var hti = turnsBefore; hti < allTurnsNow.length; hti++) {
         var hideTurn = allTurnsNow[hti];
         hideTurn.classList.add("jr-hidden");
         var hideIdx = JR.getTurnNumber(hideTurn);
         JR.addHiddenTurnIndex(hideIdx);
-        addDeletedTurns(location.href, [hideIdx]);
+        JR.addHiddenMessageId(JR.getMessageId(hideTurn));
+        addDeletedTurns(location.href, [JR.getMessageId(hideTurn) || hideIdx]);
       }
       JR.updateNavWidget();
     }
@@ -667,7 +772,7 @@
           detachedHlId = preRegisteredHlId;
         } else {
           detachedHlId = crypto.randomUUID();
-          var sourceArticle = detachedSpans[0].closest(S.aiTurn);
+          var sourceArticle = detachedSpans[0].closest(S.turn);
           var contentContainer = sourceArticle ? sourceArticle.parentElement : document.body;
           for (var k = 0; k < detachedSpans.length; k++) {
             detachedSpans[k].setAttribute("data-jr-highlight-id", detachedHlId);
@@ -700,9 +805,15 @@
       cleanup();
       unhideTurns();
     };
+    // Closing some other popup has nothing to detach from a popup-less watch
+    if (detached) st.cancelResponseWatch = null;
 
     function captureResponse() {
-      var spans = detached ? detachedSpans : st.activeSourceHighlights;
+      // A pre-registered highlight has its own spans; the active ones may be
+      // another popup's once this one was closed, or never had one
+      var preSpans = preRegisteredHlId && st.completedHighlights.has(preRegisteredHlId)
+        ? st.completedHighlights.get(preRegisteredHlId).spans : null;
+      var spans = preSpans && preSpans.length > 0 ? preSpans : (detached ? detachedSpans : st.activeSourceHighlights) || [];
 
       // Stop streaming before final capture
       if (streamObserver) {
@@ -733,17 +844,19 @@
 
         var responseHTML = null;
         var markdown = responseTurn.querySelector(S.responseContent);
-        if (markdown) responseHTML = markdown.innerHTML;
+        if (markdown) responseHTML = JR.sanitizeResponseHTML(markdown.innerHTML);
         cleanup();
 
         var qNum = questionTurn ? JR.getTurnNumber(questionTurn) : -1;
         var rNum = JR.getTurnNumber(responseTurn);
+        var qMsgId = JR.getMessageId(questionTurn);
+        var rMsgId = JR.getMessageId(responseTurn);
 
         // Update in-memory entry
         var memEntry = st.completedHighlights.get(hlId);
         var newItemId = crypto.randomUUID();
         if (memEntry) {
-          var newItem = { id: newItemId, question: question, responseHTML: responseHTML, questionIndex: qNum, responseIndex: rNum };
+          var newItem = { id: newItemId, question: question, responseHTML: responseHTML, questionIndex: qNum, responseIndex: rNum, questionMessageId: qMsgId, responseMessageId: rMsgId };
           memEntry.items.push(newItem);
           memEntry.activeItemIndex = memEntry.items.length - 1;
           memEntry.question = question;
@@ -761,15 +874,22 @@
           responseHTML: responseHTML,
           question: question,
           url: location.href,
-          site: "chatgpt",
+          site: JR.site.id,
           parentId: parentId || null,
           parentItemId: resolveParentItemId(memEntry, parentId) || parentItemId || null,
-          sourceTurnIndex: memEntry ? (memEntry.spans && memEntry.spans[0] ? JR.getTurnNumber(memEntry.spans[0].closest(S.aiTurn)) : -1) : -1,
+          sourceTurnIndex: memEntry ? (memEntry.spans && memEntry.spans[0] ? JR.getTurnNumber(memEntry.spans[0].closest(S.turn)) : -1) : -1,
+          sourceMessageId: memEntry && memEntry.spans && memEntry.spans[0] ? JR.getMessageId(memEntry.spans[0].closest(S.turn)) : null,
           questionIndex: qNum,
           responseIndex: rNum,
+          questionMessageId: qMsgId,
+          responseMessageId: rMsgId,
+          quoteSelector: memEntry ? memEntry.quoteSelector || null : null,
+          positionSelector: memEntry ? memEntry.positionSelector || null : null,
           active: true,
           wholeResponse: memEntry ? !!memEntry.wholeResponse : false,
+          groupQuotes: memEntry ? memEntry.groupQuotes || null : null,
         });
+        JR.cacheItemImages(newItemId, responseHTML);
 
         // Rebuild popup UI if it's still open for this highlight
         var editPopupOpen = false;
@@ -796,7 +916,7 @@
       // --- Normal (non-edit) capture ---
       var responseHTML = null;
       var markdown2 = responseTurn.querySelector(S.responseContent);
-      if (markdown2) responseHTML = markdown2.innerHTML;
+      if (markdown2) responseHTML = JR.sanitizeResponseHTML(markdown2.innerHTML);
 
       // If response is empty (user stopped, error), save as __TIMEOUT__ instead
       var responseText = markdown2 ? (markdown2.textContent || "").trim() : "";
@@ -814,6 +934,8 @@
       var hlId2;
       var qNum2 = questionTurn ? JR.getTurnNumber(questionTurn) : -1;
       var rNum2 = JR.getTurnNumber(responseTurn);
+      var qMsgId2 = JR.getMessageId(questionTurn);
+      var rMsgId2 = JR.getMessageId(responseTurn);
 
       if (detached) {
         hlId2 = detachedHlId;
@@ -829,6 +951,8 @@
                 entry.items[di].responseHTML = responseHTML;
                 entry.items[di].questionIndex = qNum2;
                 entry.items[di].responseIndex = rNum2;
+                entry.items[di].questionMessageId = qMsgId2;
+                entry.items[di].responseMessageId = rMsgId2;
                 foundDetachItem = true;
                 break;
               }
@@ -838,9 +962,11 @@
             entry.items[0].responseHTML = responseHTML;
             entry.items[0].questionIndex = qNum2;
             entry.items[0].responseIndex = rNum2;
+            entry.items[0].questionMessageId = qMsgId2;
+            entry.items[0].responseMessageId = rMsgId2;
           } else if (!foundDetachItem && (!entry.items || entry.items.length === 0)) {
             var detItemId = crypto.randomUUID();
-            entry.items = [{ id: detItemId, question: question || null, responseHTML: responseHTML, questionIndex: qNum2, responseIndex: rNum2 }];
+            entry.items = [{ id: detItemId, question: question || null, responseHTML: responseHTML, questionIndex: qNum2, responseIndex: rNum2, questionMessageId: qMsgId2, responseMessageId: rMsgId2 }];
             entry.activeItemIndex = 0;
           }
         }
@@ -866,6 +992,8 @@
                 preEntry.items[pi2].responseHTML = responseHTML;
                 preEntry.items[pi2].questionIndex = qNum2;
                 preEntry.items[pi2].responseIndex = rNum2;
+                preEntry.items[pi2].questionMessageId = qMsgId2;
+                preEntry.items[pi2].responseMessageId = rMsgId2;
                 foundPreItem = true;
                 break;
               }
@@ -875,6 +1003,8 @@
             preEntry.items[0].responseHTML = responseHTML;
             preEntry.items[0].questionIndex = qNum2;
             preEntry.items[0].responseIndex = rNum2;
+            preEntry.items[0].questionMessageId = qMsgId2;
+            preEntry.items[0].responseMessageId = rMsgId2;
           }
         }
         // Rebuild popup into completed view (editable question, version nav)
@@ -888,6 +1018,7 @@
         var itemId2 = crypto.randomUUID();
         if (spans.length > 0 && responseHTML) {
           var contentContainer2 = popup.parentElement;
+          var anchor2 = JR.describeTextAnchor(spans);
           for (var k = 0; k < spans.length; k++) {
             spans[k].setAttribute("data-jr-highlight-id", hlId2);
             spans[k].classList.add("jr-source-highlight-done");
@@ -904,8 +1035,11 @@
             parentId: parentId || null,
             parentItemId: parentItemId || null,
             responseIndex: rNum2,
-            items: [{ id: itemId2, question: question || null, responseHTML: responseHTML, questionIndex: qNum2, responseIndex: rNum2 }],
+            items: [{ id: itemId2, question: question || null, responseHTML: responseHTML, questionIndex: qNum2, responseIndex: rNum2, questionMessageId: qMsgId2, responseMessageId: rMsgId2 }],
             activeItemIndex: 0,
+            quoteSelector: anchor2 ? anchor2.quoteSelector : null,
+            positionSelector: anchor2 ? anchor2.positionSelector : null,
+            anchorConfidence: anchor2 ? 1 : null,
           };
           st.completedHighlights.set(hlId2, entryObj);
         }
@@ -919,9 +1053,10 @@
       }
 
       var sourceArticle = spans.length > 0
-        ? spans[0].closest(S.aiTurn)
+        ? spans[0].closest(S.turn)
         : null;
       var sourceTurnIdx = sourceArticle ? JR.getTurnNumber(sourceArticle) : -1;
+      var sourceMsgId = JR.getMessageId(sourceArticle);
 
       // Determine the item id to persist
       var persistItemId;
@@ -940,8 +1075,12 @@
           questionIndex: qNum2,
           responseIndex: rNum2,
           sourceTurnIndex: sourceTurnIdx,
+          questionMessageId: qMsgId2,
+          responseMessageId: rMsgId2,
+          sourceMessageId: sourceMsgId,
         });
       } else {
+        var savedEntry = st.completedHighlights.get(hlId2);
         saveHighlight({
           id: persistItemId,
           quoteId: hlId2,
@@ -951,18 +1090,27 @@
           responseHTML: responseHTML,
           question: question || null,
           url: location.href,
-          site: "chatgpt",
+          site: JR.site.id,
           parentId: parentId || null,
           parentItemId: parentItemId || null,
           sourceTurnIndex: sourceTurnIdx,
           questionIndex: qNum2,
           responseIndex: rNum2,
+          sourceMessageId: sourceMsgId,
+          questionMessageId: qMsgId2,
+          responseMessageId: rMsgId2,
+          quoteSelector: savedEntry ? savedEntry.quoteSelector || null : null,
+          positionSelector: savedEntry ? savedEntry.positionSelector || null : null,
+          groupQuotes: savedEntry ? savedEntry.groupQuotes || null : null,
         });
       }
+      JR.cacheItemImages(persistItemId, responseHTML);
 
       // Register with persistent enforcer so React remounts can't unhide
       JR.addHiddenTurnIndex(qNum2);
       JR.addHiddenTurnIndex(rNum2);
+      JR.addHiddenMessageId(qMsgId2);
+      JR.addHiddenMessageId(rMsgId2);
 
       JR.updateNavWidget();
       st.cancelResponseWatch = null;
@@ -974,7 +1122,7 @@
      * and remount article elements, losing our jr-hidden class.
      */
     function enforceHidden() {
-      var allTurns = document.querySelectorAll(S.aiTurn);
+      var allTurns = document.querySelectorAll(S.turn);
       if (questionTurn) {
         var qCurrent = allTurns[turnsBefore];
         if (qCurrent && qCurrent !== questionTurn) {
@@ -999,18 +1147,19 @@
     function poll() {
       if (cancelled) return;
 
-      var allTurns = document.querySelectorAll(S.aiTurn);
+      var allTurns = document.querySelectorAll(S.turn);
 
       if (!questionTurn && allTurns.length > turnsBefore) {
         var candidate = allTurns[turnsBefore];
-        var label = candidate.querySelector(S.aiLabel);
-        if (!label || !label.textContent.includes(JR.AI_LABEL_TEXT)) {
+        if (!JR.site.isAssistantTurn(candidate)) {
           questionTurn = candidate;
           questionTurn.classList.add("jr-hidden");
           var qIdx = JR.getTurnNumber(questionTurn);
+          var qMsg = JR.getMessageId(questionTurn);
           JR.addHiddenTurnIndex(qIdx);
+          JR.addHiddenMessageId(qMsg);
           // Write to BOTH storage keys so it survives reload even if one write fails
-          addDeletedTurns(location.href, [qIdx]);
+          addDeletedTurns(location.href, [qMsg || qIdx]);
           var qHlKey = preRegisteredHlId || (editOpts && editOpts.hlId);
           var qHlRec = qHlKey ? st.completedHighlights.get(qHlKey) : null;
           // Resolve the actual item ID — for edits, find it from the in-memory entry
@@ -1020,10 +1169,10 @@
           if (qSaveId && qHlRec && qHlRec.items) {
             var oldItem = qHlRec.items[qHlRec.activeItemIndex || 0];
             if (oldItem && oldItem.questionIndex > 0 && oldItem.questionIndex !== qIdx) {
-              addDeletedTurns(location.href, [oldItem.questionIndex]);
+              addDeletedTurns(location.href, [oldItem.questionMessageId || oldItem.questionIndex]);
               JR.addHiddenTurnIndex(oldItem.questionIndex);
             }
-            updateHighlightFields(qSaveId, { questionIndex: qIdx });
+            updateHighlightFields(qSaveId, { questionIndex: qIdx, questionMessageId: qMsg });
           }
           JR.repositionPopup();
         }
@@ -1031,13 +1180,14 @@
 
       if (!responseTurn && allTurns.length > turnsBefore + 1) {
         var candidate2 = allTurns[turnsBefore + 1];
-        var label2 = candidate2.querySelector(S.aiLabel);
-        if (label2 && label2.textContent.includes(JR.AI_LABEL_TEXT)) {
+        if (JR.site.isAssistantTurn(candidate2)) {
           responseTurn = candidate2;
           responseTurn.classList.add("jr-hidden");
           var rIdx = JR.getTurnNumber(responseTurn);
+          var rMsg = JR.getMessageId(responseTurn);
           JR.addHiddenTurnIndex(rIdx);
-          addDeletedTurns(location.href, [rIdx]);
+          JR.addHiddenMessageId(rMsg);
+          addDeletedTurns(location.href, [rMsg || rIdx]);
           var rHlKey = preRegisteredHlId || (editOpts && editOpts.hlId);
           var rHlRec = rHlKey ? st.completedHighlights.get(rHlKey) : null;
           var rSaveId = preRegisteredItemId
@@ -1046,10 +1196,10 @@
           if (rSaveId && rHlRec && rHlRec.items) {
             var oldItem2 = rHlRec.items[rHlRec.activeItemIndex || 0];
             if (oldItem2 && oldItem2.responseIndex > 0 && oldItem2.responseIndex !== rIdx) {
-              addDeletedTurns(location.href, [oldItem2.responseIndex]);
+              addDeletedTurns(location.href, [oldItem2.responseMessageId || oldItem2.responseIndex]);
               JR.addHiddenTurnIndex(oldItem2.responseIndex);
             }
-            updateHighlightFields(rSaveId, { responseIndex: rIdx });
+            updateHighlightFields(rSaveId, { responseIndex: rIdx, responseMessageId: rMsg });
           }
           startStreaming();
         }
@@ -15,6 +15,17 @@
   window.JR.locate = function (hlId) {
     document.dispatchEvent(new CustomEvent("jr-locate", { detail: hlId || null }));
   };
+  /**
+   * Download the conversation as Markdown.
+   * Usage: JR.exportMarkdown() — active versions; JR.exportMarkdown(true) — every version
+   */
+  window.JR.exportMarkdown = function (allVersions) {
+    document.dispatchEvent(new CustomEvent("jr-export-markdown", { detail: !!allVersions }));
+  };
+  /** Download the conversation as a standalone HTML viewer. Usage: JR.exportHTML() */
+  window.JR.exportHTML = function () {
+    document.dispatchEvent(new CustomEvent("jr-export-html"));
+  };
   /**
    * Compare two DOM nodes. Returns -1 if a is before b, 1 if after, 0 if same.
    * Usage: JR.compare(nodeA, nodeB)
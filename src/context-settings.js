@@ -0,0 +1,10 @@
+// context-settings.js — Settings for the follow-up context breadcrumb
+// (src/ancestor-context.js).
+// Loaded by options.html (editing them) and as a content script (building the
+// breadcrumb).
+//
+// Stored in chrome.storage.local (ANCESTOR_CONTEXT_KEY):
+//   { mode: "off" | "short" | "full", maxTokens }
+
+const ANCESTOR_CONTEXT_KEY = "jumpreturn_ancestor_context";
+const DEFAULT_CONTEXT_TOKENS = 1500;
@@ -0,0 +1,24 @@
+// conversation-id.js — Stable conversation key parsed from a chat URL.
+// Plain global (no JR namespace) because it is needed before jr-namespace.js
+// exists: by early-hide.js at document_start and by background.js via
+// importScripts, as well as by storage.js.
+
+/**
+ * Extract the conversation id from a chat URL: ChatGPT's /c/<id> or Claude's
+ * /chat/<id>. Host, query string, hash and any /g/<gpt>/ or project prefix are
+ * ignored, so chat.openai.com and chatgpt.com links to the same chat give the
+ * same id.
+ * e.g. "https://chat.openai.com/g/g-abc/c/6803e1…?model=x" → "6803e1…"
+ * @param {string} url
+ * @returns {string|null} null for pages without a conversation yet (new chat, GPT home)
+ */
+function conversationIdFromUrl(url) {
+  var path;
+  try {
+    path = new URL(url).pathname;
+  } catch (e) {
+    return null;
+  }
+  var match = path.match(/\/(?:c|chat)\/([0-9A-Za-z-]+)/);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,127 @@
+// custom-hosts.js — User-added self-hosted chat sites (e.g. Open WebUI on
+// http://localhost:3000).
+// Loaded by options.html (adding / removing hosts) and imported into
+// background.js (registering content scripts for them).
+//
+// Built-in sites are matched in manifest.json. Self-hosted ones can live on
+// any origin, so instead of asking every user for access to all sites, the
+// options page requests each origin at runtime (optional_host_permissions)
+// and stores it in chrome.storage.local (CUSTOM_HOSTS_KEY):
+//   [{ origin: "http://localhost:3000", adapter: "openwebui" }, ...]
+// The worker then registers the manifest's content scripts for those origins,
+// with the built-in adapters swapped for the chosen self-hosted one.
+
+const CUSTOM_HOSTS_KEY = "jumpreturn_custom_hosts";
+const CUSTOM_SCRIPT_PREFIX = "jr-custom-";
+
+/** Self-hosted adapters, by adapter id. */
+const SELF_HOSTED_ADAPTERS = {
+  openwebui: { name: "Open WebUI", file: "src/adapters/open-webui.js" },
+};
+
+/**
+ * Origin of a user-entered address, e.g. "localhost:3000" → "http://localhost:3000".
+ * @returns {string|null} null if it isn't an http(s) address
+ */
+function normalizeOrigin(input) {
+  var text = String(input || "").trim();
+  if (!text) return null;
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) text = "http://" + text;
+  try {
+    var url = new URL(text);
+    return /^https?:$/.test(url.protocol) ? url.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function originPattern(origin) {
+  return origin + "/*";
+}
+
+/** @returns {Promise<Array<{origin: string, adapter: string}>>} */
+async function getCustomHosts() {
+  var result = await chrome.storage.local.get(CUSTOM_HOSTS_KEY);
+  return result[CUSTOM_HOSTS_KEY] || [];
+}
+
+/**
+ * Ask for access to an origin and add it. Must be called from a user gesture
+ * (the permission prompt is the first thing it does).
+ * @returns {Promise<boolean>} false if the user declined access
+ */
+async function addCustomHost(origin, adapterId) {
+  var granted = await chrome.permissions.request({ origins: [originPattern(origin)] });
+  if (!granted) return false;
+  var hosts = (await getCustomHosts()).filter(function (h) { return h.origin !== origin; });
+  hosts.push({ origin: origin, adapter: adapterId });
+  await chrome.storage.local.set({ [CUSTOM_HOSTS_KEY]: hosts });
+  return true;
+}
+
+/**
+ * Remove an origin and give up access to it, unless `keepAccess` (something
+ * else still needs the permission).
+ */
+async function removeCustomHost(origin, keepAccess) {
+  var hosts = (await getCustomHosts()).filter(function (h) { return h.origin !== origin; });
+  await chrome.storage.local.set({ [CUSTOM_HOSTS_KEY]: hosts });
+  if (!keepAccess) await chrome.permissions.remove({ origins: [originPattern(origin)] });
+}
+
+/** A manifest content-script file list with its site adapters replaced by `adapterFile`. */
+function scriptsWithAdapter(files, adapterFile) {
+  var result = [];
+  for (var i = 0; i < files.length; i++) {
+    if (files[i].indexOf("src/adapters/") === 0) continue;
+    result.push(files[i]);
+    if (files[i] === "src/site-adapters.js") result.push(adapterFile);
+  }
+  return result;
+}
+
+var customSyncChain = Promise.resolve();
+
+/**
+ * Make the registered content scripts match the stored hosts the extension
+ * still has access to. Calls are queued so overlapping syncs can't register
+ * the same ids twice.
+ */
+function syncCustomHostScripts() {
+  customSyncChain = customSyncChain.then(async function () {
+    var hosts = await getCustomHosts();
+    var matchesByAdapter = {};
+    for (var i = 0; i < hosts.length; i++) {
+      var h = hosts[i];
+      if (!SELF_HOSTED_ADAPTERS[h.adapter]) continue;
+      if (!(await chrome.permissions.contains({ origins: [originPattern(h.origin)] }))) continue;
+      (matchesByAdapter[h.adapter] = matchesByAdapter[h.adapter] || []).push(originPattern(h.origin));
+    }
+
+    var registered = await chrome.scripting.getRegisteredContentScripts();
+    var ids = registered.map(function (s) { return s.id; }).filter(function (id) {
+      return id.indexOf(CUSTOM_SCRIPT_PREFIX) === 0;
+    });
+    if (ids.length > 0) await chrome.scripting.unregisterContentScripts({ ids: ids });
+
+    var manifestScripts = chrome.runtime.getManifest().content_scripts;
+    var scripts = [];
+    Object.keys(matchesByAdapter).forEach(function (adapterId) {
+      manifestScripts.forEach(function (cs, n) {
+        var script = {
+          id: CUSTOM_SCRIPT_PREFIX + adapterId + "-" + n,
+          matches: matchesByAdapter[adapterId],
+          js: scriptsWithAdapter(cs.js, SELF_HOSTED_ADAPTERS[adapterId].file),
+          runAt: cs.run_at || "document_idle",
+          world: cs.world || "ISOLATED",
+        };
+        if (cs.css) script.css = cs.css;
+        scripts.push(script);
+      });
+    });
+    if (scripts.length > 0) await chrome.scripting.registerContentScripts(scripts);
+  }).catch(function (e) {
+    console.warn("[JR] custom host script sync failed:", e);
+  });
+  return customSyncChain;
+}
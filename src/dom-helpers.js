@@ -9,10 +9,8 @@
    * Returns the article element if yes, null otherwise.
    */
   JR.getAIResponseArticle = function (node) {
-    var article = node.closest(S.aiTurn);
-    if (!article) return null;
-    var label = article.querySelector(S.aiLabel);
-    if (!label || !label.textContent.includes(JR.AI_LABEL_TEXT)) return null;
+    var article = node.closest(S.turn);
+    if (!article || !JR.site.isAssistantTurn(article)) return null;
     return article;
   };
 
@@ -24,11 +22,10 @@
   };
 
   /**
-   * Check if ChatGPT is currently generating a response.
-   * The stop button is present ONLY during active generation.
+   * Check if the site is currently generating a response.
    */
   JR.isGenerating = function () {
-    return !!document.querySelector(S.stopButton);
+    return JR.site.isGenerating();
   };
 
   /**
@@ -81,14 +78,118 @@
   };
 
   /**
-   * Extract the turn number from an article's data-testid attribute.
-   * e.g. "conversation-turn-5" → 5
+   * Position number of a turn article (on ChatGPT, from its data-testid:
+   * "conversation-turn-5" → 5).
    */
   JR.getTurnNumber = function (article) {
     if (!article) return -1;
-    var testId = article.getAttribute("data-testid") || "";
-    var match = testId.match(/conversation-turn-(\d+)/);
-    return match ? parseInt(match[1], 10) : -1;
+    return JR.site.turnNumber(article);
+  };
+
+  /**
+   * Get the stable message id of the message inside a turn article.
+   * Unlike the turn number, it survives re-renders and main-thread edits.
+   * @returns {string|null}
+   */
+  JR.getMessageId = function (article) {
+    if (!article) return null;
+    return JR.site.messageId(article);
+  };
+
+  /**
+   * CSS selector for a turn by turn ref — a message id (string) or a turn
+   * number — for the display:none rules that keep Q&A turns hidden.
+   * @returns {string|null}
+   */
+  JR.turnSelector = function (ref) {
+    return JR.site.turnSelector(ref);
+  };
+
+  /**
+   * Find a turn article, preferring its message id and falling back to the
+   * turn number. With a message id, a missing message returns null rather
+   * than whatever turn currently sits at that number.
+   * @param {string|null} messageId
+   * @param {number} [turnIndex]
+   * @returns {Element|null}
+   */
+  JR.findTurn = function (messageId, turnIndex) {
+    if (messageId) {
+      var byId = JR.turnSelector(messageId);
+      return byId ? document.querySelector(byId) : null;
+    }
+    if (!(turnIndex > 0)) return null;
+    var sel = JR.turnSelector(turnIndex);
+    if (sel) return document.querySelector(sel);
+    // Sites whose turns have no numbered attribute: match by position
+    var turns = document.querySelectorAll(S.turn);
+    for (var i = 0; i < turns.length; i++) {
+      if (JR.getTurnNumber(turns[i]) === turnIndex) return turns[i];
+    }
+    return null;
+  };
+
+  /**
+   * True for turns the extension keeps hidden (popup Q&A turns and deleted turns),
+   * including ones not yet tagged jr-hidden after a re-render.
+   */
+  JR.isTurnHidden = function (turn) {
+    if (turn.classList.contains("jr-hidden")) return true;
+    var msgId = JR.getMessageId(turn);
+    if (msgId && JR.state.hiddenMessageIds.has(msgId)) return true;
+    return JR.state.hiddenTurnIndices.has(JR.getTurnNumber(turn));
+  };
+
+  /**
+   * Resolve with check()'s first truthy result, re-checking on every DOM
+   * change. Observers still fire in a background tab, where timers are
+   * throttled; the timer is only the give-up deadline.
+   * @param {function(): *} check
+   * @param {number} timeoutMs
+   * @param {string} what - For the timeout error, e.g. "the chat input"
+   * @returns {Promise}
+   */
+  JR.waitFor = function (check, timeoutMs, what) {
+    return new Promise(function (resolve, reject) {
+      var first = check();
+      if (first) {
+        resolve(first);
+        return;
+      }
+      var observer = new MutationObserver(function () {
+        var value = check();
+        if (!value) return;
+        stop();
+        resolve(value);
+      });
+      var timer = setTimeout(function () {
+        stop();
+        reject(new Error("timed out waiting for " + what));
+      }, timeoutMs);
+      function stop() {
+        observer.disconnect();
+        clearTimeout(timer);
+      }
+      observer.observe(document.body, { childList: true, subtree: true, characterData: true, attributes: true });
+    });
+  };
+
+  /**
+   * Save text as a file download named after the conversation title.
+   * @param {string} text
+   * @param {string} extension - e.g. "md"
+   * @param {string} type - MIME type
+   */
+  JR.downloadConversationFile = function (text, extension, type) {
+    var name = (document.title || "").replace(/[\\/:*?"<>|]+/g, "").trim().slice(0, 80) || "conversation";
+    var url = URL.createObjectURL(new Blob([text], { type: type }));
+    var a = document.createElement("a");
+    a.href = url;
+    a.download = name + "." + extension;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(function () { URL.revokeObjectURL(url); }, 0);
   };
 
   JR.truncateText = function (text, max) {
@@ -108,7 +209,7 @@
       var all = [];
       JR.state.completedHighlights.forEach(function (entry, id) {
         var span = entry.spans && entry.spans[0];
-        var turn = span ? span.closest(S.aiTurn) : null;
+        var turn = span ? span.closest(S.turn) : null;
         var turnNum = turn ? JR.getTurnNumber(turn) : -1;
         all.push({
           quoteId: id,
@@ -150,7 +251,7 @@
 
     var spans = entry.spans || [];
     var firstSpan = spans[0] || null;
-    var turn = firstSpan ? firstSpan.closest(S.aiTurn) : null;
+    var turn = firstSpan ? firstSpan.closest(S.turn) : null;
     var turnNum = turn ? JR.getTurnNumber(turn) : -1;
     var rect = firstSpan && firstSpan.isConnected ? firstSpan.getBoundingClientRect() : null;
 
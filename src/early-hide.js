@@ -1,40 +1,49 @@
 // early-hide.js — Runs at document_start to hide Q&A turns before they paint.
-// Reads stored highlights + deleted turns for the current URL and injects a
-// <style> element with display:none rules so turns are never visible.
+// Reads the hidden-turn map kept by background.js + deleted turns for the
+// current conversation and injects a <style> element with display:none rules so turns
+// are never visible.
 (function () {
   "use strict";
 
-  var STORAGE_KEY = "jumpreturn_highlights";
+  var HIDDEN_TURNS_KEY = "jumpreturn_hidden_turns";
   var DELETED_TURNS_KEY = "jumpreturn_deleted_turns";
+  // Pre-IndexedDB array; only present until background.js has migrated it
+  var LEGACY_STORAGE_KEY = "jumpreturn_highlights";
   var url = location.href;
+  var key = conversationIdFromUrl(url);
+  if (!key) return; // new chat — nothing saved for it yet
+  var site = siteAdapterForHost(location.hostname);
+  if (!site) return;
 
-  chrome.storage.local.get([STORAGE_KEY, DELETED_TURNS_KEY], function (result) {
-    var highlights = result[STORAGE_KEY] || [];
+  chrome.storage.local.get([HIDDEN_TURNS_KEY, DELETED_TURNS_KEY, LEGACY_STORAGE_KEY], function (result) {
+    var hiddenTurns = (result[HIDDEN_TURNS_KEY] || {})[key] || [];
     var deletedAll = result[DELETED_TURNS_KEY] || {};
-    var deletedTurns = deletedAll[url] || [];
-
-    var turnSet = {};
-
-    // Collect turn indices from highlights matching this URL
-    for (var i = 0; i < highlights.length; i++) {
-      var h = highlights[i];
-      if (h.url !== url) continue;
-      if (h.questionIndex > 0) turnSet[h.questionIndex] = true;
-      if (h.responseIndex > 0) turnSet[h.responseIndex] = true;
+    // Before background.js has rekeyed the map, entries are still under full URLs
+    var deletedTurns = deletedAll[key] || deletedAll[url] || [];
+    var legacy = result[LEGACY_STORAGE_KEY] || [];
+
+    // Entries are turn numbers, or message-id strings the adapter matches
+    // by message so a renumbered turn can't hide the wrong message
+    var ruleSet = {};
+    function addTurn(ref) {
+      var sel = site.turnSelector(ref);
+      if (sel) ruleSet[sel] = true;
     }
 
-    // Collect deleted turns for this URL
-    for (var d = 0; d < deletedTurns.length; d++) {
-      if (deletedTurns[d] > 0) turnSet[deletedTurns[d]] = true;
+    // Q&A turns of saved highlights in this conversation
+    for (var t = 0; t < hiddenTurns.length; t++) addTurn(hiddenTurns[t]);
+    for (var i = 0; i < legacy.length; i++) {
+      var h = legacy[i];
+      if (conversationIdFromUrl(h.url) !== key) continue;
+      addTurn(h.questionIndex);
+      addTurn(h.responseIndex);
     }
 
-    var indices = Object.keys(turnSet);
-    if (indices.length === 0) return;
+    // Collect deleted turns for this URL
+    for (var d = 0; d < deletedTurns.length; d++) addTurn(deletedTurns[d]);
 
-    var rules = [];
-    for (var r = 0; r < indices.length; r++) {
-      rules.push('[data-testid="conversation-turn-' + indices[r] + '"]');
-    }
+    var rules = Object.keys(ruleSet);
+    if (rules.length === 0) return;
 
     var style = document.createElement("style");
     style.id = "jr-early-hide";
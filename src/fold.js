@@ -0,0 +1,362 @@
+// fold.js — Move popup exchanges between popups and the main thread.
+//
+//   - Unfold: a popup version's question/response turns stop being hidden and
+//     its highlight becomes a plain marker; clicking it scrolls to the turns.
+//     The record keeps `unfolded: true`, which the worker's hidden-turn map
+//     and restore both skip.
+//   - Fold: a visible question/answer pair in the chat is hidden and saved as
+//     a popup version, under a new highlight (select text in a response) or
+//     an existing one (click it). Picking works like re-attaching an orphan.
+(function () {
+  "use strict";
+
+  var st = JR.state;
+  var S = JR.SELECTORS;
+
+  var NOTICE_MS = 2000;
+
+  var UNFOLD_SVG = '<svg viewBox="0 0 256 256" fill="currentColor"><path d="M216.49,160.49l-80,80a12,12,0,0,1-17,0l-80-80a12,12,0,0,1,17-17L116,203V40a12,12,0,0,1,24,0V203l59.51-59.52a12,12,0,0,1,17,17Z"/></svg>';
+  var FOLD_SVG = '<svg viewBox="0 0 256 256" fill="currentColor"><path d="M216.49,120.49a12,12,0,0,1-17,0L140,61V216a12,12,0,0,1-24,0V61L56.49,120.49a12,12,0,0,1-17-17l80-80a12,12,0,0,1,17,0l80,80A12,12,0,0,1,216.49,120.49Z"/></svg>';
+
+  // --- Helpers ---
+
+  function hasTurns(item) {
+    return !!(item && (item.questionMessageId || item.questionIndex > 0 ||
+      item.responseMessageId || item.responseIndex > 0));
+  }
+
+  /** The entry's unfolded version, if any. */
+  JR.unfoldedItem = function (entry) {
+    if (!entry || !entry.items) return null;
+    for (var i = 0; i < entry.items.length; i++) {
+      if (entry.items[i].unfolded) return entry.items[i];
+    }
+    return null;
+  };
+
+  function setMarker(entry, on) {
+    for (var i = 0; i < entry.spans.length; i++) {
+      entry.spans[i].classList.toggle("jr-highlight-unfolded", on);
+    }
+  }
+
+  /** Briefly replace a button's label, e.g. to say why it did nothing. */
+  function flashLabel(btn, text) {
+    var html = btn.innerHTML;
+    btn.textContent = text;
+    btn.disabled = true;
+    setTimeout(function () {
+      btn.innerHTML = html;
+      btn.disabled = false;
+    }, NOTICE_MS);
+  }
+
+  // --- Unfold ---
+
+  /** Scroll to the turns an unfolded highlight now links to. */
+  JR.showUnfoldedTurn = function (hlId) {
+    var item = JR.unfoldedItem(st.completedHighlights.get(hlId));
+    if (!item) return;
+    var turn = JR.findTurn(item.questionMessageId, item.questionIndex) ||
+      JR.findTurn(item.responseMessageId, item.responseIndex);
+    if (turn) turn.scrollIntoView({ block: "start", behavior: "smooth" });
+  };
+
+  /**
+   * Show an item's Q&A turns in the main thread and turn its highlight into a
+   * marker linking to them.
+   */
+  function unfoldItem(hlId, item) {
+    var entry = st.completedHighlights.get(hlId);
+    if (!entry) return;
+    item.unfolded = true;
+
+    var refs = [
+      [item.questionMessageId, item.questionIndex],
+      [item.responseMessageId, item.responseIndex],
+    ];
+    var deletedRefs = [];
+    for (var i = 0; i < refs.length; i++) {
+      if (refs[i][0]) st.hiddenMessageIds.delete(refs[i][0]);
+      if (refs[i][1] > 0) st.hiddenTurnIndices.delete(refs[i][1]);
+      var turn = JR.findTurn(refs[i][0], refs[i][1]);
+      if (turn) turn.classList.remove("jr-hidden");
+      if (refs[i][0]) deletedRefs.push(refs[i][0]);
+      if (refs[i][1] > 0) deletedRefs.push(refs[i][1]);
+    }
+    // The worker drops the turns from the hidden-turn map on this write; the
+    // response watch also listed them as deleted turns
+    Promise.all([
+      updateHighlightFields(item.id, { unfolded: true }),
+      removeDeletedTurns(location.href, deletedRefs),
+    ]).then(JR.refreshEarlyHideStyle);
+
+    setMarker(entry, true);
+    JR.removeAllPopups();
+    JR.showUnfoldedTurn(hlId);
+  }
+
+  /**
+   * Add the Unfold button under a popup response. Versions answered outside
+   * the chat have no turns to show, and a version with follow-ups inside it
+   * would leave them with nowhere to open, so neither can be unfolded.
+   */
+  JR.appendUnfoldAction = function (responseDiv, hlId, itemId) {
+    var entry = st.completedHighlights.get(hlId);
+    var item = null;
+    if (entry && entry.items) {
+      for (var i = 0; i < entry.items.length; i++) {
+        if (entry.items[i].id === itemId) item = entry.items[i];
+      }
+    }
+    if (!hasTurns(item) || item.unfolded) return;
+
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "jr-unfold-btn";
+    btn.setAttribute("aria-label", "Unfold into chat");
+    btn.title = "Show this question and answer in the main chat";
+    btn.innerHTML = UNFOLD_SVG + " Unfold";
+    btn.addEventListener("click", function (ev) {
+      ev.stopPropagation();
+      getChildHighlights(hlId, itemId).then(function (children) {
+        if (children.length > 0) {
+          flashLabel(btn, "Has follow-ups");
+          return;
+        }
+        unfoldItem(hlId, item);
+      });
+    });
+    btn.addEventListener("mousedown", function (ev) { ev.stopPropagation(); });
+    responseDiv.appendChild(btn);
+  };
+
+  // --- Fold ---
+
+  var foldBtn = null;
+  var hoveredPair = null;  // { question, response } turns under the Fold button
+  var pickPair = null;     // pair waiting for a highlight to be picked
+  var banner = null;
+
+  /** The visible user turn and the assistant turn right after it, or null. */
+  function visiblePairAt(turn) {
+    if (!turn || JR.isTurnHidden(turn) || JR.site.turnRole(turn) !== "user") return null;
+    var turns = document.querySelectorAll(S.turn);
+    for (var i = 0; i < turns.length - 1; i++) {
+      if (turns[i] !== turn) continue;
+      var next = turns[i + 1];
+      if (JR.isTurnHidden(next) || !JR.site.isAssistantTurn(next)) return null;
+      return { question: turn, response: next };
+    }
+    return null;
+  }
+
+  function hideFoldBtn() {
+    if (foldBtn) foldBtn.remove();
+    foldBtn = null;
+    hoveredPair = null;
+  }
+
+  function showFoldBtn(pair) {
+    if (!foldBtn) {
+      foldBtn = document.createElement("button");
+      foldBtn.type = "button";
+      foldBtn.className = "jr-fold-btn";
+      foldBtn.setAttribute("aria-label", "Fold into popup");
+      foldBtn.title = "Move this question and answer into a popup";
+      foldBtn.innerHTML = FOLD_SVG + " Fold";
+      foldBtn.addEventListener("mousedown", function (e) { e.stopPropagation(); });
+      foldBtn.addEventListener("click", function (e) {
+        e.stopPropagation();
+        var pair = hoveredPair;
+        hideFoldBtn();
+        if (pair) startPick(pair);
+      });
+      document.body.appendChild(foldBtn);
+    }
+    hoveredPair = pair;
+    // Top-right corner of the question turn, so reaching it doesn't leave the turn
+    var r = pair.question.getBoundingClientRect();
+    foldBtn.style.top = Math.max(r.top + 4, 0) + "px";
+    foldBtn.style.left = Math.max(r.right - foldBtn.offsetWidth - 8, 4) + "px";
+  }
+
+  document.addEventListener("mouseover", function (e) {
+    if (pickPair || st.activePopup) return;
+    if (foldBtn && foldBtn.contains(e.target)) return;
+    var turn = e.target.closest && e.target.closest(S.turn);
+    if (hoveredPair && turn === hoveredPair.question) return;
+    var pair = visiblePairAt(turn);
+    if (pair) showFoldBtn(pair);
+    else hideFoldBtn();
+  });
+
+  document.addEventListener("scroll", hideFoldBtn, true);
+
+  function startPick(pair) {
+    JR.removeAllPopups();
+    pickPair = pair;
+    banner = document.createElement("div");
+    banner.className = "jr-fold-banner";
+    banner.textContent = "Select the text this exchange is about, or click a highlight \u2014 Esc to cancel";
+    document.body.appendChild(banner);
+    document.addEventListener("mouseup", onPickMouseUp, true);
+    document.addEventListener("click", onPickClick, true);
+    document.addEventListener("keydown", onPickKey, true);
+  }
+
+  function endPick() {
+    pickPair = null;
+    if (banner) banner.remove();
+    banner = null;
+    document.removeEventListener("mouseup", onPickMouseUp, true);
+    document.removeEventListener("click", onPickClick, true);
+    document.removeEventListener("keydown", onPickKey, true);
+  }
+
+  function onPickKey(e) {
+    if (e.key !== "Escape") return;
+    e.stopPropagation();
+    endPick();
+  }
+
+  /** Clicking an existing highlight adds the pair to it as a new version. */
+  function onPickClick(e) {
+    var span = e.target.closest && e.target.closest(".jr-source-highlight-done");
+    if (!span) return;
+    var hlId = span.getAttribute("data-jr-highlight-id");
+    if (!st.completedHighlights.has(hlId)) return;
+    e.stopPropagation();
+    e.preventDefault();
+    var pair = pickPair;
+    endPick();
+    foldIntoHighlight(pair, hlId);
+  }
+
+  /** A fresh selection becomes a new highlight holding the pair. */
+  function onPickMouseUp(e) {
+    if (banner && banner.contains(e.target)) return;
+    if (e.target.closest && e.target.closest(".jr-source-highlight-done")) return;
+    e.stopPropagation();
+    setTimeout(function () {
+      if (!pickPair) return;
+      var sel = JR.getSelectedTextInAIResponse();
+      if (!sel || sel.article === pickPair.response) return;
+      var pair = pickPair;
+      endPick();
+      foldIntoNewHighlight(pair, sel);
+    }, 10);
+  }
+
+  /** Version fields for a chat pair, as chat.js would have captured them. */
+  function pairItem(pair) {
+    var content = pair.response.querySelector(S.responseContent);
+    return {
+      id: crypto.randomUUID(),
+      question: JR.site.userText(pair.question).trim() || null,
+      responseHTML: content ? JR.sanitizeResponseHTML(content.innerHTML) : "",
+      questionIndex: JR.getTurnNumber(pair.question),
+      responseIndex: JR.getTurnNumber(pair.response),
+      questionMessageId: JR.getMessageId(pair.question),
+      responseMessageId: JR.getMessageId(pair.response),
+    };
+  }
+
+  function sameTurns(a, b) {
+    if (a.questionMessageId && b.questionMessageId) return a.questionMessageId === b.questionMessageId;
+    return a.questionIndex === b.questionIndex;
+  }
+
+  /** Hide the pair's turns again, in this page and in the early-hide rules. */
+  function hidePair(pair, item, saved) {
+    pair.question.classList.add("jr-hidden");
+    pair.response.classList.add("jr-hidden");
+    if (item.questionMessageId) JR.addHiddenMessageId(item.questionMessageId);
+    else JR.addHiddenTurnIndex(item.questionIndex);
+    if (item.responseMessageId) JR.addHiddenMessageId(item.responseMessageId);
+    else JR.addHiddenTurnIndex(item.responseIndex);
+    // As the response watch does for a popup's own turns
+    var listed = addDeletedTurns(location.href, [
+      item.questionMessageId || item.questionIndex,
+      item.responseMessageId || item.responseIndex,
+    ]);
+    Promise.all([saved, listed]).then(JR.refreshEarlyHideStyle);
+  }
+
+  function foldIntoHighlight(pair, hlId) {
+    var entry = st.completedHighlights.get(hlId);
+    var item = pairItem(pair);
+    var saved;
+
+    var unfolded = JR.unfoldedItem(entry);
+    if (unfolded && sameTurns(unfolded, item)) {
+      // Folding an unfolded version back
+      unfolded.unfolded = false;
+      item = unfolded;
+      saved = updateHighlightFields(unfolded.id, { unfolded: false });
+      setMarker(entry, false);
+    } else {
+      entry.items.push(item);
+      entry.activeItemIndex = entry.items.length - 1;
+      entry.question = item.question;
+      entry.responseHTML = item.responseHTML;
+      entry.responseIndex = item.responseIndex;
+      var sourceTurn = entry.spans && entry.spans[0] ? entry.spans[0].closest(S.turn) : null;
+      saved = saveHighlight({
+        id: item.id, quoteId: hlId, text: entry.text, sentence: entry.sentence,
+        blockTypes: entry.blockTypes, responseHTML: item.responseHTML, question: item.question,
+        url: location.href, site: JR.site.id,
+        parentId: entry.parentId || null, parentItemId: entry.parentItemId || null,
+        sourceTurnIndex: sourceTurn ? JR.getTurnNumber(sourceTurn) : -1, sourceMessageId: JR.getMessageId(sourceTurn),
+        questionIndex: item.questionIndex, responseIndex: item.responseIndex,
+        questionMessageId: item.questionMessageId, responseMessageId: item.responseMessageId,
+        quoteSelector: entry.quoteSelector || null, positionSelector: entry.positionSelector || null,
+        color: entry.color || null, active: true, wholeResponse: !!entry.wholeResponse,
+        groupQuotes: entry.groupQuotes || null,
+      });
+      JR.cacheItemImages(item.id, item.responseHTML);
+    }
+
+    hidePair(pair, item, saved);
+    JR.updateNavWidget();
+    JR.openHighlight(hlId);
+  }
+
+  function foldIntoNewHighlight(pair, sel) {
+    var wrappers = JR.highlightRange(sel.range);
+    if (wrappers.length === 0) return;
+    window.getSelection().removeAllRanges();
+
+    var item = pairItem(pair);
+    var described = JR.describeTextAnchor(wrappers);
+    var hl = {
+      id: item.id,
+      quoteId: crypto.randomUUID(),
+      text: sel.text,
+      sentence: sel.sentence,
+      blockTypes: sel.blockTypes,
+      question: item.question,
+      responseHTML: item.responseHTML,
+      responseIndex: item.responseIndex,
+      items: [item],
+      activeItemIndex: 0,
+      quoteSelector: described ? described.quoteSelector : null,
+      positionSelector: described ? described.positionSelector : null,
+    };
+    JR.registerHighlightSpans(hl, wrappers, sel.article.parentElement, 1);
+    var saved = saveHighlight({
+      id: item.id, quoteId: hl.quoteId, text: hl.text, sentence: hl.sentence,
+      blockTypes: hl.blockTypes, responseHTML: item.responseHTML, question: item.question,
+      url: location.href, site: JR.site.id,
+      sourceTurnIndex: JR.getTurnNumber(sel.article), sourceMessageId: JR.getMessageId(sel.article),
+      questionIndex: item.questionIndex, responseIndex: item.responseIndex,
+      questionMessageId: item.questionMessageId, responseMessageId: item.responseMessageId,
+      quoteSelector: hl.quoteSelector, positionSelector: hl.positionSelector,
+    });
+    JR.cacheItemImages(item.id, item.responseHTML);
+
+    hidePair(pair, item, saved);
+    JR.updateNavWidget();
+    JR.openHighlight(hl.quoteId);
+  }
+})();
@@ -0,0 +1,313 @@
+// fork.js — Fork a popup branch into a brand-new conversation.
+//
+// "Fork" under a popup response opens a new chat on the same site (in a tab
+// next to this one) with its input pre-filled: the quote and its sentence, the
+// questions and answers of every ancestor popup, and this popup's exchange.
+// The worker holds the prompt until the new tab's content script claims it.
+//
+// Once the new chat's first message gives it an id, the fork is linked both
+// ways:
+//   - the forked item's record gets fork: { conversationId, url, createdAt },
+//     shown as a link under its response
+//   - chrome.storage.local (FORK_ORIGINS_KEY) maps the new conversation back
+//     to where it came from: { [conversationId]: { url, quoteId, itemId, text } },
+//     shown as a pill that returns there and reopens the popup
+(function () {
+  "use strict";
+
+  var st = JR.state;
+  var S = JR.SELECTORS;
+
+  var FORK_ORIGINS_KEY = "jumpreturn_fork_origins";
+  var OPEN_ORIGIN_KEY = "jr-fork-open-origin";   // sessionStorage: { conversationId, itemId }
+  var INPUT_WAIT_MS = 30000;
+  var LINK_POLL_MS = 1000;
+  var LINK_WAIT_MS = 600000;  // prompt never sent in this long: no link
+  var OPEN_STEP_MS = 400;
+  var OPEN_MAX_STEPS = 40;
+
+  var FORK_SVG = '<svg viewBox="0 0 256 256" fill="currentColor"><path d="M228,64a36,36,0,1,0-48,33.94V112a4,4,0,0,1-4,4H80a4,4,0,0,1-4-4V97.94a36,36,0,1,0-24,0V112a28,28,0,0,0,28,28h36v18.06a36,36,0,1,0,24,0V140h36a28,28,0,0,0,28-28V97.94A36.07,36.07,0,0,0,228,64ZM64,52A12,12,0,1,1,52,64,12,12,0,0,1,64,52Zm64,152a12,12,0,1,1,12-12A12,12,0,0,1,128,204ZM192,76a12,12,0,1,1,12-12A12,12,0,0,1,192,76Z"/></svg>';
+
+  // --- Prompt ---
+
+  function itemById(entry, itemId) {
+    if (!entry || !entry.items) return null;
+    for (var i = 0; i < entry.items.length; i++) {
+      if (entry.items[i].id === itemId) return entry.items[i];
+    }
+    return entry.items[entry.activeItemIndex || 0] || null;
+  }
+
+  function answerMarkdown(html) {
+    if (!html || html === "__PENDING__" || html === "__TIMEOUT__") return "(no answer)";
+    var root = JR.parseResponseHTML(html);
+    JR.wireCopyButtons(root);
+    return JR.htmlToMarkdown(root);
+  }
+
+  /**
+   * Each popup from the level-1 highlight down to `hlId`, with the version
+   * that leads to the next one: [{ entry, item }, ...].
+   */
+  function forkChain(hlId, itemId) {
+    var chain = [];
+    var entry = st.completedHighlights.get(hlId);
+    var wantItemId = itemId;
+    while (entry) {
+      chain.unshift({ entry: entry, item: itemById(entry, wantItemId) });
+      wantItemId = entry.parentItemId;
+      entry = entry.parentId ? st.completedHighlights.get(entry.parentId) : null;
+    }
+    return chain;
+  }
+
+  /** The text the forked chat starts with. */
+  function buildForkPrompt(chain) {
+    var root = chain[0].entry;
+    var parts = ["This continues a side thread from another conversation."];
+    if (root.sentence && root.sentence !== root.text) {
+      parts.push('It started from this part of a response:\n"' + root.sentence + '"\n\nSpecifically: "' + root.text + '"');
+    } else {
+      parts.push('It started from this part of a response:\n"' + root.text + '"');
+    }
+    for (var i = 0; i < chain.length; i++) {
+      var link = chain[i];
+      if (i > 0) {
+        parts.push(link.entry.wholeResponse
+          ? "A follow-up on that whole answer:"
+          : 'A follow-up about "' + link.entry.text + '" in that answer:');
+      }
+      var question = link.item ? link.item.question : link.entry.question;
+      if (question) parts.push("Question: " + question);
+      parts.push("Answer:\n" + answerMarkdown(link.item ? link.item.responseHTML : link.entry.responseHTML));
+    }
+    parts.push("Let\u2019s continue from here.");
+    return parts.join("\n\n");
+  }
+
+  /**
+   * Open a new chat pre-filled with a popup's branch.
+   * @param {string} hlId - The popup's quoteId
+   * @param {string} itemId - The version being forked
+   */
+  JR.forkToNewChat = function (hlId, itemId) {
+    var chain = forkChain(hlId, itemId);
+    if (chain.length === 0) return;
+    var entry = chain[chain.length - 1].entry;
+    chrome.runtime.sendMessage({
+      type: "jr-fork-open",
+      newChatUrl: location.origin + JR.site.newChatPath,
+      prompt: buildForkPrompt(chain),
+      origin: {
+        url: location.href,
+        conversationId: conversationIdFromUrl(location.href),
+        quoteId: hlId,
+        itemId: itemId,
+        text: entry.wholeResponse ? chain[0].entry.text : entry.text,
+      },
+    }).then(function (res) {
+      if (res && res.error) console.warn("[JR] fork failed:", res.error);
+    }).catch(function (e) {
+      console.warn("[JR] fork failed:", e);
+    });
+  };
+
+  // --- Popup actions ---
+
+  /**
+   * Add the Fork button under a popup response, and a link to the chat it was
+   * already forked into, if any (read from storage since items don't carry it).
+   */
+  JR.appendForkActions = function (responseDiv, hlId, itemId) {
+    var forkBtn = document.createElement("button");
+    forkBtn.type = "button";
+    forkBtn.className = "jr-fork-btn";
+    forkBtn.setAttribute("aria-label", "Fork to new chat");
+    forkBtn.title = "Continue this branch in a new chat";
+    forkBtn.innerHTML = FORK_SVG + " Fork";
+    forkBtn.addEventListener("click", function (ev) {
+      ev.stopPropagation();
+      JR.forkToNewChat(hlId, itemId);
+    });
+    forkBtn.addEventListener("mousedown", function (ev) { ev.stopPropagation(); });
+    responseDiv.appendChild(forkBtn);
+
+    if (!itemId) return;
+    getHighlightsByQuoteId(hlId).then(function (records) {
+      var rec = null;
+      for (var i = 0; i < records.length; i++) {
+        if (records[i].id === itemId) rec = records[i];
+      }
+      if (!rec || !rec.fork || !rec.fork.url || !forkBtn.isConnected) return;
+      var link = document.createElement("a");
+      link.className = "jr-fork-link";
+      link.href = rec.fork.url;
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = "Forked chat \u2197";
+      link.addEventListener("mousedown", function (ev) { ev.stopPropagation(); });
+      forkBtn.after(link);
+    }).catch(function () { /* extension context invalidated */ });
+  };
+
+  // --- Forked tab ---
+
+  /** True once the conversation's first user message is the fork prompt. */
+  function startsWithPrompt(prompt) {
+    var turns = document.querySelectorAll(S.turn);
+    for (var i = 0; i < turns.length; i++) {
+      if (JR.site.turnRole(turns[i]) !== "user") continue;
+      var firstLine = prompt.split("\n")[0];
+      return JR.site.userText(turns[i]).trim().indexOf(firstLine) === 0;
+    }
+    return false;
+  }
+
+  /**
+   * Record the link both ways once the chat has an id. Stops if the tab moves
+   * on to some other conversation first, or the prompt isn't sent in time.
+   */
+  function linkWhenSent(fork) {
+    var deadline = Date.now() + LINK_WAIT_MS;
+    var timer = setInterval(function () {
+      if (Date.now() > deadline) {
+        clearInterval(timer);
+        return;
+      }
+      var conversationId = conversationIdFromUrl(location.href);
+      if (!conversationId) return;
+      if (!startsWithPrompt(fork.prompt)) {
+        if (document.querySelector(S.turn)) clearInterval(timer);
+        return;
+      }
+      clearInterval(timer);
+      var url = location.href;
+      updateHighlightFields(fork.origin.itemId, {
+        fork: { conversationId: conversationId, url: url, createdAt: Date.now() },
+      });
+      chrome.storage.local.get(FORK_ORIGINS_KEY).then(function (result) {
+        var origins = result[FORK_ORIGINS_KEY] || {};
+        origins[conversationId] = {
+          url: fork.origin.url,
+          quoteId: fork.origin.quoteId,
+          itemId: fork.origin.itemId,
+          text: fork.origin.text,
+        };
+        return chrome.storage.local.set({ [FORK_ORIGINS_KEY]: origins });
+      }).then(JR.refreshForkOrigin).catch(function (e) {
+        console.warn("[JR] fork link failed:", e);
+      });
+    }, LINK_POLL_MS);
+  }
+
+  /** In a tab the worker opened for a fork, pre-fill the input with its prompt. */
+  function claimFork() {
+    if (conversationIdFromUrl(location.href)) return;
+    chrome.runtime.sendMessage({ type: "jr-fork-claim" }).then(function (res) {
+      var fork = res && res.fork;
+      if (!fork) return;
+      return JR.waitFor(function () {
+        return document.querySelector(S.chatInput);
+      }, INPUT_WAIT_MS, "the chat input").then(function (input) {
+        input.focus();
+        JR.site.insertText(input, fork.prompt);
+        linkWhenSent(fork);
+      });
+    }).catch(function (e) {
+      console.warn("[JR] fork prefill failed:", e);
+    });
+  }
+
+  // --- Back-link ---
+
+  var originPill = null;
+
+  /**
+   * Return to the conversation a fork came from. The popup is reopened there
+   * after the page loads (see openPendingOrigin).
+   */
+  function returnToOrigin(origin) {
+    var originId = conversationIdFromUrl(origin.url);
+    if (!originId) {
+      location.assign(origin.url);
+      return;
+    }
+    sessionStorage.setItem(OPEN_ORIGIN_KEY, JSON.stringify({ conversationId: originId, itemId: origin.itemId }));
+    location.assign(origin.url);
+  }
+
+  /**
+   * Reopen the forked popup after returning: open each popup on the path to
+   * it in turn, since chained highlights are only registered once their
+   * parent popup has rendered.
+   */
+  function openPendingOrigin() {
+    var raw = sessionStorage.getItem(OPEN_ORIGIN_KEY);
+    if (!raw) return;
+    var target = JSON.parse(raw);
+    if (target.conversationId !== conversationIdFromUrl(location.href)) return;
+    sessionStorage.removeItem(OPEN_ORIGIN_KEY);
+
+    getHighlightsByUrl(location.href).then(function (records) {
+      var groups = JR.groupHighlightRecords(records);
+      var targetRec = null;
+      for (var i = 0; i < records.length; i++) {
+        if (records[i].id === target.itemId) targetRec = records[i];
+      }
+      if (!targetRec) return;
+      // [{ quoteId, itemId }] from the level-1 highlight down to the target
+      var path = [{ quoteId: targetRec.quoteId, itemId: targetRec.id }];
+      var group = groups.get(targetRec.quoteId);
+      while (group && group.first.parentId) {
+        path.unshift({ quoteId: group.first.parentId, itemId: group.first.parentItemId || null });
+        group = groups.get(group.first.parentId);
+      }
+
+      var steps = 0;
+      var opened = -1;
+      (function step() {
+        var deepest = -1;
+        for (var p = 0; p < path.length; p++) {
+          if (st.completedHighlights.has(path[p].quoteId)) deepest = p;
+        }
+        if (deepest > opened) {
+          var entry = st.completedHighlights.get(path[deepest].quoteId);
+          var item = itemById(entry, path[deepest].itemId);
+          if (item) JR.transitionTo(item.id);
+          opened = deepest;
+          if (deepest === path.length - 1) return;
+        }
+        if (++steps < OPEN_MAX_STEPS) setTimeout(step, OPEN_STEP_MS);
+      })();
+    }).catch(function () { /* extension context invalidated */ });
+  }
+
+  /**
+   * Show (or remove) the "Forked from" pill for the current conversation.
+   * Called on load and after SPA navigation.
+   */
+  JR.refreshForkOrigin = function () {
+    if (originPill) {
+      originPill.remove();
+      originPill = null;
+    }
+    openPendingOrigin();
+    var conversationId = conversationIdFromUrl(location.href);
+    if (!conversationId) return;
+    chrome.storage.local.get(FORK_ORIGINS_KEY).then(function (result) {
+      var origin = (result[FORK_ORIGINS_KEY] || {})[conversationId];
+      if (!origin || originPill || conversationIdFromUrl(location.href) !== conversationId) return;
+      originPill = document.createElement("button");
+      originPill.type = "button";
+      originPill.className = "jr-fork-origin";
+      originPill.title = "Go back to the conversation this was forked from";
+      originPill.textContent = "\u21A9 Forked from \u201C" + JR.truncateText(origin.text || "a popup", 40) + "\u201D";
+      originPill.addEventListener("click", function () {
+        returnToOrigin(origin);
+      });
+      document.body.appendChild(originPill);
+    }).catch(function () { /* extension context invalidated */ });
+  };
+
+  claimFork();
+})();
@@ -235,24 +235,47 @@
    * @param {Element} root - DOM element to search for the text
    * @param {object} hl - Highlight data. Uses hl.quoteId (or hl.id) as the map key
    *   and DOM data attribute. Must have: text, sentence, blockTypes, responseHTML,
-   *   question, color, parentId, responseIndex. May have: items (array of versions).
+   *   question, color, parentId, responseIndex. May have: items (array of versions),
+   *   quoteSelector/positionSelector (see JR.anchorTextRange), anchorConfidence.
    * @param {Element} contentContainer
    */
   JR.restoreHighlightInElement = function (root, hl, contentContainer) {
     var hlKey = hl.quoteId || hl.id;
-    var range = JR.findTextRange(root, hl.text);
-    if (!range) {
-      console.warn("[JR restore] findTextRange failed for:", hl.text.slice(0, 60), "id:", hlKey);
+    var anchor = JR.anchorTextRange(root, hl);
+    if (!anchor) {
+      console.warn("[JR restore] anchorTextRange failed for:", hl.text.slice(0, 60), "id:", hlKey);
       return false;
     }
-    var wrappers = JR.highlightRange(range);
+    var wrappers = JR.highlightRange(anchor.range);
     if (wrappers.length === 0) {
       console.warn("[JR restore] highlightRange returned 0 wrappers for:", hl.text.slice(0, 60), "id:", hlKey);
       return false;
     }
+    var entry = JR.registerHighlightSpans(hl, wrappers, contentContainer, anchor.confidence);
+    syncTextAnchor(entry, wrappers, hl.anchorConfidence);
+    return true;
+  };
+
+  /**
+   * Mark freshly wrapped spans as a completed highlight and register its
+   * in-memory entry. Used by restoreHighlightInElement and by re-attaching
+   * an orphaned highlight to a new selection.
+   * @param {object} hl - Highlight data (see restoreHighlightInElement)
+   * @param {Element[]} wrappers
+   * @param {Element} contentContainer
+   * @param {number} confidence - Anchor confidence, 0–1
+   * @returns {object} The completedHighlights entry
+   */
+  JR.registerHighlightSpans = function (hl, wrappers, contentContainer, confidence) {
+    var hlKey = hl.quoteId || hl.id;
+    var items = hl.items || [{ id: hl.id, question: hl.question || null, responseHTML: hl.responseHTML, questionIndex: hl.questionIndex || -1, responseIndex: hl.responseIndex || -1, questionMessageId: hl.questionMessageId || null, responseMessageId: hl.responseMessageId || null, unfolded: !!hl.unfolded }];
+    var unfolded = items.some(function (it) { return it.unfolded; });
+    var previous = st.completedHighlights.get(hlKey);
     for (var k = 0; k < wrappers.length; k++) {
       wrappers[k].setAttribute("data-jr-highlight-id", hlKey);
       wrappers[k].classList.add("jr-source-highlight-done");
+      // An unfolded version's turns are in the main thread; the highlight just links there
+      if (unfolded) wrappers[k].classList.add("jr-highlight-unfolded");
     }
     var entry = {
       quoteId: hlKey,
@@ -267,13 +290,45 @@
       parentId: hl.parentId || null,
       parentItemId: hl.parentItemId || null,
       responseIndex: hl.responseIndex || -1,
-      items: hl.items || [{ id: hl.id, question: hl.question || null, responseHTML: hl.responseHTML, questionIndex: hl.questionIndex || -1, responseIndex: hl.responseIndex || -1 }],
+      items: items,
       activeItemIndex: hl.activeItemIndex != null ? hl.activeItemIndex : 0,
+      quoteSelector: hl.quoteSelector || null,
+      positionSelector: hl.positionSelector || null,
+      anchorConfidence: confidence,
+      groupQuotes: hl.groupQuotes || null,
+      // The other quotes' spans (src/quote-group.js) outlive a re-anchored primary
+      groupSpans: hl.groupQuotes ? (previous && previous.groupSpans) || [] : null,
     };
     st.completedHighlights.set(hlKey, entry);
-    return true;
+    return entry;
   };
 
+  /**
+   * Persist a restored highlight's anchor confidence when it changed, and give
+   * records saved before quote/position selectors existed a pair built from
+   * where they just anchored.
+   * @param {object} entry - The completedHighlights entry (already updated)
+   * @param {Element[]} wrappers
+   * @param {number|undefined} storedConfidence
+   */
+  function syncTextAnchor(entry, wrappers, storedConfidence) {
+    var fields = {};
+    if (!entry.quoteSelector) {
+      var described = JR.describeTextAnchor(wrappers);
+      if (described) {
+        entry.quoteSelector = fields.quoteSelector = described.quoteSelector;
+        entry.positionSelector = fields.positionSelector = described.positionSelector;
+      }
+    }
+    if (storedConfidence == null || Math.abs(storedConfidence - entry.anchorConfidence) > 0.01) {
+      fields.anchorConfidence = entry.anchorConfidence;
+    }
+    if (Object.keys(fields).length === 0) return;
+    for (var i = 0; i < entry.items.length; i++) {
+      if (entry.items[i].id) updateHighlightFields(entry.items[i].id, fields);
+    }
+  }
+
   /**
    * Hide turns from previously deleted highlights.
    * Polls the DOM since ChatGPT renders turns asynchronously.
@@ -288,9 +343,8 @@
       function tryHide() {
         var stillRemaining = [];
         for (var i = 0; i < remaining.length; i++) {
-          var turn = document.querySelector(
-            '[data-testid="conversation-turn-' + remaining[i] + '"]'
-          );
+          var ref = remaining[i];
+          var turn = typeof ref === "string" ? JR.findTurn(ref) : JR.findTurn(null, ref);
           if (turn) {
             turn.classList.add("jr-hidden");
           } else {
@@ -325,13 +379,25 @@
 
     getHighlightsByUrl(url).then(function (highlights) {
       if (highlights.length === 0) return;
+      JR.preloadCachedImages(highlights);
 
-      // Collect all turn indices to hide (every item, every quoteId)
-      var allTurnIndices = [];
+      // Collect every Q&A turn to hide (every item, every quoteId). Turns with a
+      // stored message id are only ever matched by that id; older records fall
+      // back to the turn number and get their id filled in once it's seen.
+      var allTurnTargets = [];
       for (var hi = 0; hi < highlights.length; hi++) {
         var h = highlights[hi];
-        if (h.questionIndex > 0) { allTurnIndices.push(h.questionIndex); st.hiddenTurnIndices.add(h.questionIndex); }
-        if (h.responseIndex > 0) { allTurnIndices.push(h.responseIndex); st.hiddenTurnIndices.add(h.responseIndex); }
+        if (h.unfolded) continue; // shown in the main thread (fold.js)
+        if (h.questionMessageId || h.questionIndex > 0) {
+          allTurnTargets.push({ itemId: h.id, role: "question", messageId: h.questionMessageId || null, index: h.questionIndex });
+        }
+        if (h.responseMessageId || h.responseIndex > 0) {
+          allTurnTargets.push({ itemId: h.id, role: "response", messageId: h.responseMessageId || null, index: h.responseIndex });
+        }
+        if (h.questionMessageId) st.hiddenMessageIds.add(h.questionMessageId);
+        else if (h.questionIndex > 0) st.hiddenTurnIndices.add(h.questionIndex);
+        if (h.responseMessageId) st.hiddenMessageIds.add(h.responseMessageId);
+        else if (h.responseIndex > 0) st.hiddenTurnIndices.add(h.responseIndex);
       }
 
       // Group items by quoteId, then build restorable list for level-1 highlights
@@ -349,6 +415,11 @@
             parentId: item.parentId,
             parentItemId: item.parentItemId || null,
             sourceTurnIndex: item.sourceTurnIndex,
+            sourceMessageId: item.sourceMessageId || null,
+            quoteSelector: item.quoteSelector || null,
+            positionSelector: item.positionSelector || null,
+            anchorConfidence: item.anchorConfidence,
+            groupQuotes: item.groupQuotes || null,
             items: [],
             activeItemIndex: 0,
             // Convenience — will be set from active item below
@@ -363,8 +434,18 @@
           responseHTML: item.responseHTML,
           questionIndex: item.questionIndex,
           responseIndex: item.responseIndex,
+          questionMessageId: item.questionMessageId || null,
+          responseMessageId: item.responseMessageId || null,
+          unfolded: !!item.unfolded,
         };
         quoteMap[qid].items.push(itemObj);
+        if (!quoteMap[qid].sourceMessageId && item.sourceMessageId) {
+          quoteMap[qid].sourceMessageId = item.sourceMessageId;
+        }
+        if (!quoteMap[qid].quoteSelector && item.quoteSelector) {
+          quoteMap[qid].quoteSelector = item.quoteSelector;
+          quoteMap[qid].positionSelector = item.positionSelector || null;
+        }
         if (item.active) {
           quoteMap[qid].activeItemIndex = quoteMap[qid].items.length - 1;
           quoteMap[qid].question = item.question;
@@ -386,16 +467,24 @@
         }
       }
 
-      // Only level-1 highlights (no parentId) with source and response get visually restored
+      // Only level-1 highlights (no parentId) with source and response get visually restored;
+      // the rest of level 1 has nothing to anchor to and goes straight to the orphan panel
       var restorable = [];
+      var unanchorable = [];
       for (var ri2 = 0; ri2 < quoteIds.length; ri2++) {
         var qe = quoteMap[quoteIds[ri2]];
-        if (!qe.parentId && qe.sourceTurnIndex > 0 && qe.responseHTML) {
+        if (qe.parentId) continue;
+        if ((qe.sourceMessageId || qe.sourceTurnIndex > 0) && qe.responseHTML) {
           restorable.push(qe);
+        } else {
+          unanchorable.push(qe);
         }
       }
 
-      if (allTurnIndices.length === 0 && restorable.length === 0) return;
+      if (allTurnTargets.length === 0 && restorable.length === 0) {
+        JR.setOrphanedHighlights(unanchorable, highlights);
+        return;
+      }
 
       // Restore shorter (inner) highlights first so that when longer
       // (outer) highlights restore, the filter in highlightRange can
@@ -407,19 +496,19 @@
       var attempts = 0;
       var maxAttempts = 30;
       var remaining = restorable.slice();
-      var turnsRemaining = allTurnIndices.slice();
+      var turnsRemaining = allTurnTargets.slice();
 
       function tryRestore() {
         // Hide all Q&A turns (level-1 + chained, every attempt until found)
         var turnsStillRemaining = [];
         for (var ti = 0; ti < turnsRemaining.length; ti++) {
-          var turn = document.querySelector(
-            '[data-testid="conversation-turn-' + turnsRemaining[ti] + '"]'
-          );
+          var target = turnsRemaining[ti];
+          var turn = JR.findTurn(target.messageId, target.index);
           if (turn) {
             turn.classList.add("jr-hidden");
+            syncTurnAnchor(target.itemId, target.role, turn, target.messageId, target.index);
           } else {
-            turnsStillRemaining.push(turnsRemaining[ti]);
+            turnsStillRemaining.push(target);
           }
         }
         turnsRemaining = turnsStillRemaining;
@@ -431,9 +520,7 @@
 
           if (st.completedHighlights.has(hl.quoteId)) continue;
 
-          var sourceArticle = document.querySelector(
-            '[data-testid="conversation-turn-' + hl.sourceTurnIndex + '"]'
-          );
+          var sourceArticle = JR.findTurn(hl.sourceMessageId, hl.sourceTurnIndex);
           if (!sourceArticle) {
             stillRemaining.push(hl);
             continue;
@@ -451,19 +538,26 @@
             stillRemaining.push(hl);
             continue;
           }
+          for (var si = 0; si < hl.items.length; si++) {
+            syncTurnAnchor(hl.items[si].id, "source", sourceArticle, hl.sourceMessageId, hl.sourceTurnIndex);
+          }
         }
 
         remaining = stillRemaining;
         attempts++;
+        JR.restoreGroupQuotes(null, null);
 
         JR.updateNavWidget();
 
         if ((remaining.length > 0 || turnsRemaining.length > 0) && attempts < maxAttempts) {
           st.restoreTimer = setTimeout(tryRestore, 500);
-        } else if (remaining.length > 0) {
+          return;
+        }
+        if (remaining.length > 0) {
           console.warn("[JR restore] gave up on " + remaining.length + " highlights after " + maxAttempts + " attempts:",
             remaining.map(function (h) { return h.text.slice(0, 40) + "…"; }));
         }
+        JR.setOrphanedHighlights(remaining.concat(unanchorable), highlights);
       }
 
       tryRestore();
@@ -471,15 +565,46 @@
   };
 
   /**
-   * Enforce hidden state on all turns in hiddenTurnIndices.
+   * Lazily bring a stored item's anchor for one turn up to date once that turn
+   * has been found: fill in a missing message id (older records only had turn
+   * numbers) and refresh a turn number that has shifted. Hidden Q&A turns found
+   * by number are moved over to the message-id set.
+   * @param {string} itemId
+   * @param {string} role - "source", "question" or "response"
+   * @param {Element} turn
+   * @param {string|null} storedMessageId
+   * @param {number} storedIndex
+   */
+  function syncTurnAnchor(itemId, role, turn, storedMessageId, storedIndex) {
+    var fields = {};
+    var msgId = JR.getMessageId(turn);
+    var idx = JR.getTurnNumber(turn);
+    var indexField = role === "source" ? "sourceTurnIndex" : role + "Index";
+    if (!storedMessageId && msgId) {
+      fields[role + "MessageId"] = msgId;
+      if (role !== "source") {
+        st.hiddenMessageIds.add(msgId);
+        st.hiddenTurnIndices.delete(storedIndex);
+      }
+    }
+    if (idx > 0 && idx !== storedIndex) fields[indexField] = idx;
+    if (Object.keys(fields).length > 0) updateHighlightFields(itemId, fields);
+  }
+
+  /**
+   * Enforce hidden state on all turns in hiddenMessageIds / hiddenTurnIndices.
    * Called by MutationObserver when React remounts turn elements.
    */
   function enforceHiddenTurns() {
+    st.hiddenMessageIds.forEach(function (msgId) {
+      var turn = JR.findTurn(msgId);
+      if (turn && !turn.classList.contains("jr-hidden")) {
+        turn.classList.add("jr-hidden");
+      }
+    });
     if (st.hiddenTurnIndices.size === 0) return;
     st.hiddenTurnIndices.forEach(function (idx) {
-      var turn = document.querySelector(
-        '[data-testid="conversation-turn-' + idx + '"]'
-      );
+      var turn = JR.findTurn(null, idx);
       if (turn && !turn.classList.contains("jr-hidden")) {
         turn.classList.add("jr-hidden");
       }
@@ -494,7 +619,7 @@
     if (st._hiddenTurnObserver) return;
     var debounceTimer = null;
     st._hiddenTurnObserver = new MutationObserver(function () {
-      if (st.hiddenTurnIndices.size === 0) return;
+      if (st.hiddenTurnIndices.size === 0 && st.hiddenMessageIds.size === 0) return;
       if (debounceTimer) return;
       debounceTimer = setTimeout(function () {
         debounceTimer = null;
@@ -513,10 +638,19 @@
     if (idx > 0) st.hiddenTurnIndices.add(idx);
   };
 
+  /**
+   * Add a turn's message id to the enforced hidden set. Survives turn
+   * renumbering, unlike addHiddenTurnIndex.
+   */
+  JR.addHiddenMessageId = function (msgId) {
+    if (msgId) st.hiddenMessageIds.add(msgId);
+  };
+
   /**
    * Clear enforced hidden turns (used on SPA navigation).
    */
   JR.clearHiddenTurnIndices = function () {
     st.hiddenTurnIndices.clear();
+    st.hiddenMessageIds.clear();
   };
 })();
@@ -0,0 +1,241 @@
+// html-export.js — Export the conversation as one self-contained HTML file
+//
+// The file holds the visible main thread, every highlight's Q&A (all versions)
+// as embedded JSON, styles.css plus viewer/viewer.css, and viewer/viewer.js,
+// which reopens the popup tree offline. A CSP meta tag blocks every network
+// request and any script but the viewer's own.
+(function () {
+  "use strict";
+
+  var S = JR.SELECTORS;
+
+  var STRIP_SELECTOR = "script, style, iframe, frame, object, embed, link, meta, base, form, input, textarea, select, button, .sr-only, .jr-code-header-btns, .jr-highlight-underline";
+
+  /** Fetch styles.css and the viewer files through the worker. */
+  function requestViewerAssets() {
+    return new Promise(function (resolve, reject) {
+      chrome.runtime.sendMessage({ type: "jr-viewer-assets" }, function (res) {
+        if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+        else if (!res || res.error) reject(new Error(res ? res.error : "no response"));
+        else resolve(res.result);
+      });
+    });
+  }
+
+  function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, function (c) {
+      return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c];
+    });
+  }
+
+  /**
+   * Strip everything the viewer doesn't need from a response subtree: active
+   * content, event handlers, our transient classes and remote images (which the
+   * CSP would block anyway).
+   */
+  function cleanForViewer(root) {
+    var doc = root.ownerDocument;
+    var strip = root.querySelectorAll(STRIP_SELECTOR);
+    for (var i = 0; i < strip.length; i++) strip[i].remove();
+
+    var all = root.querySelectorAll("*");
+    for (var a = 0; a < all.length; a++) {
+      var el = all[a];
+      for (var n = el.attributes.length - 1; n >= 0; n--) {
+        var name = el.attributes[n].name;
+        if (/^on/i.test(name) || name === "style" || name === "srcset") el.removeAttribute(name);
+      }
+      if (el.tagName === "A") {
+        var href = el.getAttribute("href") || "";
+        if (/^\s*javascript:/i.test(href)) el.removeAttribute("href");
+        el.setAttribute("target", "_blank");
+        el.setAttribute("rel", "noopener noreferrer");
+      }
+      el.classList.remove("jr-source-highlight", "jr-search-mark", "jr-search-mark-active");
+    }
+
+    var imgs = root.querySelectorAll("img");
+    for (var m = 0; m < imgs.length; m++) {
+      if (/^data:image\//i.test(imgs[m].getAttribute("src") || "")) continue;
+      var ph = doc.createElement("span");
+      ph.className = "jr-v-image-missing";
+      ph.textContent = imgs[m].getAttribute("alt") || "Image";
+      imgs[m].replaceWith(ph);
+    }
+    return root;
+  }
+
+  /**
+   * Wrap a range's text in highlight spans. A lighter JR.highlightRange for
+   * detached documents (no layout to consult).
+   */
+  function wrapRange(range, quoteId) {
+    var doc = range.startContainer.ownerDocument;
+    var walker = doc.createTreeWalker(range.commonAncestorContainer, NodeFilter.SHOW_TEXT, null);
+    var nodes = [];
+    var node = walker.currentNode.nodeType === Node.TEXT_NODE ? walker.currentNode : walker.nextNode();
+    while (node) {
+      if (range.intersectsNode(node) && node.nodeValue.trim()) nodes.push(node);
+      node = walker.nextNode();
+    }
+    for (var i = nodes.length - 1; i >= 0; i--) {
+      var tn = nodes[i];
+      var start = tn === range.startContainer ? range.startOffset : 0;
+      var end = tn === range.endContainer ? range.endOffset : tn.length;
+      if (start >= end) continue;
+      if (end < tn.length) tn.splitText(end);
+      if (start > 0) tn = tn.splitText(start);
+      var span = doc.createElement("span");
+      span.className = "jr-source-highlight-done";
+      span.setAttribute("data-jr-highlight-id", quoteId);
+      tn.parentNode.insertBefore(span, tn);
+      span.appendChild(tn);
+    }
+  }
+
+  /** Rendered popup quote block (sentence context with the quote marked). */
+  function contextHTML(first) {
+    if (first.wholeResponse || !first.text) return "";
+    var div = document.createElement("div");
+    if (first.sentence) JR.renderSentenceContext(div, first.sentence, first.text, first.blockTypes);
+    else div.textContent = JR.truncateText(first.text, JR.MAX_DISPLAY_CHARS);
+    return div.innerHTML;
+  }
+
+  /** One version's response, with spans around its child highlights. */
+  function responseForViewer(groups, group, item) {
+    var html = item.responseHTML;
+    if (!html || html === "__PENDING__" || html === "__TIMEOUT__") return { html: "", replies: [] };
+    var root = JR.parseResponseHTML(html);
+    JR.wireCopyButtons(root);
+    var replies = [];
+    var children = JR.childHighlightGroups(groups, group, item);
+    for (var i = 0; i < children.length; i++) {
+      var child = children[i];
+      if (child.first.wholeResponse) {
+        replies.push(child.quoteId);
+        continue;
+      }
+      var anchored = JR.anchorTextRange(root, child.first);
+      if (anchored) wrapRange(anchored.range, child.quoteId);
+      else replies.push(child.quoteId); // quote no longer found: reachable from the reply list
+    }
+    return { html: cleanForViewer(root).innerHTML, replies: replies };
+  }
+
+  /** Serialize the highlight tree for viewer.js. */
+  function viewerHighlights(groups) {
+    var out = [];
+    groups.forEach(function (group) {
+      var first = group.first;
+      out.push({
+        quoteId: group.quoteId,
+        parentId: first.parentId || null,
+        parentItemId: first.parentItemId || null,
+        text: first.text || "",
+        context: contextHTML(first),
+        wholeResponse: !!first.wholeResponse,
+        activeIndex: group.activeIndex,
+        items: group.items.map(function (item) {
+          var res = responseForViewer(groups, group, item);
+          return { id: item.id, question: item.question || "", html: res.html, replies: res.replies };
+        }),
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Main-thread HTML: visible turns, with level-1 highlight spans kept so the
+   * viewer can open them. Returns the quoteIds it contains.
+   */
+  function threadHTML(groups) {
+    var parts = [];
+    var placed = new Set();
+    var turns = document.querySelectorAll(S.turn);
+    for (var t = 0; t < turns.length; t++) {
+      var turn = turns[t];
+      if (JR.isTurnHidden(turn)) continue;
+      var role = JR.site.turnRole(turn);
+      if (role === "user") {
+        var userText = JR.site.userText(turn).trim();
+        if (!userText) continue;
+        parts.push('<section class="jr-v-turn jr-v-turn--user"><div class="jr-v-role">You</div>' +
+          '<div class="jr-v-user-text">' + escapeHTML(userText) + "</div></section>");
+        continue;
+      }
+      var content = turn.querySelector(S.responseContent);
+      if (!content) continue;
+      var clone = content.cloneNode(true);
+      // The sanitizer strips our span markup, so note which spans are ours first
+      var spans = clone.querySelectorAll("[data-jr-highlight-id]");
+      var spanIds = [];
+      for (var s = 0; s < spans.length; s++) spanIds.push(spans[s].getAttribute("data-jr-highlight-id"));
+      JR.sanitizeElement(clone);
+      JR.wireCopyButtons(clone);
+      // Re-mark spans of highlights this export knows (skips e.g. still pending ones)
+      for (var k = 0; k < spans.length; k++) {
+        var qid = spanIds[k];
+        if (!groups.has(qid) || groups.get(qid).first.parentId || !clone.contains(spans[k])) continue;
+        placed.add(qid);
+        spans[k].className = "jr-source-highlight-done";
+        spans[k].setAttribute("data-jr-highlight-id", qid);
+      }
+      cleanForViewer(clone);
+      parts.push('<section class="jr-v-turn jr-v-turn--assistant"><div class="jr-v-role">' + escapeHTML(JR.site.name) + "</div>" +
+        '<div class="jr-popup-response jr-v-response">' + clone.innerHTML + "</div></section>");
+    }
+    return { html: parts.join("\n"), placed: placed };
+  }
+
+  /**
+   * Build the standalone viewer document for the current conversation.
+   * @returns {Promise<string>}
+   */
+  JR.buildConversationHTML = async function () {
+    await flushPendingWrites();
+    var assets = await requestViewerAssets();
+    var groups = JR.groupHighlightRecords(await getHighlightsByUrl(location.href));
+    var thread = threadHTML(groups);
+
+    var unplaced = [];
+    groups.forEach(function (group) {
+      if (!group.first.parentId && !thread.placed.has(group.quoteId)) unplaced.push(group.quoteId);
+    });
+
+    var title = (document.title || "").trim() || JR.site.name + " conversation";
+    var data = {
+      title: title,
+      url: location.href.split("?")[0],
+      exportedAt: new Date().toISOString(),
+      highlights: viewerHighlights(groups),
+      unplaced: unplaced,
+    };
+
+    var bytes = crypto.getRandomValues(new Uint8Array(16));
+    var nonce = Array.prototype.map.call(bytes, function (b) { return ("0" + b.toString(16)).slice(-2); }).join("");
+    var csp = "default-src 'none'; img-src data:; style-src 'unsafe-inline'; script-src 'nonce-" + nonce + "'";
+
+    return "<!DOCTYPE html>\n" +
+      '<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+      '<meta http-equiv="Content-Security-Policy" content="' + csp + '">\n' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+      "<title>" + escapeHTML(title) + "</title>\n" +
+      "<style>\n" + assets.styles.replace(/<\/style/gi, "<\\/style") + "\n</style>\n" +
+      "<style>\n" + assets.viewerCss.replace(/<\/style/gi, "<\\/style") + "\n</style>\n" +
+      "</head>\n<body>\n" +
+      '<header class="jr-v-header"><h1>' + escapeHTML(title) + "</h1>" +
+      '<p class="jr-v-meta">Exported from ' + escapeHTML(data.url) + " on " + data.exportedAt.slice(0, 10) + "</p></header>\n" +
+      '<main id="jr-v-thread" class="jr-v-thread">\n' + thread.html + "\n</main>\n" +
+      '<script type="application/json" id="jr-v-data">' + JSON.stringify(data).replace(/</g, "\\u003c") + "</script>\n" +
+      '<script nonce="' + nonce + '">\n' + assets.viewerJs.replace(/<\/script/gi, "<\\/script") + "\n</script>\n" +
+      "</body>\n</html>\n";
+  };
+
+  /**
+   * Build the standalone viewer and download it as "<conversation title>.html".
+   */
+  JR.exportConversationHTML = async function () {
+    JR.downloadConversationFile(await JR.buildConversationHTML(), "html", "text/html");
+  };
+})();
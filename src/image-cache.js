@@ -0,0 +1,171 @@
+// image-cache.js — Local copies of response images (page side)
+//
+// ChatGPT's image URLs are signed and expire, so a captured response's images
+// are fetched right away and stored by the worker (src/image-store.js). The
+// stored copy's hash goes on the <img> as data-jr-image; when a saved response
+// is rendered, those images are pointed at blob: URLs of the stored copies.
+(function () {
+  "use strict";
+
+  var st = JR.state;
+
+  var objectUrls = new Map();  // hash → blob: URL (lives as long as the page)
+  var loading = new Map();     // hash → Promise while its lookup is in flight
+
+  var HASH_ATTR_RE = /data-jr-image="([0-9a-f]{64})"/g;
+
+  function dataUrlToObjectUrl(dataUrl) {
+    var comma = dataUrl.indexOf(",");
+    var type = dataUrl.slice(5, comma).split(";")[0];
+    var binary = atob(dataUrl.slice(comma + 1));
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return URL.createObjectURL(new Blob([bytes], { type: type }));
+  }
+
+  function readAsDataUrl(blob) {
+    return new Promise(function (resolve, reject) {
+      var reader = new FileReader();
+      reader.onload = function () { resolve(reader.result); };
+      reader.onerror = function () { reject(reader.error); };
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * What to hand the worker for an image URL: the bytes if the page can read
+   * them (same-origin or CORS-enabled), else the URL for the worker to fetch.
+   */
+  async function imageSource(url) {
+    try {
+      var res = await fetch(url, { credentials: "include" });
+      if (res.ok) {
+        var blob = await res.blob();
+        if (/^image\//i.test(blob.type)) return { dataUrl: await readAsDataUrl(blob) };
+      }
+    } catch (e) {
+      // Cross-origin without CORS — the worker's host permission covers it
+    }
+    return { url: url };
+  }
+
+  /** Fetch stored copies for hashes not yet loaded on this page. */
+  function loadStored(hashes) {
+    var wanted = hashes.filter(function (h) { return !objectUrls.has(h) && !loading.has(h); });
+    if (wanted.length > 0) {
+      var p = getImages(wanted).then(function (found) {
+        Object.keys(found).forEach(function (h) { objectUrls.set(h, dataUrlToObjectUrl(found[h])); });
+      }).catch(function (e) {
+        console.warn("[JR] image cache lookup failed:", e);
+      }).then(function () {
+        wanted.forEach(function (h) { loading.delete(h); });
+      });
+      wanted.forEach(function (h) { loading.set(h, p); });
+    }
+    return Promise.all(hashes.map(function (h) { return loading.get(h); }));
+  }
+
+  /**
+   * Store every image of a captured response that isn't stored yet.
+   * @param {string} html - Sanitized response HTML
+   * @returns {Promise<string|null>} The HTML with data-jr-image hashes added,
+   *   or null if no image was stored
+   */
+  JR.cacheResponseImages = async function (html) {
+    if (!html || html === "__PENDING__" || html === "__TIMEOUT__") return null;
+    var root = JR.parseResponseHTML(html);
+    var imgs = root.querySelectorAll("img[src]:not([data-jr-image])");
+    var bySrc = {};
+    var changed = false;
+    for (var i = 0; i < imgs.length; i++) {
+      var url;
+      try {
+        url = new URL(imgs[i].getAttribute("src"), location.href).href;
+      } catch (e) {
+        continue;
+      }
+      if (!/^https:/i.test(url)) continue;  // data: images don't expire
+      if (!(url in bySrc)) {
+        bySrc[url] = await saveImage(await imageSource(url)).catch(function (e) {
+          console.warn("[JR] image cache store failed:", e);
+          return null;
+        });
+      }
+      if (bySrc[url]) {
+        imgs[i].setAttribute("data-jr-image", bySrc[url]);
+        changed = true;
+      }
+    }
+    return changed ? root.innerHTML : null;
+  };
+
+  /**
+   * Cache a just-captured version's images, then write the hashes into its
+   * stored record and in-memory item. Skipped if the version's HTML changed
+   * meanwhile (e.g. a retry reset it to __PENDING__).
+   * @param {string} itemId
+   * @param {string} html - The responseHTML that was saved for it
+   */
+  JR.cacheItemImages = function (itemId, html) {
+    if (!itemId || !html || html.indexOf("<img") === -1) return;
+    JR.cacheResponseImages(html).then(function (cached) {
+      if (!cached) return;
+      var stale = false;
+      st.completedHighlights.forEach(function (entry) {
+        if (!entry.items) return;
+        for (var i = 0; i < entry.items.length; i++) {
+          if (entry.items[i].id !== itemId) continue;
+          if (entry.items[i].responseHTML !== html) {
+            stale = true;
+            return;
+          }
+          entry.items[i].responseHTML = cached;
+          if (entry.responseHTML === html) entry.responseHTML = cached;
+        }
+      });
+      if (!stale) updateHighlightFields(itemId, { responseHTML: cached });
+    });
+  };
+
+  /**
+   * Point a rendered response's cached images at their stored copies. Copies
+   * already loaded on this page are swapped synchronously (before the image
+   * gallery reads the srcs); others are swapped in when their lookup returns.
+   */
+  JR.applyCachedImages = function (root) {
+    var imgs = root.querySelectorAll("img[data-jr-image]");
+    if (imgs.length === 0) return;
+    var missing = [];
+    for (var i = 0; i < imgs.length; i++) {
+      var hash = imgs[i].getAttribute("data-jr-image");
+      if (objectUrls.has(hash)) imgs[i].src = objectUrls.get(hash);
+      else if (missing.indexOf(hash) === -1) missing.push(hash);
+    }
+    if (missing.length === 0) return;
+    loadStored(missing).then(function () {
+      for (var j = 0; j < imgs.length; j++) {
+        var url = objectUrls.get(imgs[j].getAttribute("data-jr-image"));
+        if (url && imgs[j].isConnected && imgs[j].src !== url) imgs[j].src = url;
+      }
+    });
+  };
+
+  /**
+   * Load the stored images of a conversation's records ahead of time, so
+   * popups opened later can swap them in synchronously.
+   * @param {Array} records - Highlight records (responseHTML is scanned for hashes)
+   */
+  JR.preloadCachedImages = function (records) {
+    var hashes = [];
+    for (var i = 0; i < records.length; i++) {
+      var html = records[i].responseHTML;
+      if (!html || html.indexOf("data-jr-image") === -1) continue;
+      HASH_ATTR_RE.lastIndex = 0;
+      var m;
+      while ((m = HASH_ATTR_RE.exec(html))) {
+        if (hashes.indexOf(m[1]) === -1) hashes.push(m[1]);
+      }
+    }
+    if (hashes.length > 0) loadStored(hashes);
+  };
+})();
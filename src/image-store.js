@@ -0,0 +1,108 @@
+// image-store.js — Local copies of images from captured responses.
+// Loaded into background.js with importScripts (putImage / getImages ops).
+//
+// ChatGPT serves generated and uploaded images from signed URLs that expire,
+// so the content script has each one fetched while the page can still reach
+// it. Blobs are keyed by the SHA-256 of their bytes, which dedupes the same
+// image captured in several responses; the response HTML keeps the hash in a
+// data-jr-image attribute (see src/image-cache.js).
+//
+// Object store "images" (keyPath "hash"):
+//   { hash, type, size, blob, createdAt, lastUsedAt }
+// Total size is capped; the least recently shown images are evicted first.
+
+const IMAGE_STORE = "images";
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+const MAX_IMAGE_CACHE_BYTES = 200 * 1024 * 1024;
+
+/** Create the images store (DB upgrade to v3). */
+function createImageStore(db) {
+  var store = db.createObjectStore(IMAGE_STORE, { keyPath: "hash" });
+  store.createIndex("lastUsedAt", "lastUsedAt", { unique: false });
+}
+
+function hexDigest(buffer) {
+  return Array.prototype.map.call(new Uint8Array(buffer), function (b) {
+    return ("0" + b.toString(16)).slice(-2);
+  }).join("");
+}
+
+/** Blob → data: URL (FileReader isn't available in a service worker). */
+async function blobToDataUrl(blob) {
+  var bytes = new Uint8Array(await blob.arrayBuffer());
+  var binary = "";
+  for (var i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return "data:" + blob.type + ";base64," + btoa(binary);
+}
+
+/**
+ * Evict least recently used images until `incoming` more bytes fit under
+ * MAX_IMAGE_CACHE_BYTES.
+ */
+async function makeRoomForImage(db, incoming) {
+  var tx = db.transaction(IMAGE_STORE, "readwrite");
+  var store = tx.objectStore(IMAGE_STORE);
+  var rows = await idbRequest(store.index("lastUsedAt").getAll());
+  var total = rows.reduce(function (sum, r) { return sum + r.size; }, 0);
+  for (var i = 0; i < rows.length && total + incoming > MAX_IMAGE_CACHE_BYTES; i++) {
+    store.delete(rows[i].hash);
+    total -= rows[i].size;
+  }
+  await idbDone(tx);
+}
+
+/**
+ * Fetch an image and store it. The content script passes { dataUrl } when it
+ * could read the bytes itself, else { url } for the worker to fetch (host
+ * permission lets it past CORS).
+ * @returns {Promise<string|null>} The image's hash, or null if it wasn't stored
+ *   (not an image, too large, or unreachable)
+ */
+async function storeImage(db, source) {
+  var src = source && (source.dataUrl || source.url);
+  if (typeof src !== "string" || !/^(data:image\/|https:)/i.test(src)) return null;
+  var res = await fetch(src, { credentials: "include" });
+  if (!res.ok) return null;
+  var blob = await res.blob();
+  if (!/^image\//i.test(blob.type) || blob.size === 0 || blob.size > MAX_IMAGE_BYTES) return null;
+
+  var hash = hexDigest(await crypto.subtle.digest("SHA-256", await blob.arrayBuffer()));
+  var tx = db.transaction(IMAGE_STORE, "readonly");
+  var existing = await idbRequest(tx.objectStore(IMAGE_STORE).get(hash));
+  if (existing) return hash;
+
+  await makeRoomForImage(db, blob.size);
+  var now = Date.now();
+  tx = db.transaction(IMAGE_STORE, "readwrite");
+  tx.objectStore(IMAGE_STORE).put({ hash: hash, type: blob.type, size: blob.size, blob: blob, createdAt: now, lastUsedAt: now });
+  await idbDone(tx);
+  return hash;
+}
+
+/**
+ * Look up stored images and mark them as used.
+ * @param {string[]} hashes
+ * @returns {Promise<Object<string, string>>} hash → data: URL, for the ones found
+ */
+async function loadImages(db, hashes) {
+  var tx = db.transaction(IMAGE_STORE, "readwrite");
+  var store = tx.objectStore(IMAGE_STORE);
+  var rows = await Promise.all((hashes || []).map(function (h) {
+    return idbRequest(store.get(String(h)));
+  }));
+  var now = Date.now();
+  var found = [];
+  for (var i = 0; i < rows.length; i++) {
+    if (!rows[i]) continue;
+    rows[i].lastUsedAt = now;
+    store.put(rows[i]);
+    found.push(rows[i]);
+  }
+  await idbDone(tx);
+
+  var result = {};
+  for (var f = 0; f < found.length; f++) result[found[f].hash] = await blobToDataUrl(found[f].blob);
+  return result;
+}
@@ -2,18 +2,14 @@
 (function () {
   "use strict";
 
+  // Adapter for the chat site this page is on (src/site-adapters.js)
+  var site = siteAdapterForHost(location.hostname);
+
   window.JR = {
     // --- Constants ---
-    SELECTORS: {
-      aiTurn: '[data-testid^="conversation-turn-"]',
-      aiLabel: "h4.sr-only",
-      chatInput: 'div[contenteditable="true"]',
-      sendButton: 'button[data-testid="send-button"]',
-      stopButton: 'button[data-testid="stop-button"]',
-      responseContent: ".markdown",
-    },
+    site: site,
+    SELECTORS: site.selectors,
 
-    AI_LABEL_TEXT: "ChatGPT said:",
     MAX_DISPLAY_CHARS: 120,
 
     BLOCK_TAGS: new Set([
@@ -26,7 +22,7 @@
     // --- Shared mutable state ---
     state: {
       activePopup: null,
-      responseMode: "medium",           // "medium" or "concise"
+      responseMode: "medium",           // id of the last-used response mode (src/response-modes.js)
       cancelResponseWatch: null,
       responseWatchActive: false,       // true while waitForResponse is polling (including detached)
       activeSourceHighlights: [],       // wrapper <span> elements in the AI response
@@ -42,7 +38,10 @@
       navWidget: null,                  // floating highlight navigation widget element
       askBtnHidden: false,              // session flag — hides ChatGPT's native "Ask ChatGPT" button
       messageQueue: [],                  // queued messages waiting for generation to finish
+      directAnswers: new Set(),           // quoteIds with an answer in flight outside the main chat (JR.startDirectAnswer)
       hiddenTurnIndices: new Set(),       // turn indices that must stay hidden (enforced by observer)
+      hiddenMessageIds: new Set(),        // message ids whose turns must stay hidden (preferred over indices)
+      orphanedHighlights: new Map(),      // quoteId → level-1 entry that restore could not anchor (see orphans.js)
     },
   };
 })();
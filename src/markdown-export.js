@@ -0,0 +1,379 @@
+// markdown-export.js — Export the conversation and its popup tree as Markdown
+(function () {
+  "use strict";
+
+  var S = JR.SELECTORS;
+
+  var SKIP_TAGS = new Set(["BUTTON", "SVG", "SCRIPT", "STYLE", "TEMPLATE", "NOSCRIPT", "INPUT", "TEXTAREA"]);
+  var FOOTNOTE_INDENT = "    ";
+
+  // --- HTML → Markdown ---
+
+  function escapeText(text) {
+    return text.replace(/([\\`*_\[\]<>])/g, "\\$1");
+  }
+
+  /** Wrap inline content in a marker, keeping edge whitespace outside it ("a **b** c"). */
+  function wrapInline(content, mark) {
+    var m = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!m[2]) return content;
+    return m[1] + mark + m[2] + mark + m[3];
+  }
+
+  function longestRun(text, ch) {
+    var runs = text.match(new RegExp(ch + "+", "g")) || [];
+    var longest = 0;
+    for (var i = 0; i < runs.length; i++) longest = Math.max(longest, runs[i].length);
+    return longest;
+  }
+
+  function inlineCode(text) {
+    var fence = "`".repeat(longestRun(text, "`") + 1);
+    var pad = /^`|`$/.test(text) ? " " : "";
+    return fence + pad + text + pad + fence;
+  }
+
+  function fencedCode(code, lang) {
+    var fence = "`".repeat(Math.max(3, longestRun(code, "`") + 1));
+    return "\n\n" + fence + (lang || "").toLowerCase() + "\n" + code.replace(/\n+$/, "") + "\n" + fence + "\n\n";
+  }
+
+  /** Link / image destination with the characters that would end it early escaped. */
+  function escapeUrl(url) {
+    return url.replace(/ /g, "%20").replace(/\(/g, "%28").replace(/\)/g, "%29");
+  }
+
+  function block(content) {
+    content = content.trim();
+    return content ? "\n\n" + content + "\n\n" : "";
+  }
+
+  /** TeX source of a KaTeX render, from its MathML annotation. */
+  function texOf(el) {
+    var ann = el.querySelector('annotation[encoding="application/x-tex"]');
+    return ann ? ann.textContent.trim() : el.textContent.trim();
+  }
+
+  function convertChildren(node, ctx) {
+    var out = "";
+    for (var c = node.firstChild; c; c = c.nextSibling) out += convertNode(c, ctx);
+    return out;
+  }
+
+  function convertList(list, ctx) {
+    var ordered = list.tagName.toUpperCase() === "OL";
+    var n = parseInt(list.getAttribute("start"), 10) || 1;
+    var items = [];
+    for (var li = list.firstElementChild; li; li = li.nextElementSibling) {
+      if (li.tagName.toUpperCase() !== "LI") continue;
+      var prefix = ordered ? (n++) + ". " : "- ";
+      var pad = " ".repeat(prefix.length);
+      var body = convertChildren(li, ctx).replace(/\n{3,}/g, "\n\n").trim();
+      // Keep "text + nested list" items tight; only paragraphs make a loose item
+      if (!li.querySelector("p, pre, table, blockquote")) body = body.replace(/\n\n/g, "\n");
+      var lines = body.split("\n");
+      items.push(prefix + lines.map(function (l, i) { return i === 0 || !l ? l : pad + l; }).join("\n"));
+    }
+    return items.join("\n");
+  }
+
+  function convertTable(table, ctx) {
+    var cellCtx = { table: true };
+    var rows = [];
+    var trs = table.querySelectorAll("tr");
+    for (var r = 0; r < trs.length; r++) {
+      if (trs[r].closest("table") !== table) continue;
+      var cells = [];
+      for (var c = trs[r].firstElementChild; c; c = c.nextElementSibling) {
+        var tag = c.tagName.toUpperCase();
+        if (tag !== "TD" && tag !== "TH") continue;
+        cells.push(convertChildren(c, cellCtx).replace(/\s*\n\s*/g, " ").trim().replace(/\|/g, "\\|"));
+      }
+      rows.push(cells);
+    }
+    if (rows.length === 0) return "";
+    var width = 0;
+    for (var w = 0; w < rows.length; w++) width = Math.max(width, rows[w].length);
+    var lines = rows.map(function (cells) {
+      while (cells.length < width) cells.push("");
+      return "| " + cells.join(" | ") + " |";
+    });
+    lines.splice(1, 0, "|" + " --- |".repeat(width));
+    return lines.join("\n");
+  }
+
+  function convertNode(node, ctx) {
+    if (node.nodeType === Node.TEXT_NODE) return escapeText(node.textContent.replace(/\s+/g, " "));
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+    var el = node;
+    var tag = el.tagName.toUpperCase();
+
+    if (el.hasAttribute("data-jr-footnote")) return "[^" + el.getAttribute("data-jr-footnote") + "]";
+    if (SKIP_TAGS.has(tag) || el.classList.contains("sr-only") || el.classList.contains("jr-code-header")) return "";
+    if (el.classList.contains("jr-code-block")) {
+      var langEl = el.querySelector(".jr-code-lang");
+      var codeEl = el.querySelector("pre code") || el.querySelector("pre");
+      return fencedCode(codeEl ? codeEl.textContent : "", langEl ? langEl.textContent.trim() : "");
+    }
+    if (el.classList.contains("katex-display")) return block("$$\n" + texOf(el) + "\n$$");
+    if (el.classList.contains("katex")) return "$" + texOf(el) + "$";
+
+    switch (tag) {
+      case "BR":
+        return ctx.table ? "<br>" : "  \n";
+      case "HR":
+        return "\n\n---\n\n";
+      case "H1": case "H2": case "H3": case "H4": case "H5": case "H6":
+        return block("#".repeat(+tag.charAt(1)) + " " + convertChildren(el, ctx).trim());
+      case "STRONG": case "B":
+        return wrapInline(convertChildren(el, ctx), "**");
+      case "EM": case "I":
+        return wrapInline(convertChildren(el, ctx), "*");
+      case "DEL": case "S":
+        return wrapInline(convertChildren(el, ctx), "~~");
+      case "CODE":
+        return inlineCode(el.textContent);
+      case "PRE":
+        var code = el.querySelector("code");
+        var langMatch = code && (code.className || "").match(/language-([\w+#-]+)/);
+        return fencedCode((code || el).textContent, langMatch ? langMatch[1] : "");
+      case "A":
+        var inner = convertChildren(el, ctx).trim();
+        var href = el.getAttribute("href");
+        if (!href || /^javascript:/i.test(href)) return inner;
+        return "[" + (inner || escapeText(href)) + "](" + escapeUrl(href) + ")";
+      case "IMG":
+        var src = el.getAttribute("src");
+        return src ? "![" + escapeText(el.getAttribute("alt") || "") + "](" + escapeUrl(src) + ")" : "";
+      case "UL": case "OL":
+        return block(convertList(el, ctx));
+      case "BLOCKQUOTE":
+        return block(convertChildren(el, ctx).replace(/\n{3,}/g, "\n\n").trim().split("\n").map(function (l) {
+          return l ? "> " + l : ">";
+        }).join("\n"));
+      case "TABLE":
+        return block(convertTable(el, ctx));
+      case "P": case "DIV": case "SECTION": case "ARTICLE": case "FIGURE":
+        return ctx.table ? convertChildren(el, ctx) + " " : block(convertChildren(el, ctx));
+      default:
+        return convertChildren(el, ctx);
+    }
+  }
+
+  /**
+   * Convert rendered response HTML to Markdown. Code blocks (ChatGPT's or the
+   * popup's rebuilt .jr-code-block), tables, links, lists and KaTeX math are kept;
+   * buttons and screen-reader labels are dropped.
+   * @param {Element} root
+   * @returns {string}
+   */
+  JR.htmlToMarkdown = function (root) {
+    return convertChildren(root, {})
+      .replace(/^[ \t]+$/gm, "")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  };
+
+  // --- Conversation tree ---
+
+  /**
+   * Group stored records by quoteId, versions oldest first like restore does.
+   * Shared with html-export.js.
+   * @returns {Map<string, {quoteId, items, activeIndex, first}>}
+   */
+  JR.groupHighlightRecords = function (records) {
+    var groups = new Map();
+    for (var i = 0; i < records.length; i++) {
+      var r = records[i];
+      if (!groups.has(r.quoteId)) groups.set(r.quoteId, { quoteId: r.quoteId, items: [], activeIndex: 0 });
+      groups.get(r.quoteId).items.push(r);
+    }
+    groups.forEach(function (g) {
+      g.items.sort(function (a, b) { return (a.createdAt || 0) - (b.createdAt || 0); });
+      for (var k = 0; k < g.items.length; k++) {
+        if (g.items[k].active) g.activeIndex = k;
+      }
+      g.first = g.items[0];
+    });
+    return groups;
+  };
+
+  /**
+   * Child highlight groups asked inside one version of a highlight, oldest first.
+   * Children saved without parentItemId belong to the active version.
+   */
+  JR.childHighlightGroups = function (groups, group, item) {
+    var isActive = group.items[group.activeIndex] === item;
+    var out = [];
+    groups.forEach(function (g) {
+      if (g.first.parentId !== group.quoteId) return;
+      var parentItemId = g.first.parentItemId;
+      if (parentItemId ? parentItemId === item.id : isActive) out.push(g);
+    });
+    return out.sort(function (a, b) { return (a.first.createdAt || 0) - (b.first.createdAt || 0); });
+  };
+
+  function makeMarker(doc, label) {
+    var sup = doc.createElement("sup");
+    sup.setAttribute("data-jr-footnote", label);
+    return sup;
+  }
+
+  function indentFootnote(text) {
+    return text.split("\n").map(function (l, i) { return i === 0 || !l ? l : FOOTNOTE_INDENT + l; }).join("\n");
+  }
+
+  /**
+   * Markdown of a stored response with markers for its child highlights.
+   * @returns {{text: string, pending: Array}} pending = [label, group] pairs still to be written
+   */
+  function responseWithMarkers(html, children, labelPrefix, firstNumber) {
+    var pending = [];
+    if (!html || html === "__PENDING__" || html === "__TIMEOUT__") {
+      return { text: "_No response saved._", pending: pending };
+    }
+    var root = JR.parseResponseHTML(html);
+    JR.wireCopyButtons(root);
+    for (var i = 0; i < children.length; i++) {
+      var label = labelPrefix + "." + (firstNumber + i);
+      var marker = makeMarker(root.ownerDocument, label);
+      var anchored = children[i].first.wholeResponse ? null : JR.anchorTextRange(root, children[i].first);
+      if (anchored) {
+        anchored.range.collapse(false);
+        anchored.range.insertNode(marker);
+      } else {
+        // Whole-response replies (and quotes no longer found) go after the response
+        var p = root.ownerDocument.createElement("p");
+        p.appendChild(marker);
+        root.appendChild(p);
+      }
+      pending.push([label, children[i]]);
+    }
+    return { text: JR.htmlToMarkdown(root), pending: pending };
+  }
+
+  /**
+   * Append a highlight's footnote to out.notes, then the notes of the follow-ups
+   * asked inside its response (depth-first, so a parent precedes its children).
+   * @param {{groups: Map, allVersions: boolean, notes: string[]}} out
+   */
+  function writeFootnote(out, label, group) {
+    var slot = out.notes.length;
+    out.notes.push(null);
+    var parts = [];
+    if (!group.first.wholeResponse && group.first.text) {
+      parts.push(group.first.text.trim().split("\n").map(function (l) { return "> " + escapeText(l); }).join("\n"));
+    }
+    var items = out.allVersions ? group.items : [group.items[group.activeIndex]];
+    var pending = [];
+    for (var v = 0; v < items.length; v++) {
+      var item = items[v];
+      if (out.allVersions && group.items.length > 1) {
+        parts.push("**Version " + (v + 1) + " of " + group.items.length +
+          (v === group.activeIndex ? " (current)" : "") + "**");
+      }
+      if (item.question) parts.push("**Q:** " + escapeText(item.question.trim()));
+      var res = responseWithMarkers(item.responseHTML, JR.childHighlightGroups(out.groups, group, item), label, pending.length + 1);
+      parts.push(res.text);
+      pending = pending.concat(res.pending);
+    }
+    out.notes[slot] = "[^" + label + "]: " + indentFootnote(parts.join("\n\n"));
+    for (var i = 0; i < pending.length; i++) writeFootnote(out, pending[i][0], pending[i][1]);
+  }
+
+  /**
+   * Build Markdown for the current conversation: the visible main thread, with
+   * each highlight marked as a footnote at its anchor. A footnote holds the
+   * quote, question and response, and recurses into follow-ups asked inside
+   * that response.
+   * @param {{allVersions?: boolean}} [opts] - Include every version, not just the active one
+   * @returns {Promise<string>}
+   */
+  JR.buildConversationMarkdown = async function (opts) {
+    var allVersions = !!(opts && opts.allVersions);
+    await flushPendingWrites();
+    var groups = JR.groupHighlightRecords(await getHighlightsByUrl(location.href));
+    var placed = new Set();
+    var topLevel = [];
+    var sections = [];
+
+    var title = (document.title || "").trim() || JR.site.name + " conversation";
+    sections.push("# " + escapeText(title));
+    sections.push("_Exported from " + location.href.split("?")[0] + " on " + new Date().toISOString().slice(0, 10) + "_");
+
+    function placeIn(root, group, after) {
+      var label = String(topLevel.length + 1);
+      var marker = makeMarker(root.ownerDocument, label);
+      if (after) {
+        after.parentNode.insertBefore(marker, after.nextSibling);
+      } else {
+        var p = root.ownerDocument.createElement("p");
+        p.appendChild(marker);
+        root.appendChild(p);
+      }
+      topLevel.push([label, group]);
+      placed.add(group.quoteId);
+    }
+
+    var turns = document.querySelectorAll(S.turn);
+    for (var t = 0; t < turns.length; t++) {
+      var turn = turns[t];
+      if (JR.isTurnHidden(turn)) continue;
+      var role = JR.site.turnRole(turn);
+
+      if (role === "user") {
+        var userText = JR.site.userText(turn).trim();
+        if (!userText) continue;
+        sections.push("### You\n\n" + userText.split(/\n{2,}/).map(function (para) {
+          return escapeText(para).replace(/\n/g, "  \n");
+        }).join("\n\n"));
+        continue;
+      }
+
+      var content = turn.querySelector(S.responseContent);
+      if (!content) continue;
+      var clone = content.cloneNode(true);
+
+      // Mark each level-1 highlight after its last wrapper span, in reading order
+      var spans = clone.querySelectorAll("[data-jr-highlight-id]");
+      var lastSpan = new Map();
+      for (var s = 0; s < spans.length; s++) lastSpan.set(spans[s].getAttribute("data-jr-highlight-id"), spans[s]);
+      lastSpan.forEach(function (span, quoteId) {
+        var group = groups.get(quoteId);
+        if (group && !group.first.parentId && !placed.has(quoteId)) placeIn(clone, group, span);
+      });
+      // Highlights restore couldn't anchor still belong to their source turn
+      groups.forEach(function (group) {
+        var first = group.first;
+        if (first.parentId || placed.has(group.quoteId)) return;
+        if (JR.findTurn(first.sourceMessageId, first.sourceTurnIndex) === turn) placeIn(clone, group, null);
+      });
+
+      JR.wireCopyButtons(clone);
+      sections.push("### " + JR.site.name + "\n\n" + JR.htmlToMarkdown(clone));
+    }
+
+    // Anything left has no visible source turn at all
+    var unplaced = [];
+    groups.forEach(function (group) {
+      if (group.first.parentId || placed.has(group.quoteId)) return;
+      var label = String(topLevel.length + 1);
+      topLevel.push([label, group]);
+      unplaced.push("[^" + label + "]");
+    });
+    if (unplaced.length > 0) sections.push("### Follow-ups without a source on the page\n\n" + unplaced.join(" "));
+
+    var out = { groups: groups, allVersions: allVersions, notes: [] };
+    for (var i = 0; i < topLevel.length; i++) writeFootnote(out, topLevel[i][0], topLevel[i][1]);
+    if (out.notes.length > 0) sections.push("---\n\n" + out.notes.join("\n\n"));
+    return sections.join("\n\n") + "\n";
+  };
+
+  /**
+   * Build the Markdown export and download it as "<conversation title>.md".
+   * @param {{allVersions?: boolean}} [opts]
+   */
+  JR.exportConversationMarkdown = async function (opts) {
+    JR.downloadConversationFile(await JR.buildConversationMarkdown(opts), "md", "text/markdown");
+  };
+})();
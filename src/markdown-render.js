@@ -0,0 +1,203 @@
+// markdown-render.js — Minimal Markdown → HTML for answers that arrive as
+// plain text (the API backend, src/api-backend.js). Covers what chat models
+// emit: headings, paragraphs, emphasis, inline and fenced code, lists,
+// blockquotes, tables, links and rules. Output still goes through
+// JR.sanitizeResponseHTML before it is shown or stored.
+(function () {
+  "use strict";
+
+  var FENCE_RE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+  var HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+  var RULE_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+  var QUOTE_RE = /^\s{0,3}>\s?/;
+  var LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+/;
+  var TABLE_DIVIDER_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+  function escapeHTML(s) {
+    return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  function indentOf(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, "    ").length;
+  }
+
+  function isBlockStart(line) {
+    return FENCE_RE.test(line) || HEADING_RE.test(line) || RULE_RE.test(line) ||
+      QUOTE_RE.test(line) || LIST_RE.test(line);
+  }
+
+  /** Inline spans: code, images, links, bold, italic, strikethrough, breaks. */
+  function renderInline(text) {
+    var codes = [];
+    text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function (m, ticks, code) {
+      codes.push("<code>" + escapeHTML(code.trim()) + "</code>");
+      return "\u0000" + (codes.length - 1) + "\u0000";
+    });
+    text = escapeHTML(text);
+    text = text.replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, '<img alt="$1" src="$2">');
+    text = text.replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, '<a href="$2">$1</a>');
+    text = text.replace(/(^|[\s(])(https?:\/\/[^\s<]*[^\s<.,;:!?)])/g, '$1<a href="$2">$2</a>');
+    text = text.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>");
+    text = text.replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, "$1<strong>$2</strong>");
+    text = text.replace(/\*(?=\S)([^*\n]*?\S)\*/g, "<em>$1</em>");
+    text = text.replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, "$1<em>$2</em>");
+    text = text.replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>");
+    text = text.replace(/(?: {2,}|\\)\n/g, "<br>");
+    return text.replace(/\u0000(\d+)\u0000/g, function (m, n) { return codes[+n]; });
+  }
+
+  function splitRow(line) {
+    var cells = line.trim().replace(/^\|/, "").replace(/\|$/, "").split(/(?<!\\)\|/);
+    return cells.map(function (c) { return c.trim().replace(/\\\|/g, "|"); });
+  }
+
+  function renderTable(lines, start) {
+    var head = splitRow(lines[start]);
+    var html = "<table><thead><tr>" + head.map(function (c) {
+      return "<th>" + renderInline(c) + "</th>";
+    }).join("") + "</tr></thead><tbody>";
+    var i = start + 2;
+    for (; i < lines.length && lines[i].trim() && lines[i].indexOf("|") !== -1; i++) {
+      html += "<tr>" + splitRow(lines[i]).map(function (c) {
+        return "<td>" + renderInline(c) + "</td>";
+      }).join("") + "</tr>";
+    }
+    return { html: html + "</tbody></table>", next: i };
+  }
+
+  function renderList(lines, start) {
+    var first = lines[start].match(LIST_RE);
+    var indent = indentOf(first[1]);
+    var ordered = /\d/.test(first[2]);
+    var items = [];
+    var loose = false;
+    var i = start;
+    while (i < lines.length) {
+      var line = lines[i];
+      var m = line.match(LIST_RE);
+      if (m && indentOf(m[1]) === indent && /\d/.test(m[2]) === ordered) {
+        items.push({ lines: [line.slice(m[0].length)], contentIndent: m[0].length });
+        i++;
+        continue;
+      }
+      var item = items[items.length - 1];
+      if (!line.trim()) {
+        // A blank line continues the list only if more of it follows
+        var j = i + 1;
+        while (j < lines.length && !lines[j].trim()) j++;
+        var nm = j < lines.length ? lines[j].match(LIST_RE) : null;
+        if (j < lines.length && (indentOf(lines[j]) > indent ||
+            (nm && indentOf(nm[1]) === indent && /\d/.test(nm[2]) === ordered))) {
+          item.lines.push("");
+          loose = loose || !nm || indentOf(nm[1]) === indent;
+          i++;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) > indent) {
+        item.lines.push(line.replace(new RegExp("^\\s{0," + item.contentIndent + "}"), ""));
+        i++;
+        continue;
+      }
+      if (item.lines[item.lines.length - 1] && !isBlockStart(line)) {
+        item.lines.push(line);  // lazy continuation of the item's paragraph
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    var startNum = ordered ? parseInt(first[2], 10) : 1;
+    var html = ordered ? (startNum !== 1 ? '<ol start="' + startNum + '">' : "<ol>") : "<ul>";
+    for (var k = 0; k < items.length; k++) {
+      var body = renderBlocks(items[k].lines);
+      if (!loose) body = body.replace(/^<p>([\s\S]*?)<\/p>/, "$1");
+      html += "<li>" + body + "</li>";
+    }
+    return { html: html + (ordered ? "</ol>" : "</ul>"), next: i };
+  }
+
+  function renderBlocks(lines) {
+    var out = [];
+    var i = 0;
+    while (i < lines.length) {
+      var line = lines[i];
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      var fence = line.match(FENCE_RE);
+      if (fence) {
+        var marker = fence[1];
+        var code = [];
+        i++;
+        while (i < lines.length && !(lines[i].trim().indexOf(marker) === 0 && /^\s*[`~]+\s*$/.test(lines[i]))) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;  // closing fence
+        var lang = fence[2] ? ' class="language-' + escapeHTML(fence[2]) + '"' : "";
+        out.push("<pre><code" + lang + ">" + escapeHTML(code.join("\n")) + "</code></pre>");
+        continue;
+      }
+
+      var heading = line.match(HEADING_RE);
+      if (heading) {
+        var level = heading[1].length;
+        out.push("<h" + level + ">" + renderInline(heading[2]) + "</h" + level + ">");
+        i++;
+        continue;
+      }
+
+      if (RULE_RE.test(line)) {
+        out.push("<hr>");
+        i++;
+        continue;
+      }
+
+      if (QUOTE_RE.test(line)) {
+        var quoted = [];
+        while (i < lines.length && QUOTE_RE.test(lines[i])) {
+          quoted.push(lines[i].replace(QUOTE_RE, ""));
+          i++;
+        }
+        out.push("<blockquote>" + renderBlocks(quoted) + "</blockquote>");
+        continue;
+      }
+
+      if (LIST_RE.test(line)) {
+        var list = renderList(lines, i);
+        out.push(list.html);
+        i = list.next;
+        continue;
+      }
+
+      if (line.indexOf("|") !== -1 && i + 1 < lines.length && TABLE_DIVIDER_RE.test(lines[i + 1]) &&
+          lines[i + 1].indexOf("-") !== -1) {
+        var table = renderTable(lines, i);
+        out.push(table.html);
+        i = table.next;
+        continue;
+      }
+
+      var para = [];
+      while (i < lines.length && lines[i].trim() && (para.length === 0 || !isBlockStart(lines[i]))) {
+        para.push(lines[i].replace(/^\s+/, ""));
+        i++;
+      }
+      out.push("<p>" + renderInline(para.join("\n")) + "</p>");
+    }
+    return out.join("");
+  }
+
+  /**
+   * Render Markdown to (unsanitized) HTML.
+   * @param {string} text
+   * @returns {string}
+   */
+  JR.renderMarkdown = function (text) {
+    return renderBlocks(String(text || "").replace(/\r\n?/g, "\n").split("\n"));
+  };
+})();
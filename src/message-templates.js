@@ -0,0 +1,123 @@
+// message-templates.js — Templates for the message a popup question is sent as.
+// Loaded by options.html (editing them) and as a content script (building
+// messages, and reading them back in recovery.js).
+//
+// There is one template per kind of selection (MESSAGE_TEMPLATE_KINDS), stored
+// in chrome.storage.local (MESSAGE_TEMPLATES_KEY) as { prose, code, table, whole, group };
+// kinds left out use the default. Templates use {variable} placeholders
+// (MESSAGE_TEMPLATE_VARIABLES). Text inside [[ ]] is left out when a variable
+// in it is empty, e.g. the sentence when the quote has none. If a template
+// doesn't place {mode}, the response mode's instruction goes at the end.
+
+const MESSAGE_TEMPLATES_KEY = "jumpreturn_message_templates";
+
+const MESSAGE_TEMPLATE_KINDS = [
+  { id: "prose", label: "Text" },
+  { id: "code", label: "Code block" },
+  { id: "table", label: "Table cell" },
+  { id: "whole", label: "Whole response" },
+  { id: "group", label: "Several quotes" },
+];
+
+const MESSAGE_TEMPLATE_VARIABLES = [
+  { name: "quote", description: "the selected text (for a whole response, all of it; for several quotes, a numbered list of them)" },
+  { name: "sentence", description: "the sentence or block around the selection" },
+  { name: "question", description: "your question" },
+  { name: "blockType", description: "where the selection is: paragraph, list item, heading, quote, code block, table cell, response or several quotes" },
+  { name: "parentQuestion", description: "the question of the popup this one is asked in" },
+  { name: "mode", description: "the response mode\u2019s instruction" },
+];
+
+const DEFAULT_MESSAGE_TEMPLATES = {
+  prose: 'Regarding this part of your response:\n[["{sentence}"\n\nSpecifically: ]]"{quote}"\n\n{question}',
+  code: "Regarding this code in your response:\n```\n{quote}\n```\n\n{question}",
+  table: 'Regarding this table cell in your response: "{quote}"\n\n{question}',
+  whole: 'Regarding your entire response below:\n\n"{quote}"\n\n{question}',
+  group: "Regarding these parts of the conversation:\n{quote}\n\n{question}",
+};
+
+var TEMPLATE_VAR_RE = /\{(\w+)\}/g;
+var TEMPLATE_OPTIONAL_RE = /\[\[([\s\S]*?)\]\]/g;
+
+/** @returns {Promise<{prose: string, code: string, table: string, whole: string, group: string}>} */
+async function getMessageTemplates() {
+  var result = await chrome.storage.local.get(MESSAGE_TEMPLATES_KEY);
+  return normalizeMessageTemplates(result[MESSAGE_TEMPLATES_KEY]);
+}
+
+/** Fill in the default for every kind that is missing or blank. */
+function normalizeMessageTemplates(templates) {
+  var out = {};
+  for (var i = 0; i < MESSAGE_TEMPLATE_KINDS.length; i++) {
+    var kind = MESSAGE_TEMPLATE_KINDS[i].id;
+    var text = templates && typeof templates[kind] === "string" ? templates[kind] : "";
+    out[kind] = text.trim() ? text : DEFAULT_MESSAGE_TEMPLATES[kind];
+  }
+  return out;
+}
+
+/**
+ * Fill a template in. Unknown {names} are left as they are.
+ * @param {string} template
+ * @param {object} vars - Values by variable name; missing ones count as empty
+ * @returns {string}
+ */
+function renderMessageTemplate(template, vars) {
+  function value(name) {
+    return vars[name] == null ? "" : String(vars[name]);
+  }
+  function fill(text) {
+    return text.replace(TEMPLATE_VAR_RE, function (match, name) {
+      return Object.prototype.hasOwnProperty.call(vars, name) ? value(name) : match;
+    });
+  }
+  var out = template.replace(TEMPLATE_OPTIONAL_RE, function (match, inner) {
+    var names = inner.match(TEMPLATE_VAR_RE) || [];
+    for (var i = 0; i < names.length; i++) {
+      if (!value(names[i].slice(1, -1)).trim()) return "";
+    }
+    return fill(inner);
+  });
+  out = fill(out).trim();
+  if (template.indexOf("{mode}") === -1 && value("mode")) out += "\n\n" + value("mode");
+  return out;
+}
+
+/**
+ * A regular expression that matches messages built from `template`, for
+ * reading them back. Each match group is named in the returned `names`.
+ * A line break in the template has to be one in the message too (or its end,
+ * where a trailing value was left empty); {quote} takes as much as it can, so
+ * a quoted response may contain quotes of its own.
+ * @returns {{ re: RegExp, names: string[] }}
+ */
+function messageTemplatePattern(template) {
+  var names = [];
+  function part(text) {
+    var src = "";
+    var last = 0;
+    text.replace(TEMPLATE_VAR_RE, function (match, name, offset) {
+      src += literal(text.slice(last, offset));
+      names.push(name);
+      src += name === "quote" ? "([\\s\\S]*)" : "([\\s\\S]*?)";
+      last = offset + match.length;
+      return match;
+    });
+    return src + literal(text.slice(last));
+  }
+  function literal(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, function (space) {
+      return space.indexOf("\n") === -1 ? "\\s*" : "\\s*(?:\\n|$)\\s*";
+    });
+  }
+  var src = "";
+  var last = 0;
+  template.trim().replace(TEMPLATE_OPTIONAL_RE, function (match, inner, offset, whole) {
+    src += part(whole.slice(last, offset));
+    src += "(?:" + part(inner) + ")?";
+    last = offset + match.length;
+    return match;
+  });
+  src += part(template.trim().slice(last));
+  return { re: new RegExp("^" + src + "$"), names: names };
+}
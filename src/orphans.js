@@ -0,0 +1,343 @@
+// orphans.js — Recovery panel for highlights that could not be re-anchored
+(function () {
+  "use strict";
+
+  var st = JR.state;
+
+  var PREVIEW_CHARS = 200;
+
+  // --- State ---
+  var badge = null;
+  var panel = null;
+  var records = [];        // every stored item in the conversation (for subtree walks)
+  var reattachId = null;   // quoteId waiting for a new selection
+  var confirmingId = null; // quoteId whose delete button is asking for confirmation
+
+  /**
+   * Replace the orphan list after a restore pass.
+   * @param {object[]} orphans - Grouped level-1 entries (restoreHighlights' quoteMap shape)
+   * @param {object[]} allRecords - Every stored item for the conversation
+   */
+  JR.setOrphanedHighlights = function (orphans, allRecords) {
+    st.orphanedHighlights.clear();
+    for (var i = 0; i < orphans.length; i++) {
+      st.orphanedHighlights.set(orphans[i].quoteId, orphans[i]);
+    }
+    records = allRecords || [];
+    if (reattachId && !st.orphanedHighlights.has(reattachId)) cancelReattach();
+    render();
+  };
+
+  /**
+   * Drop every orphan (used on SPA navigation).
+   */
+  JR.clearOrphanedHighlights = function () {
+    st.orphanedHighlights.clear();
+    records = [];
+    cancelReattach();
+    confirmingId = null;
+    render();
+  };
+
+  /**
+   * Forget one orphan, e.g. after it was deleted from its read-only popup.
+   */
+  JR.removeOrphanedHighlight = function (quoteId) {
+    if (!st.orphanedHighlights.delete(quoteId)) return;
+    if (reattachId === quoteId) cancelReattach();
+    render();
+  };
+
+  // --- Helpers ---
+
+  /** Plain text of stored response HTML, parsed inertly (no scripts, no image loads). */
+  function responsePreview(html) {
+    if (!html || html === "__PENDING__" || html === "__TIMEOUT__") return "";
+    var doc = new DOMParser().parseFromString(html, "text/html");
+    return (doc.body.textContent || "").replace(/\s+/g, " ").trim();
+  }
+
+  /** quoteIds of a highlight and all its descendants, from the stored records. */
+  function subtreeOf(quoteId) {
+    var ids = [quoteId];
+    for (var i = 0; i < ids.length; i++) {
+      for (var r = 0; r < records.length; r++) {
+        var rec = records[r];
+        if (rec.parentId === ids[i] && ids.indexOf(rec.quoteId) === -1) ids.push(rec.quoteId);
+      }
+    }
+    return ids;
+  }
+
+  // --- Actions ---
+
+  /**
+   * Open an orphan in a read-only popup. It has no spans, so the popup is
+   * centered in the viewport; chained children restore inside it as usual.
+   */
+  function openReadOnly(quoteId) {
+    var qe = st.orphanedHighlights.get(quoteId);
+    if (!qe) return;
+    if (!st.completedHighlights.has(quoteId)) {
+      var anyTurn = document.querySelector(JR.SELECTORS.turn);
+      st.completedHighlights.set(quoteId, {
+        quoteId: quoteId,
+        spans: [],
+        responseHTML: qe.responseHTML,
+        text: qe.text,
+        sentence: qe.sentence,
+        blockTypes: qe.blockTypes,
+        question: qe.question || null,
+        color: qe.color || null,
+        contentContainer: (anyTurn && anyTurn.parentElement) || document.body,
+        parentId: null,
+        parentItemId: null,
+        responseIndex: qe.responseIndex || -1,
+        items: qe.items,
+        activeItemIndex: qe.activeItemIndex || 0,
+        orphaned: true,
+      });
+    }
+    JR.removeAllPopups();
+    JR.createPopup({ completedId: quoteId });
+  }
+
+  function startReattach(quoteId) {
+    JR.removeAllPopups();
+    reattachId = quoteId;
+    confirmingId = null;
+    document.addEventListener("mouseup", onReattachMouseUp, true);
+    render();
+  }
+
+  function cancelReattach() {
+    reattachId = null;
+    document.removeEventListener("mouseup", onReattachMouseUp, true);
+  }
+
+  /**
+   * While re-attaching, the next selection in an AI response becomes the
+   * orphan's new anchor instead of showing the trigger button.
+   */
+  function onReattachMouseUp(e) {
+    if (panel && panel.contains(e.target)) return;
+    e.stopPropagation();
+    setTimeout(function () {
+      if (!reattachId) return;
+      var result = JR.getSelectedTextInAIResponse();
+      if (result) reattach(reattachId, result);
+    }, 10);
+  }
+
+  /**
+   * Anchor an orphan to a fresh selection and persist the new anchor on
+   * every version of it.
+   */
+  function reattach(quoteId, sel) {
+    var qe = st.orphanedHighlights.get(quoteId);
+    if (!qe) return;
+    var wrappers = JR.highlightRange(sel.range);
+    if (wrappers.length === 0) return;
+    window.getSelection().removeAllRanges();
+
+    var described = JR.describeTextAnchor(wrappers);
+    var fields = {
+      text: sel.text,
+      sentence: sel.sentence,
+      blockTypes: sel.blockTypes,
+      quoteSelector: described ? described.quoteSelector : null,
+      positionSelector: described ? described.positionSelector : null,
+      anchorConfidence: 1,
+      sourceTurnIndex: JR.getTurnNumber(sel.article),
+      sourceMessageId: JR.getMessageId(sel.article),
+    };
+    var hl = {};
+    for (var k in qe) hl[k] = qe[k];
+    for (var f in fields) hl[f] = fields[f];
+
+    // Replace any read-only entry opened earlier
+    st.completedHighlights.delete(quoteId);
+    JR.registerHighlightSpans(hl, wrappers, sel.article.parentElement, 1);
+    for (var i = 0; i < qe.items.length; i++) {
+      updateHighlightFields(qe.items[i].id, fields);
+    }
+
+    cancelReattach();
+    st.orphanedHighlights.delete(quoteId);
+    render();
+    JR.updateNavWidget();
+  }
+
+  /**
+   * Delete an orphan with all its descendants, keeping their Q&A turns hidden.
+   */
+  function deleteOrphan(quoteId) {
+    var ids = subtreeOf(quoteId);
+    var turns = [];
+    var kept = [];
+    for (var r = 0; r < records.length; r++) {
+      var rec = records[r];
+      if (ids.indexOf(rec.quoteId) === -1) {
+        kept.push(rec);
+        continue;
+      }
+      if (rec.unfolded) continue;
+      if (rec.questionMessageId) turns.push(rec.questionMessageId);
+      else if (rec.questionIndex > 0) turns.push(rec.questionIndex);
+      if (rec.responseMessageId) turns.push(rec.responseMessageId);
+      else if (rec.responseIndex > 0) turns.push(rec.responseIndex);
+    }
+    records = kept;
+    if (turns.length > 0) addDeletedTurns(location.href, turns);
+    deleteHighlight(quoteId);
+
+    JR.removeAllPopups();
+    for (var i = 0; i < ids.length; i++) st.completedHighlights.delete(ids[i]);
+    if (reattachId === quoteId) cancelReattach();
+    confirmingId = null;
+    st.orphanedHighlights.delete(quoteId);
+    render();
+  }
+
+  // --- UI ---
+
+  function makeButton(className, label, onClick) {
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = className;
+    btn.textContent = label;
+    btn.addEventListener("click", function (e) {
+      e.stopPropagation();
+      onClick();
+    });
+    return btn;
+  }
+
+  function buildItem(qe) {
+    var item = document.createElement("div");
+    item.className = "jr-orphan-item" + (reattachId === qe.quoteId ? " jr-orphan-item--reattaching" : "");
+
+    var quote = document.createElement("div");
+    quote.className = "jr-orphan-quote";
+    quote.textContent = JR.truncateText(qe.text || "", JR.MAX_DISPLAY_CHARS);
+    item.appendChild(quote);
+
+    if (qe.question) {
+      var question = document.createElement("div");
+      question.className = "jr-orphan-question";
+      question.textContent = qe.question;
+      item.appendChild(question);
+    }
+
+    var preview = responsePreview(qe.responseHTML);
+    var response = document.createElement("div");
+    response.className = "jr-orphan-response";
+    response.textContent = preview ? JR.truncateText(preview, PREVIEW_CHARS) : "No response saved";
+    item.appendChild(response);
+
+    var childCount = subtreeOf(qe.quoteId).length - 1;
+    var versions = qe.items ? qe.items.length : 1;
+    if (childCount > 0 || versions > 1) {
+      var meta = document.createElement("div");
+      meta.className = "jr-orphan-meta";
+      var parts = [];
+      if (versions > 1) parts.push(versions + " versions");
+      if (childCount > 0) parts.push(childCount + " follow-up" + (childCount === 1 ? "" : "s"));
+      meta.textContent = parts.join(" \u00b7 ");
+      item.appendChild(meta);
+    }
+
+    var actions = document.createElement("div");
+    actions.className = "jr-orphan-actions";
+    if (reattachId === qe.quoteId) {
+      var hint = document.createElement("span");
+      hint.className = "jr-orphan-hint";
+      hint.textContent = "Select the text to attach it to\u2026";
+      actions.appendChild(hint);
+      actions.appendChild(makeButton("jr-orphan-btn", "Cancel", function () {
+        cancelReattach();
+        render();
+      }));
+    } else if (confirmingId === qe.quoteId) {
+      actions.appendChild(makeButton("jr-orphan-btn jr-orphan-btn--danger",
+        childCount > 0 ? "Delete with " + childCount + " follow-up" + (childCount === 1 ? "" : "s") : "Delete",
+        function () { deleteOrphan(qe.quoteId); }));
+      actions.appendChild(makeButton("jr-orphan-btn", "Cancel", function () {
+        confirmingId = null;
+        render();
+      }));
+    } else {
+      actions.appendChild(makeButton("jr-orphan-btn", "Re-attach", function () {
+        startReattach(qe.quoteId);
+      }));
+      actions.appendChild(makeButton("jr-orphan-btn", "Open", function () {
+        openReadOnly(qe.quoteId);
+      }));
+      actions.appendChild(makeButton("jr-orphan-btn jr-orphan-btn--danger", "Delete", function () {
+        confirmingId = qe.quoteId;
+        render();
+      }));
+    }
+    item.appendChild(actions);
+    return item;
+  }
+
+  function togglePanel() {
+    if (panel) {
+      panel.remove();
+      panel = null;
+      cancelReattach();
+      confirmingId = null;
+      return;
+    }
+    panel = document.createElement("div");
+    panel.className = "jr-orphan-panel";
+    panel.addEventListener("mousedown", function (e) { e.stopPropagation(); });
+    panel.addEventListener("mouseup", function (e) { e.stopPropagation(); });
+    document.body.appendChild(panel);
+    render();
+  }
+
+  /**
+   * Sync the badge and (if open) the panel with st.orphanedHighlights.
+   */
+  function render() {
+    var count = st.orphanedHighlights.size;
+    if (count === 0) {
+      if (badge) { badge.remove(); badge = null; }
+      if (panel) { panel.remove(); panel = null; }
+      return;
+    }
+
+    if (!badge) {
+      badge = document.createElement("button");
+      badge.type = "button";
+      badge.className = "jr-orphan-badge";
+      badge.addEventListener("mousedown", function (e) { e.stopPropagation(); });
+      badge.addEventListener("click", function (e) {
+        e.stopPropagation();
+        togglePanel();
+      });
+      document.body.appendChild(badge);
+    }
+    badge.textContent = count + " unanchored";
+    badge.setAttribute("aria-label", count + " highlight" + (count === 1 ? "" : "s") + " could not be placed");
+
+    if (!panel) return;
+    panel.textContent = "";
+    var header = document.createElement("div");
+    header.className = "jr-orphan-header";
+    var title = document.createElement("span");
+    title.textContent = "Highlights that couldn\u2019t be placed";
+    header.appendChild(title);
+    header.appendChild(makeButton("jr-orphan-close", "\u00d7", togglePanel));
+    panel.appendChild(header);
+
+    var list = document.createElement("div");
+    list.className = "jr-orphan-list";
+    st.orphanedHighlights.forEach(function (qe) {
+      list.appendChild(buildItem(qe));
+    });
+    panel.appendChild(list);
+  }
+})();
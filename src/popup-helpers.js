@@ -3,6 +3,7 @@
   "use strict";
 
   var st = JR.state;
+  var S = JR.SELECTORS;
   var NAV_WIDGET_GAP = 12; // px gap between popup right edge and nav widget
 
   /** Max right edge (in viewport px) a popup may reach. [LAYOUT-LOCKED] */
@@ -722,6 +723,7 @@
   JR.addPopupResponseSelectionHandler = function (popup) {
     popup.addEventListener("mouseup", function (e) {
       e.stopPropagation();
+      if (popup.classList.contains("jr-popup--readonly")) return;
       if (!e.target.closest(".jr-popup-response")) return;
       // Don't interfere with link/entity clicks — let the click handler handle them
       if (e.target.closest("a")) return;
@@ -798,6 +800,11 @@
             entry.spans[j].classList.add("jr-source-highlight-active");
           }
         }
+        for (var g = 0; entry && entry.groupSpans && g < entry.groupSpans.length; g++) {
+          for (var gj = 0; gj < entry.groupSpans[g].length; gj++) {
+            entry.groupSpans[g][gj].classList.add("jr-source-highlight-active");
+          }
+        }
       }
       if (JR.showActiveUnderline) JR.showActiveUnderline(activeIds);
     } else {
@@ -982,9 +989,10 @@
       st.navWidget = buildNavWidget();
       document.body.appendChild(st.navWidget);
       // Listen for scroll to update disabled state dynamically
-      var scrollEl = document.querySelector('[class*="react-scroll-to-bottom"]') ||
-                     document.querySelector('[data-testid="conversation-turn-2"]');
+      // The turns' scroll container, on any site; the page scrolls on window
+      var scrollEl = document.querySelector(S.turn);
       var scrollParent = scrollEl ? JR.getScrollParent(scrollEl) : window;
+      if (scrollParent === document.documentElement) scrollParent = window;
       var scrollHandler = function () {
         if (!st.navWidget) return;
         JR.updateNavDisabled();
@@ -1120,6 +1128,8 @@
         var hlEntry = st.completedHighlights.get(hlId);
         if (hlEntry && hlEntry._jrTemp) {
           isTemp = true;
+          // An unsent multi-quote question lets go of its other quotes too
+          JR.unwrapGroupSpans(hlEntry);
           st.completedHighlights.delete(hlId);
         } else {
           isCompleted = true;
@@ -60,7 +60,7 @@
       if (pres[p].closest(".jr-code-block")) continue;
 
       var pre = pres[p];
-      var wrapper = pre.closest(".contain-inline-size") || pre;
+      var wrapper = (S.codeBlockWrapper && pre.closest(S.codeBlockWrapper)) || pre;
       if (!responseDiv.contains(wrapper)) wrapper = pre;
 
       // Detect language from wrapper text outside pre/code
@@ -255,22 +255,16 @@
     var entry = st.completedHighlights.get(hlId);
     if (!entry) return;
 
-    // Get the response turn index from the active version
+    // Get the response turn from the active version (message id, else turn number)
     var activeItem = (entry.items && entry.items.length > 0)
       ? entry.items[entry.activeItemIndex || 0]
       : null;
     var turnIndex = activeItem ? activeItem.responseIndex : entry.responseIndex;
-    if (turnIndex == null) return;
+    var turnMsgId = activeItem ? activeItem.responseMessageId : null;
+    if (turnIndex == null && !turnMsgId) return;
 
     // Find the hidden turn in the DOM
-    var turns = document.querySelectorAll(JR.SELECTORS.aiTurn);
-    var hiddenTurn = null;
-    for (var t = 0; t < turns.length; t++) {
-      if (JR.getTurnNumber(turns[t]) === turnIndex) {
-        hiddenTurn = turns[t];
-        break;
-      }
-    }
+    var hiddenTurn = JR.findTurn(turnMsgId, turnIndex);
     if (!hiddenTurn) return;
 
     var markdown = hiddenTurn.querySelector(JR.SELECTORS.responseContent);
@@ -572,7 +566,7 @@
       }
       var cc = entry.contentContainer;
       if (cc && cc !== document.body && cc.isConnected) return cc;
-      var aa = entry.spans[0] && entry.spans[0].closest(S.aiTurn);
+      var aa = entry.spans[0] && entry.spans[0].closest(S.turn);
       return aa ? aa.parentElement : document.body;
     }
     if (isChained) {
@@ -580,8 +574,8 @@
       return parentPopupEl ? parentPopupEl.parentElement : document.body;
     }
     var anchorArticle = (wrappers.length > 0)
-      ? wrappers[0].closest(S.aiTurn)
-      : document.querySelector(S.aiTurn);
+      ? wrappers[0].closest(S.turn)
+      : document.querySelector(S.turn);
     return (anchorArticle ? anchorArticle.parentElement : null) || document.body;
   }
 
@@ -630,30 +624,299 @@
     };
   }
 
-  /** Populate a mode dropdown with Medium/Concise items. */
-  function populateModeDropdown(dropdown, onSelect) {
+  // --- Response modes (list and storage in src/response-modes.js) ---
+
+  var responseModes = DEFAULT_RESPONSE_MODES.slice();
+
+  chrome.storage.local.get([RESPONSE_MODES_KEY, LAST_RESPONSE_MODE_KEY], function (result) {
+    responseModes = normalizeResponseModes(result[RESPONSE_MODES_KEY]);
+    if (result[LAST_RESPONSE_MODE_KEY]) st.responseMode = result[LAST_RESPONSE_MODE_KEY];
+  });
+
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area === "local" && changes[RESPONSE_MODES_KEY]) {
+      responseModes = normalizeResponseModes(changes[RESPONSE_MODES_KEY].newValue);
+    }
+  });
+
+  /** A mode by id, or the first one if it was deleted. */
+  function modeById(id) {
+    for (var i = 0; i < responseModes.length; i++) {
+      if (responseModes[i].id === id) return responseModes[i];
+    }
+    return responseModes[0];
+  }
+
+  /** Modes in menu order. */
+  JR.responseModes = function () {
+    return responseModes;
+  };
+
+  /** Make a mode the default for later sends, in this and future sessions. */
+  JR.setResponseMode = function (modeId) {
+    st.responseMode = modeId;
+    chrome.storage.local.set({ [LAST_RESPONSE_MODE_KEY]: modeId }).catch(function () { /* extension context invalidated */ });
+  };
+
+  // --- Message templates (defaults and rendering in src/message-templates.js) ---
+
+  var messageTemplates = normalizeMessageTemplates(null);
+
+  getMessageTemplates().then(function (templates) {
+    messageTemplates = templates;
+  }).catch(function () { /* extension context invalidated */ });
+
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area === "local" && changes[MESSAGE_TEMPLATES_KEY]) {
+      messageTemplates = normalizeMessageTemplates(changes[MESSAGE_TEMPLATES_KEY].newValue);
+    }
+  });
+
+  /** Templates by kind of selection, as currently saved. */
+  JR.messageTemplates = function () {
+    return messageTemplates;
+  };
+
+  var SELECTION_BLOCK_SELECTOR = "pre, td, th, li, blockquote, h1, h2, h3, h4, h5, h6";
+
+  /** The {blockType} name for a block's tag (or a blockTypes tag). */
+  function blockTypeOfTag(tag) {
+    if (tag === "PRE") return "code block";
+    if (tag === "TD" || tag === "TH") return "table cell";
+    if (tag === "LI" || tag === "LI_CONT") return "list item";
+    if (tag === "BLOCKQUOTE") return "quote";
+    if (/^H[1-6]$/.test(tag)) return "heading";
+    return "paragraph";
+  }
+
+  /**
+   * Where a highlight's text sits, from its spans when they're in the DOM,
+   * else from the blockTypes saved with it.
+   */
+  function selectionBlockType(source) {
+    if (source.groupQuotes && source.groupQuotes.length > 0) return "several quotes";
+    if (source.wholeResponse) return "response";
+    var span = source.spans && source.spans[0];
+    var response = span ? span.closest(S.responseContent + ", .jr-popup-response") : null;
+    var block = span && span.parentElement ? span.parentElement.closest(SELECTION_BLOCK_SELECTOR) : null;
+    if (block && response && response.contains(block)) return blockTypeOfTag(block.tagName);
+    var first = source.blockTypes && source.blockTypes[0];
+    return blockTypeOfTag(first ? first.tag : "P");
+  }
+
+  /** Which template a {blockType} uses. */
+  function templateKind(blockType) {
+    if (blockType === "several quotes") return "group";
+    if (blockType === "response") return "whole";
+    if (blockType === "code block") return "code";
+    if (blockType === "table cell") return "table";
+    return "prose";
+  }
+
+  /** The question of a popup at the given version (or its active one). */
+  function parentQuestionOf(parentId, parentItemId) {
+    var parent = parentId ? st.completedHighlights.get(parentId) : null;
+    if (!parent) return "";
+    var item = null;
+    for (var i = 0; parent.items && i < parent.items.length; i++) {
+      if (parent.items[i].id === parentItemId) item = parent.items[i];
+    }
+    item = item || (parent.items ? parent.items[parent.activeItemIndex || 0] : null);
+    return (item ? item.question : parent.question) || "";
+  }
+
+  /** Id of a popup's active version, or null. */
+  function activeItemIdOf(hlId) {
+    var entry = hlId ? st.completedHighlights.get(hlId) : null;
+    if (!entry || !entry.items || entry.items.length === 0) return null;
+    var idx = entry.activeItemIndex != null ? entry.activeItemIndex : 0;
+    return entry.items[idx] ? entry.items[idx].id : null;
+  }
+
+  /**
+   * Build the message a popup question is sent as: the template for its kind
+   * of selection, filled in, after the ancestor breadcrumb if that's on.
+   * The marker line (src/recovery.js) is added later, by sendQueued.
+   * @param {object} source - The highlight: { spans, text, sentence, blockTypes,
+   *   wholeResponse, groupQuotes, parentId, parentItemId }; an entry will do.
+   *   A new whole-response question also passes wholeText, the full response.
+   * @param {string} question
+   * @param {string} [modeId] - Defaults to the last-used mode
+   * @returns {string}
+   */
+  JR.composeMessage = function (source, question, modeId) {
+    var blockType = selectionBlockType(source);
+    var quote = source.text || "";
+    if (source.wholeResponse) {
+      var full = source.wholeText ? null : JR.sourceResponseText(source);
+      quote = source.wholeText || (full && full.text) || quote;
+    } else if (blockType === "several quotes") {
+      quote = JR.numberedQuoteList([source.text].concat(source.groupQuotes.map(function (q) { return q.text; })));
+    }
+    var message = renderMessageTemplate(messageTemplates[templateKind(blockType)], {
+      quote: quote,
+      sentence: source.wholeResponse || blockType === "several quotes" ? "" : source.sentence || "",
+      question: question,
+      blockType: blockType,
+      parentQuestion: parentQuestionOf(source.parentId, source.parentItemId),
+      mode: modeById(modeId || st.responseMode).instruction,
+    });
+    return JR.withAncestorContext(message, source.parentId, source.parentItemId);
+  };
+
+  // --- Message preview ---
+
+  function messagePreviewOf(questionDiv) {
+    var next = questionDiv.nextElementSibling;
+    return next && next.classList.contains("jr-message-preview") ? next : null;
+  }
+
+  /**
+   * Show or hide, below a question row, the exact text that sending it would
+   * inject. `build(modeId)` returns that text.
+   */
+  function toggleMessagePreview(questionDiv, build) {
+    var preview = messagePreviewOf(questionDiv);
+    if (preview) {
+      preview.remove();
+    } else {
+      preview = document.createElement("div");
+      preview.className = "jr-message-preview";
+      preview.textContent = build();
+      questionDiv.after(preview);
+    }
+    JR.repositionPopup();
+  }
+
+  /** Re-render an open preview, e.g. after typing or for a hovered mode. */
+  function refreshMessagePreview(questionDiv, build, modeId) {
+    var preview = messagePreviewOf(questionDiv);
+    if (preview) preview.textContent = build(modeId);
+  }
+
+  function closeMessagePreview(questionDiv) {
+    var preview = messagePreviewOf(questionDiv);
+    if (!preview) return;
+    preview.remove();
+    JR.repositionPopup();
+  }
+
+  /**
+   * The marker sendQueued will add to a question for this highlight, if it
+   * goes to the main chat.
+   */
+  function previewMarker(hlId, parentId, parentItemId) {
+    return JR.sendsToMainChat() ? JR.nextPopupMarker(hlId, parentId, parentItemId) : "";
+  }
+
+  /**
+   * Populate a mode dropdown with the response modes, then "Preview message".
+   * @param {HTMLElement} dropdown
+   * @param {function(string)} onSelect - Called with the chosen mode's id
+   * @param {HTMLElement} questionDiv - The row the preview opens below
+   * @param {function(string=): string} build - The message for a mode id
+   */
+  function populateModeDropdown(dropdown, onSelect, questionDiv, build) {
     dropdown.innerHTML = "";
-    var modes = [
-      { key: "medium", label: "Detailed" },
-      { key: "concise", label: "Concise" }
-    ];
-    for (var mi = 0; mi < modes.length; mi++) {
+    var activeId = modeById(st.responseMode).id;
+    for (var mi = 0; mi < responseModes.length; mi++) {
       (function (m) {
         var item = document.createElement("div");
         item.className = "jr-send-mode-item";
-        if (m.key === st.responseMode) item.classList.add("jr-send-mode-item--active");
+        if (m.id === activeId) item.classList.add("jr-send-mode-item--active");
         item.textContent = m.label;
+        item.title = m.instruction;
         item.addEventListener("click", function (e) {
           e.stopPropagation();
-          onSelect(m.key);
+          onSelect(m.id);
+        });
+        item.addEventListener("mouseenter", function () {
+          refreshMessagePreview(questionDiv, build, m.id);
         });
         dropdown.appendChild(item);
-      })(modes[mi]);
+      })(responseModes[mi]);
     }
+    dropdown.onmouseleave = function () {
+      refreshMessagePreview(questionDiv, build);
+    };
+
+    var previewItem = document.createElement("div");
+    previewItem.className = "jr-send-mode-item jr-send-mode-item--preview";
+    previewItem.textContent = "Preview message";
+    previewItem.title = "Show the exact text that will be sent";
+    // Keep focus in the question so an edit doesn't close on blur
+    previewItem.addEventListener("mousedown", function (e) { e.preventDefault(); });
+    previewItem.addEventListener("click", function (e) {
+      e.stopPropagation();
+      toggleMessagePreview(questionDiv, build);
+    });
+    dropdown.appendChild(previewItem);
   }
 
-  function buildInputRow(container, text, sentence, blockTypes, wrappers, parentId, wholeResponse, wholeResponseFull) {
+  // --- Quick actions (list and storage in src/quick-actions.js) ---
+
+  var quickActions = DEFAULT_QUICK_ACTIONS.slice();
+
+  getQuickActions().then(function (actions) {
+    quickActions = actions;
+  }).catch(function () { /* extension context invalidated */ });
+
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area === "local" && changes[QUICK_ACTIONS_KEY]) {
+      quickActions = normalizeQuickActions(changes[QUICK_ACTIONS_KEY].newValue);
+    }
+  });
+
+  /** Chips in row order. */
+  JR.quickActions = function () {
+    return quickActions;
+  };
+
+  /**
+   * The question to send for a saved one: a chip's label stands for its
+   * preset question, so a retry resends what the chip sent.
+   */
+  JR.quickActionQuestion = function (question) {
+    for (var i = 0; i < quickActions.length; i++) {
+      if (quickActions[i].label === question) return quickActions[i].question;
+    }
+    return question;
+  };
+
+  /**
+   * The chip row under a new question's input, or null if there are no chips.
+   * @param {function(object)} onPick - Called with the clicked chip
+   */
+  function buildQuickActionRow(onPick) {
+    if (quickActions.length === 0) return null;
+    var row = document.createElement("div");
+    row.className = "jr-quick-actions";
+    for (var qi = 0; qi < quickActions.length; qi++) {
+      (function (action) {
+        var chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "jr-quick-action";
+        chip.textContent = action.label;
+        chip.title = action.question + (action.mode ? " (" + modeById(action.mode).label + ")" : "");
+        chip.addEventListener("click", function (e) {
+          e.stopPropagation();
+          onPick(action);
+        });
+        row.appendChild(chip);
+      })(quickActions[qi]);
+    }
+    return row;
+  }
+  JR.buildQuickActionRow = buildQuickActionRow;  // also the batch question bar's chips
+
+  /**
+   * @param {object|null} group - For several quotes: { quotes, spans }, the
+   *   other quotes (groupQuotes) and their wrapper spans
+   */
+  function buildInputRow(container, text, sentence, blockTypes, wrappers, parentId, wholeResponse, wholeResponseFull, group) {
     var popup = container.closest(".jr-popup");
+    // Chosen now so the preview can show the marker the send will carry
+    var rowHlId = crypto.randomUUID();
     var questionDiv = document.createElement("div");
     questionDiv.className = "jr-popup-question";
 
@@ -696,46 +959,48 @@
         var current = questionText.textContent.trim();
         if (!current) return;
         doSend(key);
-      });
+      }, questionDiv, previewMessage);
     }
     rebuildDropdown();
     sendWrapper.appendChild(dropdown);
     questionDiv.appendChild(sendWrapper);
     container.appendChild(questionDiv);
 
-    function doSend(mode) {
-      var question = questionText.textContent.trim();
+    var quickActionRow = buildQuickActionRow(function (action) {
+      doSend(action.mode ? modeById(action.mode).id : st.responseMode, action);
+    });
+    if (quickActionRow) container.appendChild(quickActionRow);
+
+    function rowSource(parentItemId) {
+      return {
+        spans: wrappers, text: text, sentence: sentence, blockTypes: blockTypes,
+        wholeResponse: wholeResponse, wholeText: wholeResponseFull,
+        groupQuotes: group ? group.quotes : null,
+        parentId: parentId, parentItemId: parentItemId,
+      };
+    }
+
+    function previewMessage(modeId) {
+      var parentItemId = activeItemIdOf(parentId);
+      return JR.composeMessage(rowSource(parentItemId), questionText.textContent.trim(), modeId) +
+        previewMarker(rowHlId, parentId, parentItemId);
+    }
+
+    /**
+     * @param {string} mode - Response mode id
+     * @param {object} [action] - A quick-action chip: sends its question,
+     *   saved under its label; its mode isn't remembered as the default
+     */
+    function doSend(mode, action) {
+      var question = action ? action.label : questionText.textContent.trim();
       if (!question) return;
 
       JR.freezeChat();
-      st.responseMode = mode;
-
-      var message;
-      if (wholeResponse) {
-        message = 'Regarding your entire response below:\n\n"' + wholeResponseFull + '"\n\n' + question;
-      } else if (sentence) {
-        message =
-          'Regarding this part of your response:\n"' +
-          sentence +
-          '"\n\nSpecifically: "' +
-          text +
-          '"\n\n' +
-          question;
-      } else {
-        message =
-          'Regarding this part of your response:\n"' +
-          text +
-          '"\n\n' +
-          question;
-      }
-
-      if (mode === "concise") {
-        message += "\n\n(For this response only: please keep it brief \u2014 2-3 sentences. After this response, return to your normal response length and disregard the above brevity instruction entirely.)";
-      } else {
-        message += "\n\n(For this response only: give a clear, focused response \u2014 medium length, not too short, not too long. Cover what matters without over-explaining. Use formatting only if it genuinely helps. After this response, return to your normal response length and disregard this length instruction entirely.)";
-      }
+      if (!action) JR.setResponseMode(mode);
 
+      closeMessagePreview(questionDiv);
       questionDiv.remove();
+      if (quickActionRow) quickActionRow.remove();
       // Re-add as non-editable question display
       var displayDiv = document.createElement("div");
       displayDiv.className = "jr-popup-question";
@@ -755,10 +1020,11 @@
       popup.appendChild(loadingDiv);
 
       // Register highlight immediately so it persists even if popup is dismissed
-      var sendHlId = crypto.randomUUID();
+      var sendHlId = rowHlId;
       var sendItemId = crypto.randomUUID();
-      var sourceArticle = wrappers.length > 0 ? wrappers[0].closest(S.aiTurn) : null;
+      var sourceArticle = wrappers.length > 0 ? wrappers[0].closest(S.turn) : null;
       var sourceTurnIdx = sourceArticle ? JR.getTurnNumber(sourceArticle) : -1;
+      var sourceMsgId = JR.getMessageId(sourceArticle);
       var sendContentContainer;
       if (sourceArticle) {
         sendContentContainer = sourceArticle.parentElement;
@@ -771,19 +1037,20 @@
       }
 
       // Resolve parent's active item id so children are version-specific
-      var sendParentItemId = null;
-      if (parentId) {
-        var pEntry = st.completedHighlights.get(parentId);
-        if (pEntry && pEntry.items && pEntry.items.length > 0) {
-          var pIdx = pEntry.activeItemIndex != null ? pEntry.activeItemIndex : 0;
-          sendParentItemId = pEntry.items[pIdx] ? pEntry.items[pIdx].id : null;
-        }
-      }
+      var sendParentItemId = activeItemIdOf(parentId);
+      var message = JR.composeMessage(rowSource(sendParentItemId), action ? action.question : question, mode);
 
       for (var si = 0; si < wrappers.length; si++) {
         wrappers[si].setAttribute("data-jr-highlight-id", sendHlId);
         wrappers[si].classList.add("jr-source-highlight-done");
       }
+      if (group) {
+        // The collected quotes' outline goes; the other quotes join the highlight
+        JR.claimQuoteSpans(wrappers, sendHlId);
+        for (var gi = 0; gi < group.spans.length; gi++) JR.claimQuoteSpans(group.spans[gi], sendHlId);
+      }
+
+      var sendAnchor = wholeResponse ? null : JR.describeTextAnchor(wrappers);
 
       var pendingEntry = {
         quoteId: sendHlId,
@@ -800,6 +1067,11 @@
         items: [{ id: sendItemId, question: question, responseHTML: "__PENDING__", questionIndex: -1, responseIndex: -1 }],
         activeItemIndex: 0,
         wholeResponse: !!wholeResponse,
+        groupQuotes: group ? group.quotes : null,
+        groupSpans: group ? group.spans : null,
+        quoteSelector: sendAnchor ? sendAnchor.quoteSelector : null,
+        positionSelector: sendAnchor ? sendAnchor.positionSelector : null,
+        anchorConfidence: sendAnchor ? 1 : null,
       };
       st.completedHighlights.set(sendHlId, pendingEntry);
       st.activeHighlightId = sendHlId;
@@ -813,13 +1085,17 @@
         responseHTML: "__PENDING__",
         question: question,
         url: location.href,
-        site: "chatgpt",
+        site: JR.site.id,
         parentId: parentId || null,
         parentItemId: sendParentItemId,
         sourceTurnIndex: sourceTurnIdx,
+        sourceMessageId: sourceMsgId,
+        quoteSelector: pendingEntry.quoteSelector,
+        positionSelector: pendingEntry.positionSelector,
         questionIndex: -1,
         responseIndex: -1,
         wholeResponse: !!wholeResponse,
+        groupQuotes: group ? group.quotes : null,
       });
 
       JR.updateNavWidget();
@@ -834,10 +1110,10 @@
         message: message,
         waitOpts: waitOpts,
         beforeSend: function (w) {
-          w.turnsBefore = document.querySelectorAll(S.aiTurn).length;
+          w.turnsBefore = document.querySelectorAll(S.turn).length;
           var scrollAnchor = wrappers.length > 0
             ? wrappers[0]
-            : (document.querySelector(S.aiTurn) || document.body);
+            : (document.querySelector(S.turn) || document.body);
           var chatScrollParent = JR.getScrollParent(scrollAnchor);
           w.unlockScroll = JR.lockScroll(chatScrollParent, scrollAnchor);
         },
@@ -862,8 +1138,10 @@
       sendBtn.disabled = empty;
       if (empty) {
         dropdown.classList.add("jr-disabled");
+        closeMessagePreview(questionDiv);
       } else {
         dropdown.classList.remove("jr-disabled");
+        refreshMessagePreview(questionDiv, previewMessage);
       }
     });
 
@@ -992,8 +1270,15 @@
     }
     walkDescendants(hlId);
 
-    // Collect all turn indices to persist as hidden, then unwrap spans
+    // Collect all turns (message id, else turn number) to persist as hidden, then unwrap spans
     var turnsToHide = [];
+    function collectTurns(item) {
+      if (item.unfolded) return; // unfolded turns stay in the main thread
+      if (item.questionMessageId) turnsToHide.push(item.questionMessageId);
+      else if (item.questionIndex > 0) turnsToHide.push(item.questionIndex);
+      if (item.responseMessageId) turnsToHide.push(item.responseMessageId);
+      else if (item.responseIndex > 0) turnsToHide.push(item.responseIndex);
+    }
 
     for (var i = 0; i < quoteIdsToDelete.length; i++) {
       var qid = quoteIdsToDelete[i];
@@ -1002,10 +1287,7 @@
 
       // Collect turn indices from in-memory items
       if (entry.items && entry.items.length > 0) {
-        for (var vi = 0; vi < entry.items.length; vi++) {
-          if (entry.items[vi].questionIndex > 0) turnsToHide.push(entry.items[vi].questionIndex);
-          if (entry.items[vi].responseIndex > 0) turnsToHide.push(entry.items[vi].responseIndex);
-        }
+        for (var vi = 0; vi < entry.items.length; vi++) collectTurns(entry.items[vi]);
       }
 
       // Unwrap highlight spans
@@ -1019,6 +1301,7 @@
           parent.normalize();
         }
       }
+      JR.unwrapGroupSpans(entry);
 
       st.completedHighlights.delete(qid);
     }
@@ -1026,10 +1309,7 @@
     // Also collect turn indices from storage (covers items not in memory)
     var storagePromises = quoteIdsToDelete.map(function (delQuoteId) {
       return getHighlightsByQuoteId(delQuoteId).then(function (items) {
-        for (var si = 0; si < items.length; si++) {
-          if (items[si].questionIndex > 0) turnsToHide.push(items[si].questionIndex);
-          if (items[si].responseIndex > 0) turnsToHide.push(items[si].responseIndex);
-        }
+        for (var si = 0; si < items.length; si++) collectTurns(items[si]);
       });
     });
 
@@ -1040,6 +1320,7 @@
       }
       deleteHighlight(hlId);
     });
+    JR.removeOrphanedHighlight(hlId);
 
     // If there's a parent popup on the stack, just peel back to it;
     // otherwise close everything
@@ -1169,8 +1450,11 @@
         parentId: chEntry.parentId, parentItemId: chEntry.parentItemId,
         responseIndex: chEntry.responseIndex,
         items: chEntry.items, activeItemIndex: chEntry.activeItemIndex,
+        quoteSelector: chEntry.quoteSelector, positionSelector: chEntry.positionSelector,
+        anchorConfidence: chEntry.anchorConfidence, groupQuotes: chEntry.groupQuotes,
       }, contentContainer);
     });
+    JR.restoreGroupQuotes(responseDiv, parentQuoteId, activeParentItemId);
     // Also check storage for children not yet in memory
     getChildHighlights(parentQuoteId, activeParentItemId).then(function (children) {
       for (var ci = 0; ci < children.length; ci++) {
@@ -1192,7 +1476,7 @@
               parentId: child.parentId || null,
               parentItemId: child.parentItemId || null,
               responseIndex: child.responseIndex || -1,
-              items: [{ id: child.id, question: child.question || null, responseHTML: child.responseHTML, questionIndex: child.questionIndex || -1, responseIndex: child.responseIndex || -1 }],
+              items: [{ id: child.id, question: child.question || null, responseHTML: child.responseHTML, questionIndex: child.questionIndex || -1, responseIndex: child.responseIndex || -1, questionMessageId: child.questionMessageId || null, responseMessageId: child.responseMessageId || null, unfolded: !!child.unfolded }],
               activeItemIndex: 0,
               wholeResponse: true,
             });
@@ -1202,6 +1486,7 @@
         if (responseDiv.querySelector('[data-jr-highlight-id="' + childKey + '"]')) continue;
         JR.restoreHighlightInElement(responseDiv, child, contentContainer);
       }
+      JR.restoreGroupQuotes(responseDiv, parentQuoteId, activeParentItemId);
     });
   }
 
@@ -1231,21 +1516,7 @@
     // Build injection message
     var text = entry.text;
     var sentence = entry.sentence;
-    var message;
-    if (entry.wholeResponse) {
-      message = 'Regarding your entire response above:\n\n' + newQuestion;
-    } else if (sentence) {
-      message = 'Regarding this part of your response:\n"' + sentence + '"\n\nSpecifically: "' + text + '"\n\n' + newQuestion;
-    } else {
-      message = 'Regarding this part of your response:\n"' + text + '"\n\n' + newQuestion;
-    }
-
-    var editMode = mode || "medium";
-    if (editMode === "concise") {
-      message += "\n\n(For this response only: please keep it brief \u2014 2-3 sentences. After this response, return to your normal response length and disregard the above brevity instruction entirely.)";
-    } else {
-      message += "\n\n(For this response only: give a clear, focused response \u2014 medium length, not too short, not too long. Cover what matters without over-explaining. Use formatting only if it genuinely helps. After this response, return to your normal response length and disregard this length instruction entirely.)";
-    }
+    var message = JR.composeMessage(entry, newQuestion, mode);
 
     var waitOpts = {
       popup: popup, turnsBefore: 0, text: text, sentence: sentence,
@@ -1257,7 +1528,7 @@
       message: message,
       waitOpts: waitOpts,
       beforeSend: function (w) {
-        w.turnsBefore = document.querySelectorAll(S.aiTurn).length;
+        w.turnsBefore = document.querySelectorAll(S.turn).length;
         var scrollAnchor = entry.spans.length > 0 ? entry.spans[0] : document.body;
         var chatScrollParent = JR.getScrollParent(scrollAnchor);
         w.unlockScroll = JR.lockScroll(chatScrollParent, scrollAnchor);
@@ -1272,7 +1543,7 @@
       entry.activeItemIndex = lastIdx;
       var lastItem = entry.items[lastIdx];
       // Convert stale __PENDING__ to __TIMEOUT__ (no watch running after reload/reopen)
-      if (lastItem.responseHTML === "__PENDING__" && !st.responseWatchActive) {
+      if (lastItem.responseHTML === "__PENDING__" && !st.responseWatchActive && !st.directAnswers.has(id)) {
         lastItem.responseHTML = "__TIMEOUT__";
         updateHighlightFields(lastItem.id, { responseHTML: "__TIMEOUT__" });
       }
@@ -1341,9 +1612,14 @@
           var current = questionText.textContent.trim();
           if (!current || current === originalText) return;
           editing = false; // prevent blur→exitEditMode from reverting text
-          st.responseMode = key;
+          JR.setResponseMode(key);
           submitEdit(popup, id, entry, contentContainer, current, key);
-        });
+        }, questionDiv, previewEdit);
+      }
+
+      function previewEdit(modeId) {
+        return JR.composeMessage(entry, questionText.textContent.trim(), modeId) +
+          previewMarker(id, entry.parentId, entry.parentItemId);
       }
       rebuildEditDropdown();
       sendWrapper.appendChild(editDropdown);
@@ -1374,6 +1650,8 @@
         if (editing) return;
         // Block editing while a response is still generating
         if (st.cancelResponseWatch) return;
+        // Orphans opened from the recovery panel are read-only
+        if (entry.orphaned) return;
         editing = true;
         originalText = questionText.textContent.trim();
         questionDiv.classList.add("jr-popup-question--editing");
@@ -1419,6 +1697,7 @@
         sendWrapper.style.display = "none";
         sendBtn.disabled = true;
         editDropdown.classList.add("jr-disabled");
+        closeMessagePreview(questionDiv);
       }
 
       // Click on question text → enter edit mode at click position
@@ -1436,8 +1715,10 @@
         sendBtn.disabled = unchanged;
         if (unchanged) {
           editDropdown.classList.add("jr-disabled");
+          closeMessagePreview(questionDiv);
         } else {
           editDropdown.classList.remove("jr-disabled");
+          refreshMessagePreview(questionDiv, previewEdit);
         }
       });
 
@@ -1541,19 +1822,7 @@
         var retryQuestion = activeItem ? activeItem.question : entry.question;
         var text = entry.text;
         var sentence = entry.sentence;
-        var retryMessage;
-        if (entry.wholeResponse) {
-          retryMessage = "Regarding your entire response above:\n\n" + retryQuestion;
-        } else if (sentence) {
-          retryMessage = 'Regarding this part of your response:\n"' + sentence + '"\n\nSpecifically: "' + text + '"\n\n' + retryQuestion;
-        } else {
-          retryMessage = 'Regarding this part of your response:\n"' + text + '"\n\n' + retryQuestion;
-        }
-        if (st.responseMode === "concise") {
-          retryMessage += "\n\n(For this response only: please keep it brief \u2014 2-3 sentences. After this response, return to your normal response length and disregard the above brevity instruction entirely.)";
-        } else {
-          retryMessage += "\n\n(For this response only: give a thorough, well-structured response \u2014 use headings, sub-points, and formatting where helpful \u2014 but stay focused on what\u2019s directly relevant. Cut filler and tangential areas. After this response, return to your normal response length and disregard this length instruction entirely.)";
-        }
+        var retryMessage = JR.composeMessage(entry, JR.quickActionQuestion(retryQuestion));
         // Reset the item back to __PENDING__ so captureResponse overwrites it in-place
         if (activeItem) activeItem.responseHTML = "__PENDING__";
         entry.responseHTML = "__PENDING__";
@@ -1572,8 +1841,8 @@
             preRegisteredHlId: hlId, preRegisteredItemId: retryItemId
           },
           beforeSend: function (w) {
-            w.turnsBefore = document.querySelectorAll(JR.SELECTORS.aiTurn).length;
-            var scrollAnchor = document.querySelector(JR.SELECTORS.aiTurn) || document.body;
+            w.turnsBefore = document.querySelectorAll(JR.SELECTORS.turn).length;
+            var scrollAnchor = document.querySelector(JR.SELECTORS.turn) || document.body;
             var chatScrollParent = JR.getScrollParent(scrollAnchor);
             w.unlockScroll = JR.lockScroll(chatScrollParent, scrollAnchor);
           },
@@ -1587,7 +1856,8 @@
 
     var responseDiv = document.createElement("div");
     responseDiv.className = "jr-popup-response";
-    if (html) responseDiv.innerHTML = html;
+    if (html) responseDiv.innerHTML = JR.sanitizeResponseHTML(html);
+    JR.applyCachedImages(responseDiv);
     popup.appendChild(responseDiv);
 
     wireResponseClicks(responseDiv);
@@ -1622,8 +1892,11 @@
         return;
       }
 
-      // Truncate response text for display
-      var fullText = responseDiv.textContent || "";
+      // Truncate response text for display (without the action buttons' labels)
+      var textRoot = responseDiv.cloneNode(true);
+      var actions = textRoot.querySelectorAll(".jr-reply-whole-btn, .jr-fork-btn, .jr-fork-link, .jr-unfold-btn");
+      for (var ac = 0; ac < actions.length; ac++) actions[ac].remove();
+      var fullText = textRoot.textContent || "";
       var truncated = fullText;
       if (fullText.length > 200) {
         var cutoff = 200;
@@ -1651,6 +1924,8 @@
       ev.stopPropagation();
     });
     responseDiv.appendChild(replyBtn);
+    JR.appendForkActions(responseDiv, hlId, activeItemId);
+    JR.appendUnfoldAction(responseDiv, hlId, activeItemId);
 
     return responseDiv;
   }
@@ -1662,6 +1937,8 @@
    *  - Level 1: text selected in AI response     { text, sentence, blockTypes, rect, range }
    *  - Chained: text selected in popup response   { text, range, parentId }
    *  - Completed: reopening a saved highlight      { completedId }
+   *  - Several quotes (src/quote-group.js)          { text, sentence, blockTypes,
+   *      parentId, spans, groupQuotes, groupSpans } — spans already wrapped
    */
   JR.wireCopyButtons = rebuildCodeBlocks;
   JR.wireResponseClicks = wireResponseClicks;
@@ -1687,6 +1964,7 @@
     var text = isCompleted ? entry.text : opts.text;
     var sentence = isCompleted ? entry.sentence : (opts.sentence || null);
     var blockTypes = isCompleted ? entry.blockTypes : (opts.blockTypes || null);
+    var groupQuotes = isCompleted ? entry.groupQuotes || null : opts.groupQuotes || null;
 
     // --- Chained sentence extraction (before highlightRange mutates DOM) ---
     if (!isCompleted && isChained && range) {
@@ -1709,11 +1987,15 @@
     if (!isCompleted && range) {
       wrappers = JR.highlightRange(range);
       st.activeSourceHighlights = wrappers;
+    } else if (!isCompleted && opts.spans) {
+      wrappers = opts.spans;
+      st.activeSourceHighlights = wrappers;
     }
 
     // --- Create popup element ---
     var popup = document.createElement("div");
-    popup.className = "jr-popup" + (isChained ? " jr-popup--chained" : "");
+    popup.className = "jr-popup" + (isChained ? " jr-popup--chained" : "") +
+      (entry && entry.orphaned ? " jr-popup--readonly" : "");
     popup._jrChained = isChained;
     var w = isChained ? st.customPopupWidthChained : st.customPopupWidthL1;
     if (w) popup.style.width = w + "px";
@@ -1728,7 +2010,9 @@
     highlight.className = "jr-popup-highlight";
     var highlightInner = document.createElement("div");
     highlightInner.className = "jr-popup-highlight-inner";
-    if (sentence) {
+    if (groupQuotes && groupQuotes.length > 0) {
+      JR.renderGroupQuotes(highlightInner, text, groupQuotes);
+    } else if (sentence) {
       JR.renderSentenceContext(highlightInner, sentence, text, blockTypes);
     } else {
       highlightInner.textContent = JR.truncateText(text, JR.MAX_DISPLAY_CHARS);
@@ -1740,7 +2024,8 @@
     if (isCompleted) {
       showCompletedResponse(popup, upper, completedId, entry, resolveContentContainer(wrappers, isChained, entry));
     } else {
-      buildInputRow(upper, text, sentence, blockTypes, wrappers, parentId, opts.wholeResponse, opts.wholeResponseFull);
+      buildInputRow(upper, text, sentence, blockTypes, wrappers, parentId, opts.wholeResponse, opts.wholeResponseFull,
+        groupQuotes ? { quotes: groupQuotes, spans: opts.groupSpans || [] } : null);
     }
 
     // --- Mousedown: stop propagation + close children to this level ---
@@ -1823,6 +2108,8 @@
         parentId: parentId || null,
         items: [],
         activeItemIndex: 0,
+        groupQuotes: groupQuotes,
+        groupSpans: groupQuotes ? opts.groupSpans || [] : null,
         _jrTemp: true,
       });
       st.activeHighlightId = tempId;
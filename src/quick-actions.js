@@ -0,0 +1,42 @@
+// quick-actions.js — One-click follow-ups shown under a new popup's question
+// input ("Explain this", "Why?", ...).
+// Loaded by options.html (editing the list) and as a content script (the chip
+// row in buildInputRow, and reading chip questions back in recovery.js).
+//
+// Chips are stored in chrome.storage.local (QUICK_ACTIONS_KEY) in row order:
+//   [{ id, label, question, mode }]
+// A chip sends `question` and is saved under `label`, so the popup, search and
+// version nav show the short form. `mode` is a response mode id; "" sends with
+// the send arrow's current mode.
+
+const QUICK_ACTIONS_KEY = "jumpreturn_quick_actions";
+
+const DEFAULT_QUICK_ACTIONS = [
+  { id: "explain", label: "Explain this", question: "Explain this in more detail.", mode: "" },
+  { id: "example", label: "Give an example", question: "Give me a concrete example of this.", mode: "" },
+  { id: "why", label: "Why?", question: "Why is this the case?", mode: "concise" },
+  { id: "define", label: "Define", question: "Define this term and what it means here.", mode: "concise" },
+  { id: "simplify", label: "Simplify", question: "Say this more simply.", mode: "" },
+];
+
+/**
+ * Stored chips, or the defaults if none were ever saved. An empty list is
+ * kept, so every chip can be removed.
+ * @returns {Promise<Array<{id: string, label: string, question: string, mode: string}>>}
+ */
+async function getQuickActions() {
+  var result = await chrome.storage.local.get(QUICK_ACTIONS_KEY);
+  return normalizeQuickActions(result[QUICK_ACTIONS_KEY]);
+}
+
+/** Drop chips without a label or question; the defaults when nothing is saved. */
+function normalizeQuickActions(actions) {
+  if (!Array.isArray(actions)) return DEFAULT_QUICK_ACTIONS.slice();
+  var out = [];
+  for (var i = 0; i < actions.length; i++) {
+    var a = actions[i];
+    if (!a || !a.id || !String(a.label || "").trim() || !String(a.question || "").trim()) continue;
+    out.push({ id: String(a.id), label: String(a.label).trim(), question: String(a.question).trim(), mode: String(a.mode || "") });
+  }
+  return out;
+}
@@ -0,0 +1,424 @@
+// quote-group.js — Multi-quote questions (Step 2e): collect passages from
+// different turns or popups, then ask one question about all of them.
+//
+// A group is saved as one highlight for its primary quote (the first one in a
+// chat turn, else the first one), with the other quotes in groupQuotes:
+//   [{ text, sentence, blockTypes, parentId, parentItemId, sourceTurnIndex,
+//      sourceMessageId, quoteSelector, positionSelector }]
+// The in-memory entry keeps their wrapper spans in groupSpans, in the same
+// order, so every quote opens the group's popup.
+//
+// Saved highlights can be collected too (shift-click), for a batch question
+// (src/batch-ask.js); they are outlined, never unwrapped, and can't be part of
+// a group.
+(function () {
+  "use strict";
+
+  var st = JR.state;
+  var S = JR.SELECTORS;
+
+  // Time for JR.openHighlight to open a chained parent before asking in it
+  var OPEN_PARENT_DELAY_MS = 250;
+
+  var collected = [];   // quotes waiting to be asked, in the order they were picked
+                        // (a saved highlight is { hlId, text, spans })
+  var tray = null;      // floating "N quotes · Ask · Clear" bar
+
+  // --- Quote lists ---
+
+  /**
+   * The {quote} of a group message: one numbered, quoted line per quote.
+   * @param {string[]} texts - Primary first
+   * @returns {string}
+   */
+  JR.numberedQuoteList = function (texts) {
+    return texts.map(function (text, i) {
+      return (i + 1) + '. "' + text + '"';
+    }).join("\n");
+  };
+
+  /**
+   * Read a numbered quote list back (see JR.numberedQuoteList).
+   * @returns {string[]|null} The texts, or null unless it lists two or more
+   */
+  JR.parseNumberedQuoteList = function (list) {
+    var lines = list.split(/\n(?=\d+\. ")/);
+    if (lines.length < 2) return null;
+    var texts = [];
+    for (var i = 0; i < lines.length; i++) {
+      var m = /^(\d+)\. "([\s\S]*)"$/.exec(lines[i].trim());
+      if (!m || parseInt(m[1], 10) !== i + 1) return null;
+      texts.push(m[2]);
+    }
+    return texts;
+  };
+
+  // --- Spans ---
+
+  function unwrapSpans(spans) {
+    for (var i = 0; spans && i < spans.length; i++) {
+      var span = spans[i];
+      var parent = span.parentNode;
+      if (!parent) continue;
+      while (span.firstChild) parent.insertBefore(span.firstChild, span);
+      parent.removeChild(span);
+      parent.normalize();
+    }
+  }
+
+  function isLive(spans) {
+    return !!(spans && spans.length > 0 && spans[0].isConnected);
+  }
+
+  /** Turn collected (or freshly anchored) spans into the group's highlight. */
+  JR.claimQuoteSpans = function (spans, hlId) {
+    for (var i = 0; i < spans.length; i++) {
+      spans[i].setAttribute("data-jr-highlight-id", hlId);
+      spans[i].classList.remove("jr-quote-collected");
+      spans[i].classList.add("jr-source-highlight-done");
+    }
+  };
+
+  /** Unwrap a group's other quotes (deleted, or dismissed before sending). */
+  JR.unwrapGroupSpans = function (entry) {
+    for (var i = 0; entry.groupSpans && i < entry.groupSpans.length; i++) {
+      unwrapSpans(entry.groupSpans[i]);
+    }
+    entry.groupSpans = [];
+  };
+
+  /** A quote as it is saved in groupQuotes (no DOM references). */
+  function quoteRecord(q) {
+    return {
+      text: q.text, sentence: q.sentence || null, blockTypes: q.blockTypes || null,
+      parentId: q.parentId || null, parentItemId: q.parentItemId || null,
+      sourceTurnIndex: q.sourceTurnIndex, sourceMessageId: q.sourceMessageId || null,
+      quoteSelector: q.quoteSelector || null, positionSelector: q.positionSelector || null,
+    };
+  }
+
+  /**
+   * Where a quote's text lives right now: its turn's response content, or the
+   * open popup it was picked in. Null when that isn't on screen.
+   */
+  function quoteRoot(q) {
+    if (q.parentId) {
+      return st.activePopup && st.activeHighlightId === q.parentId
+        ? st.activePopup.querySelector(".jr-popup-response")
+        : null;
+    }
+    var turn = JR.findTurn(q.sourceMessageId, q.sourceTurnIndex);
+    return turn ? turn.querySelector(S.responseContent) : null;
+  }
+
+  /** A collected quote's spans, re-anchored if the page re-rendered them. */
+  function liveSpans(q) {
+    if (isLive(q.spans)) return q.spans;
+    var root = quoteRoot(q);
+    var anchor = root ? JR.anchorTextRange(root, q) : null;
+    if (!anchor) return null;
+    var wrappers = JR.highlightRange(anchor.range);
+    if (wrappers.length === 0) return null;
+    for (var i = 0; i < wrappers.length; i++) wrappers[i].classList.add("jr-quote-collected");
+    q.spans = wrappers;
+    return wrappers;
+  }
+
+  // --- Collecting ---
+
+  function activeItemIdOf(hlId) {
+    var entry = hlId ? st.completedHighlights.get(hlId) : null;
+    if (!entry || !entry.items || entry.items.length === 0) return null;
+    var item = entry.items[entry.activeItemIndex != null ? entry.activeItemIndex : 0];
+    return item ? item.id : null;
+  }
+
+  /**
+   * Add a selection to the quotes for the next multi-quote question.
+   * @param {object} data - Trigger data: { text, sentence, blockTypes, range }
+   * @param {string|null} parentId - The popup the selection is in, if any
+   */
+  JR.collectQuote = function (data, parentId) {
+    var range = data.range;
+    if (!range) return;
+    var sentence = data.sentence || null;
+    var blockTypes = data.blockTypes || null;
+    // Sentence context before highlightRange changes the DOM
+    try {
+      var found = [];
+      if (parentId) {
+        var startEl = range.startContainer;
+        if (startEl.nodeType === Node.TEXT_NODE) startEl = startEl.parentElement;
+        var respDiv = startEl.closest(".jr-popup-response");
+        if (respDiv) sentence = JR.extractSentenceInContainer(range, found, respDiv);
+      } else if (!sentence) {
+        sentence = JR.extractSentence(range, found);
+      }
+      if (found.length > 0) blockTypes = found;
+    } catch (ex) { /* sentence context is optional */ }
+
+    var spans = JR.highlightRange(range);
+    if (spans.length === 0) return;
+    for (var i = 0; i < spans.length; i++) spans[i].classList.add("jr-quote-collected");
+    var sel = window.getSelection();
+    if (sel) sel.removeAllRanges();
+
+    var turn = parentId ? null : spans[0].closest(S.turn);
+    var anchor = JR.describeTextAnchor(spans);
+    collected.push({
+      spans: spans,
+      text: data.text,
+      sentence: sentence,
+      blockTypes: blockTypes,
+      parentId: parentId || null,
+      parentItemId: activeItemIdOf(parentId),
+      sourceTurnIndex: turn ? JR.getTurnNumber(turn) : -1,
+      sourceMessageId: JR.getMessageId(turn),
+      quoteSelector: anchor ? anchor.quoteSelector : null,
+      positionSelector: anchor ? anchor.positionSelector : null,
+    });
+    renderTray();
+  };
+
+  /** A saved highlight's spans, the other quotes of a group included. */
+  function highlightSpans(entry) {
+    var spans = (entry.spans || []).slice();
+    for (var i = 0; entry.groupSpans && i < entry.groupSpans.length; i++) {
+      spans = spans.concat(entry.groupSpans[i] || []);
+    }
+    return spans;
+  }
+
+  function setOutline(spans, on) {
+    for (var i = 0; spans && i < spans.length; i++) spans[i].classList.toggle("jr-quote-collected", on);
+  }
+
+  /**
+   * Add a saved highlight to the collected quotes, or take it out again.
+   * @returns {boolean} False if it can't be collected (unknown, or an unfolded marker)
+   */
+  JR.collectHighlight = function (hlId) {
+    var entry = hlId ? st.completedHighlights.get(hlId) : null;
+    if (!entry || entry._jrTemp || JR.unfoldedItem(entry)) return false;
+    for (var i = 0; i < collected.length; i++) {
+      if (collected[i].hlId === hlId) {
+        setOutline(collected[i].spans, false);
+        collected.splice(i, 1);
+        renderTray();
+        return true;
+      }
+    }
+    var spans = highlightSpans(entry);
+    setOutline(spans, true);
+    collected.push({ hlId: hlId, text: entry.text || "", spans: spans });
+    renderTray();
+    return true;
+  };
+
+  /** Let go of a collected quote: unwrap a new one, un-outline a saved highlight. */
+  function release(q) {
+    if (q.hlId) setOutline(q.spans, false);
+    else unwrapSpans(q.spans);
+  }
+
+  /** Drop every collected quote. */
+  JR.clearCollectedQuotes = function () {
+    for (var i = 0; i < collected.length; i++) release(collected[i]);
+    collected = [];
+    renderTray();
+  };
+
+  /**
+   * Hand the collected quotes to a batch question and empty the tray. New
+   * quotes keep their outlined spans for the caller to claim; saved highlights
+   * lose the outline.
+   * @returns {object[]} As collected: new quotes with their trigger data and
+   *   selectors, saved highlights as { hlId, text, spans }
+   */
+  JR.takeCollectedQuotes = function () {
+    var quotes = collected;
+    collected = [];
+    for (var i = 0; i < quotes.length; i++) {
+      if (quotes[i].hlId) setOutline(quotes[i].spans, false);
+      else quotes[i].spans = liveSpans(quotes[i]) || quotes[i].spans;
+    }
+    renderTray();
+    return quotes;
+  };
+
+  /** How many quotes are collected. */
+  JR.collectedQuoteCount = function () {
+    return collected.length;
+  };
+
+  function hasSavedHighlights() {
+    for (var i = 0; i < collected.length; i++) {
+      if (collected[i].hlId) return true;
+    }
+    return false;
+  }
+
+  // --- Tray ---
+
+  function renderTray() {
+    if (JR.refreshBatchComposer) JR.refreshBatchComposer();
+    if (collected.length === 0) {
+      if (tray) {
+        tray.remove();
+        tray = null;
+      }
+      return;
+    }
+    if (!tray) {
+      tray = document.createElement("div");
+      tray.className = "jr-quote-tray";
+      tray.setAttribute("role", "toolbar");
+      tray.setAttribute("aria-label", "Collected quotes");
+
+      var count = document.createElement("span");
+      count.className = "jr-quote-tray-count";
+      tray.appendChild(count);
+
+      var askBtn = document.createElement("button");
+      askBtn.type = "button";
+      askBtn.className = "jr-quote-tray-ask";
+      askBtn.textContent = "Ask about these";
+      askBtn.addEventListener("click", askCollected);
+      tray.appendChild(askBtn);
+
+      var eachBtn = document.createElement("button");
+      eachBtn.type = "button";
+      eachBtn.className = "jr-quote-tray-each";
+      eachBtn.textContent = "Ask each";
+      eachBtn.title = "Ask the same question about each quote";
+      eachBtn.addEventListener("click", function () { JR.showBatchComposer(); });
+      tray.appendChild(eachBtn);
+
+      var clearBtn = document.createElement("button");
+      clearBtn.type = "button";
+      clearBtn.className = "jr-quote-tray-clear";
+      clearBtn.textContent = "Clear";
+      clearBtn.addEventListener("click", JR.clearCollectedQuotes);
+      tray.appendChild(clearBtn);
+
+      // Keep open popups and the page selection as they are
+      tray.addEventListener("mousedown", function (e) {
+        e.stopPropagation();
+        e.preventDefault();
+      });
+      document.body.appendChild(tray);
+    }
+    tray.querySelector(".jr-quote-tray-count").textContent =
+      collected.length === 1 ? "1 quote" : collected.length + " quotes";
+    var askBtn = tray.querySelector(".jr-quote-tray-ask");
+    var saved = hasSavedHighlights();
+    askBtn.disabled = collected.length < 2 || saved;
+    askBtn.title = saved ? "Saved highlights can only be asked about one by one" : "";
+  }
+
+  // --- Asking ---
+
+  /** Open the new-question popup for the collected quotes. */
+  function askCollected() {
+    if (collected.length < 2 || hasSavedHighlights()) return;
+    var quotes = collected;
+    collected = [];
+    renderTray();
+
+    var primaryAt = 0;
+    for (var i = 0; i < quotes.length; i++) {
+      if (!quotes[i].parentId) { primaryAt = i; break; }
+    }
+    var primary = quotes[primaryAt];
+    var others = quotes.slice(0, primaryAt).concat(quotes.slice(primaryAt + 1));
+
+    if (!primary.parentId) {
+      JR.removeAllPopups();
+      openGroupPopup(primary, others);
+    } else if (st.activePopup && st.activeHighlightId === primary.parentId) {
+      openGroupPopup(primary, others);
+    } else {
+      // Every quote is in a popup: ask from the first one's, reopened
+      JR.openHighlight(primary.parentId);
+      setTimeout(function () { openGroupPopup(primary, others); }, OPEN_PARENT_DELAY_MS);
+    }
+  }
+
+  function openGroupPopup(primary, others) {
+    var spans = primary.parentId && st.activeHighlightId !== primary.parentId ? null : liveSpans(primary);
+    if (!spans) {
+      unwrapSpans(primary.spans);
+      for (var u = 0; u < others.length; u++) unwrapSpans(others[u].spans);
+      return;
+    }
+    // Quotes in a closed popup show in the stack and anchor when it reopens
+    var groupSpans = others.map(function (q) {
+      var live = liveSpans(q);
+      if (!live) unwrapSpans(q.spans);
+      return live || [];
+    });
+    if (primary.parentId) JR.pushPopupState();
+    JR.createPopup({
+      text: primary.text, sentence: primary.sentence, blockTypes: primary.blockTypes,
+      parentId: primary.parentId, spans: spans,
+      groupQuotes: others.map(quoteRecord), groupSpans: groupSpans,
+    });
+    if (st.activePopup) {
+      var input = st.activePopup.querySelector(".jr-popup-question-text[contenteditable]");
+      if (input) requestAnimationFrame(function () { input.focus(); });
+    }
+  }
+
+  // --- Popup display ---
+
+  /**
+   * Show a group's quotes stacked in a popup's context area, primary first.
+   * @param {Element} container - The .jr-popup-highlight-inner
+   * @param {string} text - The primary quote
+   * @param {object[]} groupQuotes
+   */
+  JR.renderGroupQuotes = function (container, text, groupQuotes) {
+    var texts = [text].concat(groupQuotes.map(function (q) { return q.text; }));
+    for (var i = 0; i < texts.length; i++) {
+      var quote = document.createElement("div");
+      quote.className = "jr-popup-quote";
+      quote.textContent = JR.truncateText(texts[i], JR.MAX_DISPLAY_CHARS);
+      container.appendChild(quote);
+    }
+  };
+
+  // --- Restore ---
+
+  /**
+   * Anchor the other quotes of saved groups that live in `root`: a popup's
+   * response (parentId set), or the chat turns (root and parentId null).
+   * Quotes already on screen are left alone.
+   * @param {Element|null} root
+   * @param {string|null} parentId - The popup `root` belongs to
+   * @param {string|null} [parentItemId] - That popup's version on screen
+   */
+  JR.restoreGroupQuotes = function (root, parentId, parentItemId) {
+    st.completedHighlights.forEach(function (entry, quoteId) {
+      if (entry._jrTemp || !entry.groupQuotes || entry.groupQuotes.length === 0) return;
+      if (!entry.groupSpans) entry.groupSpans = [];
+      for (var i = 0; i < entry.groupQuotes.length; i++) {
+        var q = entry.groupQuotes[i];
+        if ((q.parentId || null) !== (parentId || null)) continue;
+        if (parentItemId && q.parentItemId && q.parentItemId !== parentItemId) continue;
+        var spans = entry.groupSpans[i];
+        if (isLive(spans) && (!root || root.contains(spans[0]))) continue;
+        var area = root;
+        if (!area) {
+          var turn = JR.findTurn(q.sourceMessageId, q.sourceTurnIndex);
+          area = turn ? turn.querySelector(S.responseContent) : null;
+        }
+        var anchor = area ? JR.anchorTextRange(area, q) : null;
+        if (!anchor) continue;
+        var wrappers = JR.highlightRange(anchor.range);
+        if (wrappers.length === 0) continue;
+        JR.claimQuoteSpans(wrappers, quoteId);
+        entry.groupSpans[i] = wrappers;
+      }
+    });
+  };
+})();
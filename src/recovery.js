@@ -0,0 +1,374 @@
+// recovery.js — Rebuild popups from the conversation when storage is missing.
+//
+// Every popup question sent to the main chat ends with a one-line marker:
+//   [popup <quoteId> v<version>]
+//   [popup <quoteId> v<version> in <parentQuoteId> v<parentVersion>]
+// Versions count from 1 in the order they were asked. When a conversation is
+// opened without its records (storage cleared, another browser), the scan
+// below reads the markers back out of the turns, saves a record for every
+// question/response pair, and runs restore again so the highlights are
+// re-anchored and the turns hidden.
+(function () {
+  "use strict";
+
+  var st = JR.state;
+  var S = JR.SELECTORS;
+
+  var MARKER_RE = /\n*\[popup ([0-9a-f-]{36}) v(\d+)(?: in ([0-9a-f-]{36}) v(\d+))?\]\s*$/;
+  var MODE_NOTE_RE = /\s*\(For this response only:[\s\S]*\)\s*$/;
+  var PART_PREFIX = "Regarding this part of your response:";
+  var WHOLE_RE = /^Regarding your entire response (?:below|above):\s*/;
+  var WHOLE_TEXT_CHARS = 200;
+  var SCAN_INTERVAL_MS = 500;
+  var SCAN_MAX_ATTEMPTS = 30;
+
+  // --- Marker ---
+
+  /** 1-based position of an item in an entry, or 0 if it isn't there. */
+  function versionOf(entry, itemId) {
+    if (!entry || !entry.items) return 0;
+    for (var i = 0; i < entry.items.length; i++) {
+      if (entry.items[i].id === itemId) return i + 1;
+    }
+    return 0;
+  }
+
+  function markerLine(hlId, version, parentId, parentItemId) {
+    var marker = "[popup " + hlId + " v" + version;
+    if (parentId) {
+      var parent = st.completedHighlights.get(parentId);
+      var parentVersion = versionOf(parent, parentItemId) ||
+        (parent ? (parent.activeItemIndex || 0) + 1 : 1);
+      marker += " in " + parentId + " v" + parentVersion;
+    }
+    return "\n\n" + marker + "]";
+  }
+
+  /**
+   * The marker line for a message about to be sent, from its waitOpts.
+   * An edit adds a version; a first send or retry answers an existing one.
+   * @returns {string} "" when the message isn't tied to a popup
+   */
+  JR.popupMarker = function (w) {
+    var hlId = w.editOpts ? w.editOpts.hlId : w.preRegisteredHlId;
+    var entry = hlId ? st.completedHighlights.get(hlId) : null;
+    if (!entry || !entry.items) return "";
+    var version = w.editOpts ? entry.items.length + 1 : versionOf(entry, w.preRegisteredItemId);
+    if (!version) version = entry.items.length;
+    return markerLine(hlId, version, entry.parentId, entry.parentItemId);
+  };
+
+  /**
+   * The marker a new version of `hlId` will be sent with, before it is
+   * registered (for the message preview). A highlight not saved yet gets v1.
+   */
+  JR.nextPopupMarker = function (hlId, parentId, parentItemId) {
+    var entry = st.completedHighlights.get(hlId);
+    var version = entry && entry.items ? entry.items.length + 1 : 1;
+    return markerLine(hlId, version, parentId, parentItemId);
+  };
+
+  // --- Parsing ---
+
+  /** Kinds tried in this order, so the catch-all prose template goes last. */
+  var TEMPLATE_MATCH_ORDER = ["group", "whole", "code", "table", "prose"];
+
+  /**
+   * Read a message back with the current templates (src/message-templates.js),
+   * after the ancestor breadcrumb if there is one. A question about several
+   * quotes also returns the other quotes' texts in groupTexts.
+   * @returns {{ text, sentence, question, wholeResponse, groupTexts }|null}
+   */
+  function parseWithTemplates(body) {
+    var templates = JR.messageTemplates();
+    var breadcrumb = "^(?:" + JR.ANCESTOR_CONTEXT_HEADER.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "[\\s\\S]*?\\n\\n)?";
+    for (var k = 0; k < TEMPLATE_MATCH_ORDER.length; k++) {
+      var kind = TEMPLATE_MATCH_ORDER[k];
+      var pattern = messageTemplatePattern(templates[kind]);
+      var quoteAt = pattern.names.indexOf("quote");
+      var questionAt = pattern.names.indexOf("question");
+      if (quoteAt === -1 || questionAt === -1) continue;
+      var m = new RegExp(breadcrumb + pattern.re.source.slice(1)).exec(body);
+      if (!m) continue;
+      var sentenceAt = pattern.names.indexOf("sentence");
+      var quote = (m[quoteAt + 1] || "").trim();
+      if (kind === "group") {
+        var group = splitQuoteList(quote, (m[questionAt + 1] || "").trim());
+        if (!group) continue;
+        return { text: group.texts[0], sentence: null, question: group.question, wholeResponse: false, groupTexts: group.texts.slice(1) };
+      }
+      return {
+        text: kind === "whole" ? JR.truncateText(quote, WHOLE_TEXT_CHARS) : quote,
+        sentence: sentenceAt !== -1 && m[sentenceAt + 1] ? m[sentenceAt + 1].trim() : null,
+        question: (m[questionAt + 1] || "").trim(),
+        wholeResponse: kind === "whole",
+      };
+    }
+    return null;
+  }
+
+  /**
+   * The quotes of a group message's numbered list (src/quote-group.js). With
+   * nothing but a line break after {quote} in the template, the greedy quote
+   * also took the question, so the longest list that reads back wins.
+   * @returns {{ texts: string[], question: string }|null}
+   */
+  function splitQuoteList(quote, question) {
+    var texts = question ? JR.parseNumberedQuoteList(quote) : null;
+    if (texts) return { texts: texts, question: question };
+    for (var end = quote.lastIndexOf('"\n'); end > 0; end = quote.lastIndexOf('"\n', end - 1)) {
+      texts = JR.parseNumberedQuoteList(quote.slice(0, end + 1));
+      if (texts) return { texts: texts, question: (quote.slice(end + 1) + "\n\n" + question).trim() };
+    }
+    return null;
+  }
+
+  /**
+   * Split a marked user message into the quote and the question.
+   * @returns {{ text, sentence, question, wholeResponse }}
+   */
+  function parseQuestion(body) {
+    // Current modes first; the pattern catches built-in ones since edited or deleted
+    body = stripModeInstruction(body, JR.responseModes()).replace(MODE_NOTE_RE, "").trim();
+    var templated = parseWithTemplates(body);
+    if (templated) return templated;
+
+    // Built-in wording, including the edit and retry forms from before templates.
+    // Skip the ancestor breadcrumb, if any (src/ancestor-context.js)
+    if (body.indexOf(JR.ANCESTOR_CONTEXT_HEADER) === 0) {
+      var start = Math.max(body.lastIndexOf("\n\n" + PART_PREFIX), body.lastIndexOf("\n\nRegarding your entire response"));
+      if (start > 0) body = body.slice(start + 2);
+    }
+
+    var whole = WHOLE_RE.exec(body);
+    if (whole) {
+      var rest = body.slice(whole[0].length);
+      var fullText = null;
+      var close = rest.charAt(0) === '"' ? rest.lastIndexOf('"\n') : -1;
+      if (close > 0) {
+        fullText = rest.slice(1, close);
+        rest = rest.slice(close + 1);
+      }
+      return {
+        text: fullText ? JR.truncateText(fullText.trim(), WHOLE_TEXT_CHARS) : null,
+        sentence: null,
+        question: rest.trim(),
+        wholeResponse: true,
+      };
+    }
+
+    if (body.indexOf(PART_PREFIX) !== 0) return { text: null, sentence: null, question: body, wholeResponse: false };
+    var part = body.slice(PART_PREFIX.length).trim();
+    var specific = /^"([\s\S]*?)"\s*Specifically: "([\s\S]*?)"\s*\n([\s\S]*)$/.exec(part);
+    if (specific) {
+      return { text: specific[2], sentence: specific[1], question: specific[3].trim(), wholeResponse: false };
+    }
+    var end = part.indexOf('"\n');
+    if (end < 0) end = part.lastIndexOf('"');
+    return {
+      text: end > 0 ? part.slice(1, end) : null,
+      sentence: null,
+      question: end > 0 ? part.slice(end + 1).trim() : part,
+      wholeResponse: false,
+    };
+  }
+
+  /** A quick-action chip's question is stored under its label (src/quick-actions.js). */
+  function storedQuestion(question) {
+    var actions = JR.quickActions();
+    for (var i = 0; i < actions.length; i++) {
+      if (actions[i].question === question) return actions[i].label;
+    }
+    return question;
+  }
+
+  function normalize(text) {
+    return (text || "").replace(/\s+/g, " ").trim();
+  }
+
+  function responseHTMLOf(turn) {
+    var content = turn ? turn.querySelector(S.responseContent) : null;
+    return content ? JR.sanitizeResponseHTML(content.innerHTML) : "__TIMEOUT__";
+  }
+
+  /**
+   * Every marked question in the conversation with the response after it:
+   * [{ quoteId, version, parentId, parentVersion, question, response, parsed }]
+   */
+  function findMarkedPairs(turns) {
+    var pairs = [];
+    for (var i = 0; i < turns.length; i++) {
+      if (JR.site.turnRole(turns[i]) !== "user") continue;
+      var body = JR.site.userText(turns[i]);
+      var m = MARKER_RE.exec(body);
+      if (!m) continue;
+      var next = turns[i + 1] && JR.site.isAssistantTurn(turns[i + 1]) ? turns[i + 1] : null;
+      pairs.push({
+        quoteId: m[1],
+        version: parseInt(m[2], 10),
+        parentId: m[3] || null,
+        parentVersion: m[4] ? parseInt(m[4], 10) : 0,
+        question: turns[i],
+        response: next,
+        parsed: parseQuestion(body.slice(0, m.index)),
+      });
+    }
+    return pairs;
+  }
+
+  /**
+   * The response a level-1 quote came from: the nearest earlier assistant
+   * turn that isn't itself a popup answer and contains the quote.
+   */
+  function findSourceTurn(turns, questionTurn, text, popupTurns) {
+    var needle = normalize(text);
+    if (!needle) return null;
+    for (var i = turns.indexOf(questionTurn) - 1; i >= 0; i--) {
+      if (popupTurns.has(turns[i]) || !JR.site.isAssistantTurn(turns[i])) continue;
+      var content = turns[i].querySelector(S.responseContent);
+      if (content && normalize(content.textContent).indexOf(needle) !== -1) return turns[i];
+    }
+    return null;
+  }
+
+  // --- Scan ---
+
+  /**
+   * Turn marked pairs whose highlight has no records into stored versions.
+   * A version asked more than once (a retry) keeps its last pair; the
+   * earlier ones are hidden as deleted turns. Highlights the user deleted
+   * (or whose parent they deleted) stay deleted.
+   * @param {Set<string>} deletedQuoteIds - From getDeletedQuoteIds()
+   * @returns {Promise<number>} how many highlights were rebuilt
+   */
+  async function recoverPairs(turns, records, deletedQuoteIds) {
+    var stored = JR.groupHighlightRecords(records);
+    var pairs = findMarkedPairs(turns);
+    var popupTurns = new Set();
+    var groups = new Map();   // quoteId → Map(version → pair)
+    var superseded = [];
+    for (var p = 0; p < pairs.length; p++) {
+      var pair = pairs[p];
+      popupTurns.add(pair.question);
+      if (pair.response) popupTurns.add(pair.response);
+      if (stored.has(pair.quoteId)) continue;
+      if (deletedQuoteIds.has(pair.quoteId) || (pair.parentId && deletedQuoteIds.has(pair.parentId))) continue;
+      if (!groups.has(pair.quoteId)) groups.set(pair.quoteId, new Map());
+      var versions = groups.get(pair.quoteId);
+      if (versions.has(pair.version)) superseded.push(versions.get(pair.version));
+      versions.set(pair.version, pair);
+    }
+    if (groups.size === 0) return 0;
+
+    // Item ids up front, so children can point at their parent's version
+    var itemIds = new Map();  // "quoteId v2" → item id
+    groups.forEach(function (versions, quoteId) {
+      versions.forEach(function (pair, version) {
+        itemIds.set(quoteId + " v" + version, crypto.randomUUID());
+      });
+    });
+    function parentItemIdOf(pair) {
+      if (!pair.parentId) return null;
+      var recovered = itemIds.get(pair.parentId + " v" + pair.parentVersion);
+      if (recovered) return recovered;
+      var parent = stored.get(pair.parentId);
+      var item = parent ? parent.items[pair.parentVersion - 1] : null;
+      return item ? item.id : null;
+    }
+
+    var url = location.href;
+    var quoteIds = Array.from(groups.keys());
+    for (var q = 0; q < quoteIds.length; q++) {
+      var quoteId = quoteIds[q];
+      var ordered = Array.from(groups.get(quoteId).values()).sort(function (a, b) { return a.version - b.version; });
+      // Edits don't repeat the quote, so take it from whichever version has it
+      var quoted = ordered[0].parsed;
+      for (var o = 0; o < ordered.length && !quoted.text; o++) quoted = ordered[o].parsed;
+      var source = ordered[0].parentId ? null : findSourceTurn(turns, ordered[0].question, quoted.text, popupTurns);
+      var groupQuotes = quoted.groupTexts ? quoted.groupTexts.map(function (text) {
+        // Quotes that were in a popup can't be placed again; they still show in the group's popup
+        var turn = findSourceTurn(turns, ordered[0].question, text, popupTurns);
+        return {
+          text: text, sentence: null, blockTypes: null, parentId: null, parentItemId: null,
+          sourceTurnIndex: turn ? JR.getTurnNumber(turn) : -1, sourceMessageId: JR.getMessageId(turn),
+          quoteSelector: null, positionSelector: null,
+        };
+      }) : null;
+
+      for (var v = 0; v < ordered.length; v++) {
+        var vp = ordered[v];
+        var itemId = itemIds.get(quoteId + " v" + vp.version);
+        var responseHTML = responseHTMLOf(vp.response);
+        await saveHighlight({
+          id: itemId,
+          quoteId: quoteId,
+          text: quoted.text || "",
+          sentence: quoted.sentence,
+          responseHTML: responseHTML,
+          question: storedQuestion(vp.parsed.question),
+          url: url,
+          site: JR.site.id,
+          parentId: vp.parentId,
+          parentItemId: parentItemIdOf(vp),
+          sourceTurnIndex: source ? JR.getTurnNumber(source) : -1,
+          sourceMessageId: JR.getMessageId(source),
+          questionIndex: JR.getTurnNumber(vp.question),
+          responseIndex: vp.response ? JR.getTurnNumber(vp.response) : -1,
+          questionMessageId: JR.getMessageId(vp.question),
+          responseMessageId: JR.getMessageId(vp.response),
+          active: true,
+          wholeResponse: quoted.wholeResponse,
+          groupQuotes: groupQuotes,
+        });
+        if (responseHTML !== "__TIMEOUT__") JR.cacheItemImages(itemId, responseHTML);
+      }
+    }
+
+    var staleTurns = [];
+    for (var s = 0; s < superseded.length; s++) {
+      var old = superseded[s];
+      staleTurns.push(JR.getMessageId(old.question) || JR.getTurnNumber(old.question));
+      if (old.response) staleTurns.push(JR.getMessageId(old.response) || JR.getTurnNumber(old.response));
+    }
+    if (staleTurns.length > 0) await addDeletedTurns(url, staleTurns);
+    return groups.size;
+  }
+
+  var scanTimer = null;
+
+  /**
+   * Look for marked popup turns that storage has no record of, once the
+   * conversation has finished rendering. Called on load and after SPA
+   * navigation, alongside restore.
+   */
+  JR.scanForPopupMarkers = function () {
+    if (scanTimer) clearTimeout(scanTimer);
+    var url = location.href;
+    var attempts = 0;
+    var lastCount = -1;
+
+    function tick() {
+      scanTimer = null;
+      if (location.href !== url) return;
+      var turns = Array.prototype.slice.call(document.querySelectorAll(S.turn));
+      // Wait until the turn list stops growing and nothing is streaming
+      var settled = turns.length > 0 && turns.length === lastCount && !JR.isGenerating();
+      lastCount = turns.length;
+      if (!settled) {
+        if (++attempts < SCAN_MAX_ATTEMPTS) scanTimer = setTimeout(tick, SCAN_INTERVAL_MS);
+        return;
+      }
+      Promise.all([getHighlightsByUrl(url), getDeletedQuoteIds()]).then(function (results) {
+        return recoverPairs(turns, results[0], results[1]);
+      }).then(function (count) {
+        if (!count || location.href !== url) return;
+        JR.refreshEarlyHideStyle();
+        JR.restoreHighlights();
+      }).catch(function (e) {
+        console.warn("[JR] marker recovery failed:", e);
+      });
+    }
+
+    scanTimer = setTimeout(tick, SCAN_INTERVAL_MS);
+  };
+})();
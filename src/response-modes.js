@@ -0,0 +1,84 @@
+// response-modes.js — Response modes for popup questions (Detailed, Concise,
+// and any the user adds in Settings).
+// Loaded by options.html (editing the list) and as a content script (the send
+// mode dropdown and every path that sends a popup question).
+//
+// A mode's instruction goes where the message template puts {mode}, or at the
+// end as its own paragraph (src/message-templates.js).
+// Modes are stored in chrome.storage.local (RESPONSE_MODES_KEY) in menu order:
+//   [{ id: "concise", label: "Concise", instruction: "(For this response only: …)" }, ...]
+// The last mode used to send is kept under LAST_RESPONSE_MODE_KEY.
+
+const RESPONSE_MODES_KEY = "jumpreturn_response_modes";
+const LAST_RESPONSE_MODE_KEY = "jumpreturn_last_response_mode";
+
+const DEFAULT_RESPONSE_MODES = [
+  {
+    id: "medium",
+    label: "Detailed",
+    instruction: "(For this response only: give a clear, focused response \u2014 medium length, not too short, not too long. Cover what matters without over-explaining. Use formatting only if it genuinely helps. After this response, return to your normal response length and disregard this length instruction entirely.)",
+  },
+  {
+    id: "concise",
+    label: "Concise",
+    instruction: "(For this response only: please keep it brief \u2014 2-3 sentences. After this response, return to your normal response length and disregard the above brevity instruction entirely.)",
+  },
+];
+
+/** Starting points offered by "Add mode" in Settings. */
+const RESPONSE_MODE_PRESETS = [
+  {
+    label: "ELI5",
+    instruction: "(For this response only: explain it like I\u2019m five \u2014 simple words, one everyday analogy, no jargon. After this response, return to your normal style and disregard this instruction entirely.)",
+  },
+  {
+    label: "Give an example",
+    instruction: "(For this response only: answer mainly with one concrete, worked example, then a sentence on what it shows. After this response, return to your normal style and disregard this instruction entirely.)",
+  },
+  {
+    label: "Code only",
+    instruction: "(For this response only: reply with code only \u2014 a single code block, comments for anything that needs explaining, no prose. After this response, return to your normal style and disregard this instruction entirely.)",
+  },
+  {
+    label: "Counter-argument",
+    instruction: "(For this response only: make the strongest case against the quoted point, then say briefly where it still holds. After this response, return to your normal style and disregard this instruction entirely.)",
+  },
+];
+
+/**
+ * Stored modes, or the defaults if none are saved (or the list was emptied).
+ * @returns {Promise<Array<{id: string, label: string, instruction: string}>>}
+ */
+async function getResponseModes() {
+  var result = await chrome.storage.local.get(RESPONSE_MODES_KEY);
+  return normalizeResponseModes(result[RESPONSE_MODES_KEY]);
+}
+
+/** Drop malformed entries; fall back to the defaults when nothing is left. */
+function normalizeResponseModes(modes) {
+  var out = [];
+  if (Array.isArray(modes)) {
+    for (var i = 0; i < modes.length; i++) {
+      var m = modes[i];
+      if (!m || !m.id || !String(m.label || "").trim()) continue;
+      out.push({ id: String(m.id), label: String(m.label).trim(), instruction: String(m.instruction || "").trim() });
+    }
+  }
+  return out.length > 0 ? out : DEFAULT_RESPONSE_MODES.slice();
+}
+
+/**
+ * Remove a mode instruction from the end of a sent message, if it ends with
+ * one of `modes`.
+ * @returns {string}
+ */
+function stripModeInstruction(message, modes) {
+  var text = String(message || "").replace(/\s+$/, "");
+  for (var i = 0; i < modes.length; i++) {
+    var instruction = modes[i].instruction;
+    if (instruction && text.length > instruction.length && text.slice(-instruction.length) === instruction) {
+      return text.slice(0, -instruction.length).replace(/\s+$/, "");
+    }
+  }
+  return text;
+}
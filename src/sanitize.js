@@ -0,0 +1,223 @@
+// sanitize.js — Allowlist sanitizer for stored response HTML
+//
+// Saved responseHTML can come from an imported backup or a hand-edited
+// database, so it is never trusted: it goes through here when a response is
+// captured and again whenever it is written into the page.
+(function () {
+  "use strict";
+
+  var HTML_NS = "http://www.w3.org/1999/xhtml";
+  var SVG_NS = "http://www.w3.org/2000/svg";
+  var MATH_NS = "http://www.w3.org/1998/Math/MathML";
+
+  // Markdown structure, code blocks (including ChatGPT's toolbar markup that
+  // rebuildCodeBlocks reads) and images
+  var HTML_TAGS = new Set([
+    "p", "br", "hr", "h1", "h2", "h3", "h4", "h5", "h6", "div", "span",
+    "strong", "b", "em", "i", "u", "s", "del", "ins", "sub", "sup", "mark",
+    "small", "abbr", "cite", "q", "time", "code", "pre", "kbd", "samp", "var",
+    "blockquote", "ul", "ol", "li", "dl", "dt", "dd",
+    "table", "caption", "colgroup", "col", "thead", "tbody", "tfoot", "tr", "th", "td",
+    "a", "img", "figure", "figcaption", "details", "summary", "button",
+  ]);
+
+  // KaTeX: MathML for semantics, SVG for stretchy glyphs
+  var MATH_TAGS = new Set([
+    "math", "semantics", "annotation", "mrow", "mi", "mo", "mn", "ms", "mtext",
+    "mspace", "msup", "msub", "msubsup", "mfrac", "msqrt", "mroot", "mover",
+    "munder", "munderover", "mtable", "mtr", "mtd", "mstyle", "mpadded",
+    "mphantom", "menclose",
+  ]);
+  var SVG_TAGS = new Set([
+    "svg", "g", "path", "line", "rect", "circle", "ellipse", "polyline", "polygon",
+  ]);
+
+  // Removed together with their content; anything else unknown is unwrapped
+  var DROP_TAGS = new Set([
+    "script", "style", "noscript", "template", "iframe", "frame", "frameset",
+    "object", "embed", "applet", "link", "meta", "base", "title", "input",
+    "textarea", "select", "option", "foreignobject", "annotation-xml",
+  ]);
+
+  // MathML elements that may hold HTML children (text integration points)
+  var MATH_TEXT_TAGS = new Set(["mi", "mo", "mn", "ms", "mtext"]);
+
+  var GLOBAL_ATTRS = new Set(["class", "title", "lang", "dir", "role", "style"]);
+  var TAG_ATTRS = {
+    a: ["href", "target", "rel"],
+    img: ["src", "alt", "width", "height", "loading"],
+    ol: ["start", "reversed", "type"],
+    li: ["value"],
+    th: ["colspan", "rowspan", "scope", "align"],
+    td: ["colspan", "rowspan", "align"],
+    col: ["span"],
+    colgroup: ["span"],
+    time: ["datetime"],
+    details: ["open"],
+    button: ["type"],
+  };
+  var MATH_ATTRS = new Set([
+    "xmlns", "display", "encoding", "mathvariant", "stretchy", "fence", "separator",
+    "lspace", "rspace", "accent", "accentunder", "columnalign", "rowspacing",
+    "columnspacing", "width", "height", "depth", "minsize", "maxsize",
+    "movablelimits", "linethickness", "scriptlevel", "displaystyle", "notation",
+  ]);
+  var SVG_ATTRS = new Set([
+    "xmlns", "viewbox", "width", "height", "preserveaspectratio", "d", "fill",
+    "stroke", "stroke-width", "stroke-linecap", "stroke-linejoin", "transform",
+    "x", "y", "x1", "y1", "x2", "y2", "cx", "cy", "r", "rx", "ry", "points",
+  ]);
+
+  // Page markup that must not be replayed from stored HTML: our own state
+  // (spans, ids, marks) and ChatGPT's turn/message identifiers, which the
+  // content script's selectors would otherwise match inside a popup
+  var PAGE_DATA_ATTRS = new Set(["data-message-id", "data-testid"]);
+  var OWN_CLASS_RE = /^jr-/;
+  // The one data-jr-* attribute kept: src/image-cache.js's hash of an <img>'s
+  // stored copy, which only ever resolves to a blob: URL from the worker
+  var IMAGE_HASH_ATTR = "data-jr-image";
+  var IMAGE_HASH_RE = /^[0-9a-f]{64}$/;
+
+  var URL_ATTRS = new Set(["href", "src", "data-src"]);
+  var LINK_SCHEMES = ["http", "https", "mailto"];
+  var IMAGE_SCHEMES = ["http", "https", "blob"];
+
+  /**
+   * Is a URL safe to keep? Relative URLs are; absolute ones need an allowed
+   * scheme. data: is only allowed for raster/SVG images in img src.
+   */
+  function isSafeURL(value, forImage) {
+    var url = value.replace(/[\u0000- \u007F-\u009F]/g, "");
+    var scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return true;
+    scheme = scheme[1].toLowerCase();
+    if (forImage && scheme === "data") return /^data:image\/[a-z0-9.+-]+[;,]/i.test(url);
+    return (forImage ? IMAGE_SCHEMES : LINK_SCHEMES).indexOf(scheme) !== -1;
+  }
+
+  /**
+   * Keep only declarations that can't fetch anything or escape the popup
+   * (KaTeX sizes and positions its glyphs with inline styles).
+   */
+  function cleanStyle(style) {
+    return style.split(";").filter(function (decl) {
+      var prop = decl.split(":")[0].trim().toLowerCase();
+      if (!prop) return false;
+      if (prop === "position" || prop === "behavior" || prop === "-moz-binding") return false;
+      return !/url\s*\(|expression\s*\(|@import|\\/i.test(decl);
+    }).join(";");
+  }
+
+  /** Drop our own jr-* class tokens; a stored copy must not look live. */
+  function cleanClass(value) {
+    return value.split(/\s+/).filter(function (token) {
+      return token && !OWN_CLASS_RE.test(token);
+    }).join(" ");
+  }
+
+  function isAllowedAttr(ns, tag, name) {
+    if (/^on/i.test(name)) return false;
+    if (/^data-jr-/.test(name) || PAGE_DATA_ATTRS.has(name)) return false;
+    if (ns === MATH_NS) return MATH_ATTRS.has(name) || GLOBAL_ATTRS.has(name);
+    if (ns === SVG_NS) return SVG_ATTRS.has(name) || name === "class" || name === "aria-hidden";
+    if (GLOBAL_ATTRS.has(name)) return true;
+    if (/^aria-[a-z]+$/.test(name) || /^data-[a-z0-9-]+$/.test(name)) return true;
+    return !!(TAG_ATTRS[tag] && TAG_ATTRS[tag].indexOf(name) !== -1);
+  }
+
+  function cleanAttributes(el, ns, tag) {
+    for (var i = el.attributes.length - 1; i >= 0; i--) {
+      var name = el.attributes[i].name.toLowerCase();
+      var value = el.attributes[i].value;
+      var keep = isAllowedAttr(ns, tag, name);
+      if (!keep && name === IMAGE_HASH_ATTR && tag === "img") keep = IMAGE_HASH_RE.test(value);
+      if (keep && URL_ATTRS.has(name)) keep = isSafeURL(value, tag === "img");
+      if (keep && name === "class") {
+        value = cleanClass(value);
+        if (value) el.setAttribute("class", value);
+        else keep = false;
+      }
+      if (keep && name === "style") {
+        value = cleanStyle(value);
+        if (value) el.setAttribute("style", value);
+        else keep = false;
+      }
+      if (!keep) el.removeAttribute(el.attributes[i].name);
+    }
+  }
+
+  /**
+   * Is the element allowed where it sits? Checks the namespace against its
+   * parent too, so markup that reparses differently (mXSS) is dropped.
+   */
+  function isAllowedElement(el, ns, tag) {
+    var parent = el.parentNode;
+    var parentNs = parent && parent.namespaceURI;
+    if (ns === HTML_NS) {
+      if (parentNs === SVG_NS) return false;
+      if (parentNs === MATH_NS && !MATH_TEXT_TAGS.has(parent.localName)) return false;
+      return HTML_TAGS.has(tag);
+    }
+    var rootTag = ns === MATH_NS ? "math" : "svg";
+    var inRoot = tag === rootTag ? parentNs === HTML_NS : parentNs === ns;
+    if (ns === MATH_NS) return MATH_TAGS.has(tag) && inRoot;
+    if (ns === SVG_NS) return SVG_TAGS.has(tag) && inRoot;
+    return false;
+  }
+
+  function sanitizeChildren(parent) {
+    var children = Array.prototype.slice.call(parent.childNodes);
+    for (var i = 0; i < children.length; i++) {
+      var node = children[i];
+      if (node.nodeType === Node.TEXT_NODE) continue;
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();  // comments, processing instructions
+        continue;
+      }
+      var ns = node.namespaceURI;
+      var tag = node.localName.toLowerCase();
+      if (DROP_TAGS.has(tag)) {
+        node.remove();
+        continue;
+      }
+      sanitizeChildren(node);
+      if (!isAllowedElement(node, ns, tag)) {
+        // Unknown HTML wrapper: keep its (already cleaned) content
+        if (ns === HTML_NS && parent.namespaceURI === HTML_NS) {
+          while (node.firstChild) parent.insertBefore(node.firstChild, node);
+        }
+        node.remove();
+        continue;
+      }
+      cleanAttributes(node, ns, tag);
+    }
+  }
+
+  /**
+   * Parse response HTML in an inert document (no scripts run, no images load)
+   * and return its sanitized <body>.
+   * @param {string} html
+   * @returns {HTMLElement}
+   */
+  JR.parseResponseHTML = function (html) {
+    var body = new DOMParser().parseFromString(String(html || ""), "text/html").body;
+    sanitizeChildren(body);
+    return body;
+  };
+
+  /**
+   * Sanitize response HTML against the allowlist above.
+   * @param {string} html
+   * @returns {string}
+   */
+  JR.sanitizeResponseHTML = function (html) {
+    if (!html) return html;
+    return JR.parseResponseHTML(html).innerHTML;
+  };
+
+  /** Sanitize an element's subtree in place (e.g. a clone of a live turn). */
+  JR.sanitizeElement = function (root) {
+    sanitizeChildren(root);
+    return root;
+  };
+})();
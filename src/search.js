@@ -33,13 +33,12 @@
 
   /**
    * Strip HTML to plain text (cached per item id).
-   * Runs rebuildCodeBlocks on the temp div so the extracted text matches
+   * Runs rebuildCodeBlocks on a sanitized, inert copy so the extracted text matches
    * what the popup DOM actually contains (toolbar text stripped, etc.).
    */
   function stripHTML(html, cacheKey) {
     if (cacheKey && textCache[cacheKey]) return textCache[cacheKey];
-    var div = document.createElement("div");
-    div.innerHTML = html;
+    var div = JR.parseResponseHTML(html);
     if (JR.wireCopyButtons) JR.wireCopyButtons(div);
     var text = div.textContent || "";
     if (cacheKey) textCache[cacheKey] = text;
@@ -95,9 +94,10 @@
     // Add storage-only entries (grouped by quoteId)
     if (storageHighlights) {
       var byQuote = {};
+      var convKey = conversationKeyForUrl(location.href);
       for (var i = 0; i < storageHighlights.length; i++) {
         var h = storageHighlights[i];
-        if (h.url !== location.href) continue;
+        if (h.conversationId !== convKey) continue;
         var qid = h.quoteId;
         if (!byQuote[qid]) byQuote[qid] = [];
         byQuote[qid].push(h);
@@ -124,7 +124,7 @@
           question: items[activeIdx].question,
           spans: [],
           items: items.map(function (it) {
-            return { id: it.id, question: it.question, responseHTML: it.responseHTML, questionIndex: it.questionIndex, responseIndex: it.responseIndex };
+            return { id: it.id, question: it.question, responseHTML: it.responseHTML, questionIndex: it.questionIndex, responseIndex: it.responseIndex, questionMessageId: it.questionMessageId || null, responseMessageId: it.responseMessageId || null };
           }),
           activeItemIndex: activeIdx,
           wholeResponse: !!items[0].wholeResponse,
@@ -247,7 +247,7 @@
     }
 
     // Walk turns in DOM order
-    var turns = document.querySelectorAll(S.aiTurn);
+    var turns = document.querySelectorAll(S.turn);
 
     for (var ti = 0; ti < turns.length; ti++) {
       var turn = turns[ti];
@@ -271,7 +271,7 @@
       st.completedHighlights.forEach(function (entry, id) {
         if (entry.parentId || entry._jrTemp) return;
         if (!entry.spans || entry.spans.length === 0 || !entry.spans[0].isConnected) return;
-        var hlTurn = entry.spans[0].closest(S.aiTurn);
+        var hlTurn = entry.spans[0].closest(S.turn);
         if (hlTurn !== turn) return;
         var charOff = charOffsetOf(entry.spans[0], markdown);
         hlsInTurn.push({ charOffset: charOff, quoteId: id, entry: entry });
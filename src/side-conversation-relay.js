@@ -0,0 +1,161 @@
+// side-conversation-relay.js — Routes popup questions to a companion chat (the
+// "side conversation") open in a background tab, so tangents stay out of the
+// main conversation's context. Loaded into background.js with importScripts;
+// the page side is src/side-conversation.js.
+//
+// The main tab sends { type: "jr-side-ask" }. The worker finds or opens the
+// side tab, hands it { type: "jr-side-run" }, and relays each
+// { type: "jr-side-progress" } the side tab reports back to the main tab as
+// { type: "jr-side-answer" }. Everything the relay needs travels with the
+// messages, so a worker restart mid-answer doesn't strand it.
+//
+// chrome.storage.local (SIDE_LINKS_KEY) links each main conversation to its
+// side conversation, so later popups reuse it:
+//   { [mainConversationId]: { url, seeded: [sourceKey, ...] } }
+// `url` is null until the side chat's first answer gives it one; `seeded`
+// lists the source responses already pasted into it.
+
+const SIDE_CHAT_KEY = "jumpreturn_side_chat";    // { enabled } — set on the options page
+const SIDE_LINKS_KEY = "jumpreturn_side_links";
+const SIDE_TAB_READY_MS = 30000;
+
+var sideTabIds = new Map();     // mainConversationId → id of its open side tab
+var sideAskChains = new Map();  // mainConversationId → Promise; asks are delivered in order
+var sideSeedsSent = new Map();  // mainConversationId → Set of seedKeys delivered; dropped again if that run fails
+var sideLinkWrites = Promise.resolve();
+
+async function getSideLinks() {
+  var result = await chrome.storage.local.get(SIDE_LINKS_KEY);
+  return result[SIDE_LINKS_KEY] || {};
+}
+
+/** Read-modify-write one link; writes are queued so they can't overwrite each other. */
+function updateSideLink(mainConversationId, update) {
+  sideLinkWrites = sideLinkWrites.then(async function () {
+    var links = await getSideLinks();
+    var link = links[mainConversationId] || { url: null, seeded: [] };
+    update(link);
+    links[mainConversationId] = link;
+    await chrome.storage.local.set({ [SIDE_LINKS_KEY]: links });
+  }).catch(function (e) {
+    console.warn("[JR] side conversation link update failed:", e);
+  });
+  return sideLinkWrites;
+}
+
+/**
+ * The question as sent to the side chat. The first question about a source
+ * response carries that response, so the side chat knows what "your
+ * response" refers to.
+ */
+function seededSideMessage(req, link) {
+  if (!req.seedText || (link && link.seeded.indexOf(req.seedKey) !== -1)) return req.message;
+  // Already on its way with an earlier question that hasn't been answered yet
+  var sent = sideSeedsSent.get(req.conversationId);
+  if (sent && sent.has(req.seedKey)) return req.message;
+  return "Here is a response you wrote in another conversation. I\u2019ll ask follow-up questions about it.\n\n" +
+    '"""\n' + req.seedText + '\n"""\n\n' + req.message;
+}
+
+/** The side tab for a main conversation: already open, found by URL, or opened in the background. */
+async function findSideTab(req, link, originTab) {
+  var tabId = sideTabIds.get(req.conversationId);
+  if (tabId != null) {
+    try {
+      await chrome.tabs.get(tabId);
+      return tabId;
+    } catch (e) {
+      sideTabIds.delete(req.conversationId);
+    }
+  }
+  if (link && link.url) {
+    var open = await chrome.tabs.query({ url: link.url.split(/[?#]/)[0] + "*" });
+    if (open.length > 0) {
+      sideTabIds.set(req.conversationId, open[0].id);
+      return open[0].id;
+    }
+  }
+  var tab = await chrome.tabs.create({
+    url: link && link.url ? link.url : req.newChatUrl,
+    active: false,
+    index: originTab.index + 1,
+    openerTabId: originTab.id,
+  });
+  sideTabIds.set(req.conversationId, tab.id);
+  return tab.id;
+}
+
+/** Hand a question to the side tab, retrying until its content script is listening. */
+async function deliverSideRun(tabId, run) {
+  var deadline = Date.now() + SIDE_TAB_READY_MS;
+  for (;;) {
+    try {
+      var res = await chrome.tabs.sendMessage(tabId, run);
+      if (res && res.accepted) return;
+    } catch (e) {
+      // Content script not loaded yet
+    }
+    if (Date.now() > deadline) throw new Error("the side conversation tab didn\u2019t load");
+    await new Promise(function (resolve) { setTimeout(resolve, 500); });
+  }
+}
+
+function sendSideAnswer(originTabId, fields) {
+  fields.type = "jr-side-answer";
+  chrome.tabs.sendMessage(originTabId, fields).catch(function () { /* main tab closed */ });
+}
+
+/**
+ * Route a main tab's popup question to its side conversation.
+ * @param {object} req - { requestId, conversationId, newChatUrl, message, seedKey, seedText }
+ * @param {chrome.tabs.Tab} originTab
+ */
+function askSideConversation(req, originTab) {
+  var prev = sideAskChains.get(req.conversationId) || Promise.resolve();
+  var seeding = false;
+  var next = prev.then(async function () {
+    var link = (await getSideLinks())[req.conversationId] || null;
+    var message = seededSideMessage(req, link);
+    seeding = message !== req.message;
+    if (seeding) seedSent(req.conversationId, req.seedKey, true);
+    var tabId = await findSideTab(req, link, originTab);
+    await deliverSideRun(tabId, {
+      type: "jr-side-run",
+      requestId: req.requestId,
+      originTabId: originTab.id,
+      mainConversationId: req.conversationId,
+      message: message,
+      // Marked seeded by relaySideProgress, once this run is answered
+      seedKey: seeding ? req.seedKey : null,
+    });
+  }).catch(function (e) {
+    if (seeding) seedSent(req.conversationId, req.seedKey, false);
+    sendSideAnswer(originTab.id, { requestId: req.requestId, done: true, error: String(e && e.message || e) });
+  });
+  sideAskChains.set(req.conversationId, next);
+}
+
+/** Note a seed as delivered, or forget it when its run failed (the next question re-sends it). */
+function seedSent(mainConversationId, seedKey, sent) {
+  var keys = sideSeedsSent.get(mainConversationId);
+  if (!keys) sideSeedsSent.set(mainConversationId, keys = new Set());
+  if (sent) keys.add(seedKey);
+  else keys.delete(seedKey);
+}
+
+/**
+ * Forward a side tab's progress to the main tab; a finished answer also
+ * records the side chat's URL (a new chat only gets one once it's answered)
+ * and, if the run carried the source response, that the chat now has it.
+ * @param {object} msg - { requestId, originTabId, mainConversationId, seedKey, html, done, error, url }
+ */
+function relaySideProgress(msg) {
+  if (msg.done && !msg.error && (msg.url || msg.seedKey)) {
+    updateSideLink(msg.mainConversationId, function (l) {
+      if (msg.url) l.url = msg.url;
+      if (msg.seedKey && l.seeded.indexOf(msg.seedKey) === -1) l.seeded.push(msg.seedKey);
+    });
+  }
+  if (msg.done && msg.error && msg.seedKey) seedSent(msg.mainConversationId, msg.seedKey, false);
+  sendSideAnswer(msg.originTabId, { requestId: msg.requestId, html: msg.html, done: !!msg.done, error: msg.error || null });
+}
@@ -0,0 +1,156 @@
+// side-conversation.js — Side conversations (page side; the worker half is
+// src/side-conversation-relay.js).
+//
+// With side conversations on (Settings), popup questions are asked in a
+// companion chat open in a background tab instead of the main thread, so the
+// main conversation's context never sees them. This file plays both parts:
+//   - main tab: JR.askViaSideChat sends the question and the source response
+//     it's about, then shows the relayed answer like any other direct answer
+//     (JR.startDirectAnswer)
+//   - side tab: runs relayed questions through the chat input one at a time
+//     and reports the response as it streams
+(function () {
+  "use strict";
+
+  var S = JR.SELECTORS;
+  var st = JR.state;
+
+  var SIDE_CHAT_KEY = "jumpreturn_side_chat";
+  var SIDE_READY_MS = 30000;          // wait for the input / a previous answer
+  var SIDE_SEND_MS = 10000;           // wait for the send button to enable
+  var SIDE_ANSWER_MS = 100000;        // wait for the response to finish
+  var PROGRESS_INTERVAL_MS = 250;
+
+  var enabled = false;
+
+  function applySettings(settings) {
+    enabled = !!(settings && settings.enabled);
+  }
+
+  chrome.storage.local.get(SIDE_CHAT_KEY, function (result) {
+    applySettings(result[SIDE_CHAT_KEY]);
+  });
+
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area === "local" && changes[SIDE_CHAT_KEY]) applySettings(changes[SIDE_CHAT_KEY].newValue);
+  });
+
+  /** True when popup questions should go to a side conversation. */
+  JR.sideChatEnabled = function () {
+    return enabled;
+  };
+
+  // --- Main tab ---
+
+  var pendingAnswers = new Map();  // requestId → JR.startDirectAnswer handle
+
+  /**
+   * Ask a popup question in this conversation's side chat. Takes the same
+   * options as JR.enqueueMessage.
+   * @returns {boolean} false if it can't (a new chat has no id to link the
+   *   side chat to yet), so the caller sends it to the main chat
+   */
+  JR.askViaSideChat = function (opts) {
+    var conversationId = conversationIdFromUrl(location.href);
+    if (!conversationId) return false;
+    var answer = JR.startDirectAnswer(opts);
+    if (!answer) return true;
+
+    var requestId = crypto.randomUUID();
+    pendingAnswers.set(requestId, answer);
+    var source = JR.sourceResponseText(st.completedHighlights.get(answer.hlId));
+    chrome.runtime.sendMessage({
+      type: "jr-side-ask",
+      requestId: requestId,
+      conversationId: conversationId,
+      newChatUrl: location.origin + JR.site.newChatPath,
+      message: opts.message,
+      seedKey: source ? source.key : null,
+      seedText: source ? source.text : null,
+    }).catch(function (e) {
+      pendingAnswers.delete(requestId);
+      answer.finish(null, e.message);
+    });
+    return true;
+  };
+
+  function onSideAnswer(msg) {
+    var answer = pendingAnswers.get(msg.requestId);
+    if (!answer) return;
+    if (msg.done) {
+      pendingAnswers.delete(msg.requestId);
+      answer.finish(msg.html, msg.error);
+    } else {
+      answer.show(msg.html);
+    }
+  }
+
+  // --- Side tab ---
+
+  var runChain = Promise.resolve();
+
+  function responseHTMLOf(turn) {
+    var content = turn.querySelector(S.responseContent);
+    return content ? JR.sanitizeResponseHTML(content.innerHTML) : "";
+  }
+
+  /** Send one relayed question and report its response until it's done. */
+  async function runSideQuestion(run) {
+    function report(fields) {
+      fields.type = "jr-side-progress";
+      fields.requestId = run.requestId;
+      fields.originTabId = run.originTabId;
+      fields.mainConversationId = run.mainConversationId;
+      fields.seedKey = run.seedKey || null;
+      chrome.runtime.sendMessage(fields).catch(function () { /* extension reloaded */ });
+    }
+
+    try {
+      var input = await JR.waitFor(function () {
+        return !JR.isGenerating() && document.querySelector(S.chatInput);
+      }, SIDE_READY_MS, "the chat input");
+      var turnsBefore = document.querySelectorAll(S.turn).length;
+      input.focus({ preventScroll: true });
+      JR.site.insertText(input, run.message);
+
+      var sendBtn = await JR.waitFor(function () {
+        var btn = JR.findSendButton();
+        return btn && !btn.disabled ? btn : null;
+      }, SIDE_SEND_MS, "the send button");
+      sendBtn.click();
+
+      var lastHTML = "";
+      var lastSent = 0;
+      var turn = await JR.waitFor(function () {
+        var turns = document.querySelectorAll(S.turn);
+        var found = null;
+        for (var i = turnsBefore; i < turns.length && !found; i++) {
+          if (JR.site.isAssistantTurn(turns[i])) found = turns[i];
+        }
+        if (!found) return null;
+        var html = responseHTMLOf(found);
+        if (html && !JR.isGenerating()) return found;
+        if (html && html !== lastHTML && Date.now() - lastSent >= PROGRESS_INTERVAL_MS) {
+          lastHTML = html;
+          lastSent = Date.now();
+          report({ html: html });
+        }
+        return null;
+      }, SIDE_ANSWER_MS, "the response");
+      report({ html: responseHTMLOf(turn), done: true, url: location.href });
+    } catch (e) {
+      report({ done: true, error: e.message });
+    }
+  }
+
+  chrome.runtime.onMessage.addListener(function (msg, sender, sendResponse) {
+    if (!msg) return false;
+    if (msg.type === "jr-side-answer") {
+      onSideAnswer(msg);
+    } else if (msg.type === "jr-side-run") {
+      runChain = runChain.then(function () { return runSideQuestion(msg); });
+      sendResponse({ accepted: true });
+    }
+    return false;
+  });
+})();
@@ -0,0 +1,63 @@
+// site-adapters.js — Registry of chat-site adapters, chosen by host.
+// Plain globals (no JR namespace) because early-hide.js needs the adapter at
+// document_start, before jr-namespace.js exists. Each adapter lives in
+// src/adapters/<site>.js and registers itself with registerSiteAdapter().
+//
+// An adapter describes one chat UI's DOM; shared code reaches the page only
+// through it (JR.site, JR.SELECTORS):
+//
+//   id            "chatgpt" — also the `site` value stored on records
+//   name          Display name ("ChatGPT") for exports and messages
+//   hosts         Hostnames it runs on
+//   newChatPath   Path that opens a new, empty conversation ("/")
+//   selfHosted    True for an adapter with no fixed hosts, injected only on
+//                 origins the user added (see src/custom-hosts.js); optional
+//   selectors     { turn, responseContent, chatInput, sendButton, stopButton,
+//                   citationPill, codeBlockWrapper } — CSS selectors;
+//                   citationPill and codeBlockWrapper may be null
+//   isAssistantTurn(turn)      True for a turn holding an AI response
+//   turnRole(turn)             "user" | "assistant" | null
+//   userText(turn)             Plain text of a user turn's message
+//   turnNumber(turn)           Position number of a turn, or -1
+//   messageId(turn)            Stable id of the turn's message, or null
+//   turnSelector(ref)          CSS selector for a turn by message id (string)
+//                              or turn number (number); null if unsupported
+//   isGenerating()             True while the site is streaming a response
+//   findSendButton()           The enabled-or-not send button, or null
+//   insertText(input, text)    Put text into the chat input as if typed/pasted
+//   hideInputCSS(input)        CSS that hides injected text while it is sent
+//   isDarkTheme()              The site's current theme
+//   nativeAskButtonText        Label of the site's own "ask about selection"
+//                              button, which gets a dismiss control; or null
+
+var SITE_ADAPTERS = [];
+
+/**
+ * Add an adapter to the registry. Registering the same id again replaces it.
+ * @param {object} adapter - See the interface above
+ */
+function registerSiteAdapter(adapter) {
+  for (var i = 0; i < SITE_ADAPTERS.length; i++) {
+    if (SITE_ADAPTERS[i].id === adapter.id) {
+      SITE_ADAPTERS[i] = adapter;
+      return;
+    }
+  }
+  SITE_ADAPTERS.push(adapter);
+}
+
+/**
+ * The adapter for a hostname.
+ * @param {string} hostname - e.g. location.hostname
+ * @returns {object|null}
+ */
+function siteAdapterForHost(hostname) {
+  for (var i = 0; i < SITE_ADAPTERS.length; i++) {
+    if (SITE_ADAPTERS[i].hosts.indexOf(hostname) !== -1) return SITE_ADAPTERS[i];
+  }
+  // Self-hosted adapters are only loaded on hosts the user added for them
+  for (var j = 0; j < SITE_ADAPTERS.length; j++) {
+    if (SITE_ADAPTERS[j].selfHosted) return SITE_ADAPTERS[j];
+  }
+  return null;
+}
@@ -3,12 +3,13 @@
   "use strict";
 
   var S = JR.SELECTORS;
+  var st = JR.state;
   var BLOCK_TAGS = JR.BLOCK_TAGS;
   var SENTENCE_TERMINATORS = JR.SENTENCE_TERMINATORS;
 
   /**
    * Walk a block element's DOM tree and extract its text content,
-   * recording the positions of citation pill elements (data-testid="webpage-citation-pill").
+   * recording the positions of citation pill elements (S.citationPill).
    * Returns { text: string, pills: [{start, end}], bolds: [{start, end}] }.
    */
   JR.extractBlockText = function (node) {
@@ -29,7 +30,7 @@
       }
       if (n.nodeType !== Node.ELEMENT_NODE) return;
       // Citation pill — capture as a unit, record position
-      if (n.getAttribute && n.getAttribute("data-testid") === "webpage-citation-pill") {
+      if (S.citationPill && n.matches(S.citationPill)) {
         var start = raw.length;
         raw += n.textContent;
         pills.push({ start: start, end: raw.length });
@@ -443,36 +444,71 @@
   };
 
   /**
-   * Check if a text node is inside a ChatGPT code block toolbar
+   * Check if a text node is inside a code block toolbar
    * (the bar with language label, copy, run buttons).
-   * These elements are inside .contain-inline-size but outside <pre>/<code>.
+   * These elements are inside S.codeBlockWrapper but outside <pre>/<code>.
    */
   function isToolbarTextNode(textNode) {
     var parent = textNode.parentElement;
     if (!parent) return false;
     // If inside <pre> or <code>, it's actual code — keep it
     if (parent.closest("pre") || parent.closest("code")) return false;
-    // If inside .contain-inline-size but NOT inside pre/code, it's toolbar
-    if (parent.closest(".contain-inline-size")) return true;
+    // If inside the code block wrapper but NOT inside pre/code, it's toolbar
+    if (S.codeBlockWrapper && parent.closest(S.codeBlockWrapper)) return true;
     return false;
   }
 
-  JR.findTextRange = function (root, searchText) {
-    // Collect text nodes by simple concatenation (no block-boundary markers).
-    function collectTextNodes(walkerRoot, skipFn) {
-      var w = document.createTreeWalker(walkerRoot, NodeFilter.SHOW_TEXT, null);
-      var nodes = [];
-      var fullText = "";
-      var n2;
-      while ((n2 = w.nextNode())) {
-        if (isToolbarTextNode(n2)) continue;
-        if (skipFn && skipFn(n2)) continue;
-        nodes.push({ node: n2, start: fullText.length });
-        fullText += n2.textContent;
+  /**
+   * Collect text nodes by simple concatenation (no block-boundary markers),
+   * skipping code-block toolbar text.
+   * Returns { nodes: [{node, start}], fullText }.
+   */
+  function collectTextNodes(walkerRoot, skipFn) {
+    var w = document.createTreeWalker(walkerRoot, NodeFilter.SHOW_TEXT, null);
+    var nodes = [];
+    var fullText = "";
+    var n2;
+    while ((n2 = w.nextNode())) {
+      if (isToolbarTextNode(n2)) continue;
+      if (skipFn && skipFn(n2)) continue;
+      nodes.push({ node: n2, start: fullText.length });
+      fullText += n2.textContent;
+    }
+    return { nodes: nodes, fullText: fullText };
+  }
+
+  /**
+   * Map [idx, endIdx) offsets in collectTextNodes' fullText back to a DOM Range.
+   */
+  function rangeFromOffsets(nodes, idx, endIdx) {
+    var startNode = null, startOffset = 0;
+    var endNode = null, endOffset = 0;
+
+    for (var i = 0; i < nodes.length; i++) {
+      var nodeStart = nodes[i].start;
+      var nodeEnd = nodeStart + nodes[i].node.textContent.length;
+
+      if (startNode === null && idx < nodeEnd) {
+        startNode = nodes[i].node;
+        startOffset = idx - nodeStart;
+      }
+
+      if (endIdx <= nodeEnd) {
+        endNode = nodes[i].node;
+        endOffset = endIdx - nodeStart;
+        break;
       }
-      return { nodes: nodes, fullText: fullText };
     }
 
+    if (!startNode || !endNode) return null;
+
+    var range = document.createRange();
+    range.setStart(startNode, startOffset);
+    range.setEnd(endNode, endOffset);
+    return range;
+  }
+
+  JR.findTextRange = function (root, searchText) {
     var map = collectTextNodes(root, null);
     var nodes = map.nodes;
     var fullText = map.fullText;
@@ -611,30 +647,256 @@
     }
 
     var endIdx = newlineMatched ? origEnd : idx + searchText.length;
-    var startNode = null, startOffset = 0;
-    var endNode = null, endOffset = 0;
+    return rangeFromOffsets(nodes, idx, endIdx);
+  };
 
-    for (var i = 0; i < nodes.length; i++) {
-      var nodeStart = nodes[i].start;
-      var nodeEnd = nodeStart + nodes[i].node.textContent.length;
+  // ── Quote / position selectors ──────────────────────────────────────
+  // W3C Web Annotation style: a TextQuoteSelector (exact text plus a little
+  // context on either side) and a TextPositionSelector (character offsets),
+  // both measured against collectTextNodes' fullText of the anchor root —
+  // the response's .markdown for main-thread highlights, or the parent
+  // popup's .jr-popup-response for chained ones.
+
+  var CONTEXT_LENGTH = 32;
+  var FUZZY_MIN_SIMILARITY = 0.75;
+  var FUZZY_MAX_CELLS = 4000000; // pattern × text budget for the edit-distance scan
+  // root -> { text, misses: { "<start>:<exact>": true } }. Restore retries
+  // every highlight up to 30 times; a quote with no fuzzy match is not
+  // rescanned until the root's text changes.
+  var fuzzyMisses = new WeakMap();
 
-      if (startNode === null && idx < nodeEnd) {
-        startNode = nodes[i].node;
-        startOffset = idx - nodeStart;
-      }
+  /**
+   * Root element that selectors for a highlight span are measured against.
+   */
+  function anchorRootOf(node) {
+    var el = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    if (!el) return null;
+    return el.closest(".jr-popup-response") || el.closest(S.responseContent);
+  }
 
-      if (endIdx <= nodeEnd) {
-        endNode = nodes[i].node;
-        endOffset = endIdx - nodeStart;
-        break;
+  /**
+   * Build quote and position selectors for a freshly wrapped highlight.
+   * @param {Element[]} spans - The highlight's wrapper spans, in document order
+   * @returns {{quoteSelector: object, positionSelector: object}|null}
+   */
+  JR.describeTextAnchor = function (spans) {
+    if (!spans || spans.length === 0) return null;
+    var root = anchorRootOf(spans[0]);
+    if (!root) return null;
+    var map = collectTextNodes(root, null);
+    var first = spans[0];
+    var last = spans[spans.length - 1];
+    var start = -1, end = -1;
+    for (var i = 0; i < map.nodes.length; i++) {
+      var n = map.nodes[i];
+      if (start === -1 && first.contains(n.node)) start = n.start;
+      if (last.contains(n.node)) end = n.start + n.node.textContent.length;
+    }
+    if (start === -1 || end <= start) return null;
+    var full = map.fullText;
+    return {
+      quoteSelector: {
+        type: "TextQuoteSelector",
+        exact: full.slice(start, end),
+        prefix: full.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+        suffix: full.slice(end, end + CONTEXT_LENGTH),
+      },
+      positionSelector: { type: "TextPositionSelector", start: start, end: end },
+    };
+  };
+
+  /** Length of the common tail of a and b. */
+  function commonSuffixLength(a, b) {
+    var n = 0;
+    while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+    return n;
+  }
+
+  /** Length of the common head of a and b. */
+  function commonPrefixLength(a, b) {
+    var n = 0;
+    while (n < a.length && n < b.length && a[n] === b[n]) n++;
+    return n;
+  }
+
+  /**
+   * How well the text around [start, end) agrees with the stored prefix/suffix.
+   * 1 = both match fully; no stored context counts as a full match.
+   */
+  function contextScore(fullText, start, end, quote) {
+    var prefix = quote.prefix || "";
+    var suffix = quote.suffix || "";
+    if (!prefix && !suffix) return 1;
+    var matched = commonSuffixLength(fullText.slice(Math.max(0, start - prefix.length), start), prefix) +
+      commonPrefixLength(fullText.slice(end, end + suffix.length), suffix);
+    return matched / (prefix.length + suffix.length);
+  }
+
+  /**
+   * Best approximate occurrence of pattern in text (Sellers' algorithm:
+   * edit distance with a free start position). Returns the end offset of the
+   * best match and its distance.
+   */
+  function bestApproximateEnd(pattern, text) {
+    var m = pattern.length;
+    var col = new Array(m + 1);
+    for (var i = 0; i <= m; i++) col[i] = i;
+    var best = { end: -1, distance: m };
+    for (var j = 1; j <= text.length; j++) {
+      var diag = col[0];
+      col[0] = 0;
+      for (var k = 1; k <= m; k++) {
+        var prev = col[k];
+        col[k] = pattern[k - 1] === text[j - 1]
+          ? diag
+          : 1 + Math.min(diag, prev, col[k - 1]);
+        diag = prev;
       }
+      if (col[m] < best.distance) best = { end: j, distance: col[m] };
     }
+    return best;
+  }
 
-    if (!startNode || !endNode) return null;
+  function fuzzyMissKey(quote, position) {
+    return (position ? position.start : "") + ":" + quote.exact;
+  }
 
-    var range = document.createRange();
-    range.setStart(startNode, startOffset);
-    range.setEnd(endNode, endOffset);
-    return range;
+  function fuzzyMissed(root, fullText, key) {
+    var memo = fuzzyMisses.get(root);
+    return !!memo && memo.text === fullText && memo.misses[key] === true;
+  }
+
+  function rememberFuzzyMiss(root, fullText, key) {
+    var memo = fuzzyMisses.get(root);
+    if (!memo || memo.text !== fullText) {
+      memo = { text: fullText, misses: Object.create(null) };
+      fuzzyMisses.set(root, memo);
+    }
+    memo.misses[key] = true;
+  }
+
+  function reverseString(str) {
+    return str.split("").reverse().join("");
+  }
+
+  /**
+   * Fuzzy-locate quote.exact in fullText when it no longer occurs verbatim.
+   * Searches a window around the stored position first when one is known.
+   * Returns { start, end, similarity } or null.
+   */
+  function fuzzyLocate(fullText, quote, position) {
+    var exact = quote.exact;
+    if (!exact) return null;
+    var lo = 0;
+    var hi = fullText.length;
+    var windowLen = Math.floor(FUZZY_MAX_CELLS / exact.length);
+    if (windowLen < exact.length) return null;
+    if (hi - lo > windowLen) {
+      var center = position ? position.start : 0;
+      lo = Math.max(0, Math.min(center - Math.floor(windowLen / 2), hi - windowLen));
+      hi = lo + windowLen;
+    }
+    var text = fullText.slice(lo, hi);
+    var fwd = bestApproximateEnd(exact, text);
+    if (fwd.end === -1) return null;
+    // Run the same scan backwards from the best end to recover the start
+    var back = bestApproximateEnd(reverseString(exact), reverseString(text.slice(0, fwd.end)));
+    var start = fwd.end - back.end;
+    var similarity = 1 - fwd.distance / exact.length;
+    if (similarity < FUZZY_MIN_SIMILARITY) return null;
+    return { start: lo + start, end: lo + fwd.end, similarity: similarity };
+  }
+
+  /**
+   * Re-anchor a saved highlight inside root.
+   *
+   * With a quoteSelector: every verbatim occurrence of the exact text is scored
+   * by how well its surroundings match the saved prefix/suffix (the stored
+   * position breaks ties), so a repeated phrase lands on the right occurrence.
+   * If the exact text is gone, the closest approximate match is used; a miss
+   * is remembered per root until its text changes. Records
+   * saved before selectors existed fall back to findTextRange.
+   *
+   * Confidence: 1 for a verbatim match with matching context; lower when the
+   * context disagrees, the match was fuzzy, or (for old records) the text
+   * occurs more than once.
+   *
+   * @param {Element} root
+   * @param {object} hl - Needs text; may have quoteSelector, positionSelector
+   * @returns {{range: Range, confidence: number}|null}
+   */
+  JR.anchorTextRange = function (root, hl) {
+    var quote = hl.quoteSelector;
+    if (!quote || !quote.exact) {
+      var legacyRange = JR.findTextRange(root, hl.text);
+      if (!legacyRange) return null;
+      // Unique verbatim text is as good as it gets without context; a
+      // repeated phrase may have landed on the first of several occurrences
+      var legacyText = collectTextNodes(root, null).fullText;
+      var firstAt = legacyText.indexOf(hl.text);
+      var legacyConfidence = firstAt === -1 ? 0.9
+        : legacyText.indexOf(hl.text, firstAt + 1) === -1 ? 1 : 0.5;
+      return { range: legacyRange, confidence: legacyConfidence };
+    }
+    var position = hl.positionSelector || null;
+    var map = collectTextNodes(root, null);
+    var full = map.fullText;
+    if (map.nodes.length === 0) return null;
+
+    var best = null;
+    var idx = full.indexOf(quote.exact);
+    while (idx !== -1) {
+      var end = idx + quote.exact.length;
+      var ctx = contextScore(full, idx, end, quote);
+      var drift = position ? Math.abs(idx - position.start) / Math.max(full.length, 1) : 0;
+      var score = ctx - drift * 0.1;
+      if (!best || score > best.score) best = { start: idx, end: end, score: score, ctx: ctx };
+      idx = full.indexOf(quote.exact, idx + 1);
+    }
+
+    if (best) {
+      var exactRange = rangeFromOffsets(map.nodes, best.start, best.end);
+      return exactRange ? { range: exactRange, confidence: 0.5 + 0.5 * best.ctx } : null;
+    }
+
+    var missKey = fuzzyMissKey(quote, position);
+    if (fuzzyMissed(root, full, missKey)) return null;
+    var fuzzy = fuzzyLocate(full, quote, position);
+    if (!fuzzy) {
+      rememberFuzzyMiss(root, full, missKey);
+      return null;
+    }
+    var fuzzyRange = rangeFromOffsets(map.nodes, fuzzy.start, fuzzy.end);
+    if (!fuzzyRange) return null;
+    var fuzzyCtx = contextScore(full, fuzzy.start, fuzzy.end, quote);
+    return { range: fuzzyRange, confidence: fuzzy.similarity * (0.5 + 0.5 * fuzzyCtx) };
+  };
+
+  /**
+   * The response a highlight was made in, as plain text: the parent popup's
+   * version for a chained highlight, else the chat turn holding its spans.
+   * `key` identifies that response (item id, message id or turn number).
+   * @param {object} entry - A completedHighlights entry
+   * @returns {{key: string, text: string}|null}
+   */
+  JR.sourceResponseText = function (entry) {
+    if (!entry) return null;
+    if (entry.parentId) {
+      var parent = st.completedHighlights.get(entry.parentId);
+      if (!parent || !parent.items) return null;
+      var item = null;
+      for (var i = 0; i < parent.items.length; i++) {
+        if (parent.items[i].id === entry.parentItemId) item = parent.items[i];
+      }
+      item = item || parent.items[parent.activeItemIndex || 0];
+      var html = item ? item.responseHTML : "";
+      if (!html || html === "__PENDING__" || html === "__TIMEOUT__") return null;
+      return { key: item.id, text: (JR.parseResponseHTML(html).textContent || "").trim() };
+    }
+    var turn = entry.spans && entry.spans[0] ? entry.spans[0].closest(S.turn) : null;
+    var content = turn ? turn.querySelector(S.responseContent) : null;
+    if (!content) return null;
+    var msgId = JR.getMessageId(turn);
+    return { key: msgId || "turn-" + JR.getTurnNumber(turn), text: (content.textContent || "").trim() };
   };
 })();
@@ -1,15 +1,28 @@
-// storage.js — Persistence for highlight-to-message mappings using chrome.storage.local
+// storage.js — Persistence for highlight-to-message mappings
 //
 // Storage model (quoteId-based):
 // Each record = one version of a highlight: { id, quoteId, text, sentence, blockTypes,
-//   question, responseHTML, url, site, parentId, sourceTurnIndex, questionIndex,
-//   responseIndex, color, createdAt, active }
+//   question, responseHTML, url, conversationId, site, parentId, sourceTurnIndex,
+//   questionIndex, responseIndex, sourceMessageId, questionMessageId,
+//   responseMessageId, color, createdAt, active }
+// *MessageId fields hold ChatGPT's data-message-id for the turn and are preferred
+// over the *Index turn numbers, which shift on re-render or main-thread edits.
 // Records sharing the same quoteId are versions of the same highlight (same quote,
 // different question+response). Only one per quoteId has active=true.
 // parentId references the parent highlight's quoteId for chained popups.
+// conversationId is what records are grouped by (conversationIdFromUrl in
+// src/conversation-id.js); url is only the page the record was last saved from.
+//
+// Records live in an IndexedDB store owned by background.js. The functions below
+// keep their original async signatures and forward each call to the worker as a
+// "jr-db" message; deleted-turn lists are still small enough for chrome.storage.local.
+//
+// Every mutation goes through queueWrite(), so writes are applied one at a time in
+// the order they were issued, and reads wait for the queue to drain first.
 
-const STORAGE_KEY = "jumpreturn_highlights";
 const DELETED_TURNS_KEY = "jumpreturn_deleted_turns";
+const HIDDEN_TURNS_KEY = "jumpreturn_hidden_turns";
+const DELETED_QUOTES_KEY = "jumpreturn_deleted_quotes";   // written by the worker's deleteTree
 
 /**
  * Check if the extension context is still valid (becomes invalid after extension reload).
@@ -23,75 +36,121 @@ function isContextValid() {
 }
 
 /**
- * Migrate old storage format to new quoteId-based format.
- * - Records without quoteId: set quoteId = id, active = true
- * - Records with versions array: expand into separate records
+ * Run a store operation in the background worker.
+ * Resolves to the op's result, or null if the extension context is gone.
+ * @param {string} op - Key of DB_OPS in background.js
+ * @param {Array} [args]
  */
-function migrateToQuoteIdFormat(highlights) {
-  var migrated = [];
-  for (var i = 0; i < highlights.length; i++) {
-    var h = highlights[i];
-    if (h.quoteId) {
-      migrated.push(h);
-      continue;
+function dbCall(op, args) {
+  if (!isContextValid()) return Promise.resolve(null);
+  return new Promise(function (resolve, reject) {
+    try {
+      chrome.runtime.sendMessage({ type: "jr-db", op: op, args: args || [] }, function (res) {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (res && res.error) {
+          reject(new Error(res.error));
+        } else {
+          resolve(res ? res.result : null);
+        }
+      });
+    } catch (e) {
+      reject(e);
     }
+  });
+}
 
-    if (h.versions && h.versions.length > 0) {
-      var activeIdx = h.activeVersion != null ? h.activeVersion : h.versions.length - 1;
-      for (var vi = 0; vi < h.versions.length; vi++) {
-        var v = h.versions[vi];
-        migrated.push({
-          id: h.id + "-v" + vi,
-          quoteId: h.id,
-          text: h.text,
-          sentence: h.sentence || null,
-          blockTypes: h.blockTypes || null,
-          question: v.question || null,
-          responseHTML: v.responseHTML || null,
-          color: h.color || null,
-          url: h.url,
-          site: h.site,
-          parentId: h.parentId || null,
-          sourceTurnIndex: h.sourceTurnIndex,
-          questionIndex: v.questionIndex != null ? v.questionIndex : h.questionIndex,
-          responseIndex: v.responseIndex != null ? v.responseIndex : h.responseIndex,
-          createdAt: h.createdAt,
-          active: (vi === activeIdx),
-        });
-      }
-    } else {
-      h.quoteId = h.id;
-      h.active = true;
-      delete h.versions;
-      delete h.activeVersion;
-      migrated.push(h);
-    }
-  }
-  return migrated;
+// --- Conversation keys ---
+
+// A new chat has no /c/<id> until its first message is sent. Anything saved
+// before then goes under a per-page draft key that adoptDraftConversation()
+// moves onto the real id once the URL gets one.
+var draftConversationKey = null;
+
+/**
+ * Storage key for the conversation at a URL.
+ * @param {string} url
+ * @param {boolean} [forWrite] - Mint a draft key if the page has no id yet
+ * @returns {string|null} null when reading a page that has no id and no draft
+ */
+function conversationKeyForUrl(url, forWrite) {
+  var id = conversationIdFromUrl(url);
+  if (id) return id;
+  if (!draftConversationKey && forWrite) draftConversationKey = "draft:" + crypto.randomUUID();
+  return draftConversationKey;
+}
+
+/** True if something on this page was saved before the chat had an id. */
+function hasDraftConversation() {
+  return !!draftConversationKey;
 }
 
 /**
- * Get all saved highlights, migrating old format if needed.
+ * Forget the draft key without moving anything: the page left that new chat
+ * before it got an id. Its records stay under the draft key.
  */
-async function getHighlights() {
-  if (!isContextValid()) return [];
-  const result = await chrome.storage.local.get(STORAGE_KEY);
-  var highlights = result[STORAGE_KEY] || [];
+function discardDraftConversation() {
+  draftConversationKey = null;
+}
 
-  var needsMigration = false;
-  for (var i = 0; i < highlights.length; i++) {
-    if (!highlights[i].quoteId) { needsMigration = true; break; }
-  }
+/**
+ * Move records and deleted turns saved under the draft key onto the
+ * conversation id in `url`, then forget the draft.
+ * @param {string} url - The page URL that now carries /c/<id>
+ */
+async function adoptDraftConversation(url) {
+  var id = conversationIdFromUrl(url);
+  if (!draftConversationKey || !id) return;
+  var draft = draftConversationKey;
+  draftConversationKey = null;
+  await queueWrite("adopt", function () { return dbCall("rekeyConversation", [draft, id, url]); });
+}
 
-  if (needsMigration) {
-    highlights = migrateToQuoteIdFormat(highlights);
-  }
+// --- Write queue ---
 
-  if (needsMigration) {
-    await chrome.storage.local.set({ [STORAGE_KEY]: highlights });
-  }
+var writeTail = Promise.resolve();
+var pendingWriteCount = 0;
 
-  return highlights;
+/**
+ * Append a mutation to the write queue. `fn` only starts once every earlier
+ * mutation has settled, so two read-modify-write operations can never interleave.
+ * A failed write is logged and does not block the ones behind it; the returned
+ * promise still rejects for the caller.
+ * @param {string} label - Short name for logging
+ * @param {function(): Promise} fn
+ * @returns {Promise}
+ */
+function queueWrite(label, fn) {
+  pendingWriteCount++;
+  var run = writeTail.then(fn);
+  writeTail = run.catch(function (e) {
+    console.warn("[JR] storage write failed (" + label + "):", e);
+  }).then(function () {
+    pendingWriteCount--;
+  });
+  return run;
+}
+
+/**
+ * Resolve once every mutation queued so far has been applied.
+ * Await this before navigating away or reading state another tab will see.
+ * @returns {Promise<void>}
+ */
+function flushPendingWrites() {
+  return writeTail;
+}
+
+/** True while at least one queued mutation hasn't been applied yet. */
+function hasPendingWrites() {
+  return pendingWriteCount > 0;
+}
+
+/**
+ * Get all saved highlights across every conversation.
+ */
+async function getHighlights() {
+  await writeTail;
+  return (await dbCall("getAll")) || [];
 }
 
 /**
@@ -104,24 +163,28 @@ async function getHighlights() {
  * @param {string|null} [opts.sentence] - Sentence context
  * @param {Array|null} [opts.blockTypes] - Block type metadata
  * @param {string|null} [opts.responseHTML] - AI response HTML
- * @param {string} opts.url - The page URL
+ * @param {string} opts.url - The page URL (also determines conversationId)
  * @param {string} opts.site - The AI chat site
  * @param {string|null} [opts.parentId] - Parent highlight's quoteId (for chained popups)
  * @param {string|null} [opts.parentItemId] - Specific parent item id this child was created in
  * @param {number|null} [opts.sourceTurnIndex] - Turn containing the highlighted text
  * @param {number|null} [opts.questionIndex] - Turn of the injected question
  * @param {number|null} [opts.responseIndex] - Turn of the AI response
+ * @param {string|null} [opts.sourceMessageId] - data-message-id of the source turn
+ * @param {string|null} [opts.questionMessageId] - data-message-id of the injected question
+ * @param {string|null} [opts.responseMessageId] - data-message-id of the AI response
+ * @param {object|null} [opts.quoteSelector] - TextQuoteSelector { exact, prefix, suffix } for re-anchoring
+ * @param {object|null} [opts.positionSelector] - TextPositionSelector { start, end } for re-anchoring
  * @param {string|null} [opts.question] - The follow-up question
  * @param {string|null} [opts.color] - Highlight color name
  * @param {boolean} [opts.active] - Whether this is the active version (default true)
+ * @param {object[]|null} [opts.groupQuotes] - The other quotes of a multi-quote question (src/quote-group.js)
  */
-async function saveHighlight({ id, quoteId, text, sentence, blockTypes, responseHTML, url, site, parentId = null, parentItemId = null, sourceTurnIndex = null, questionIndex = null, responseIndex = null, question = null, color = null, active = true, wholeResponse = false }) {
+async function saveHighlight({ id, quoteId, text, sentence, blockTypes, responseHTML, url, site, parentId = null, parentItemId = null, sourceTurnIndex = null, questionIndex = null, responseIndex = null, sourceMessageId = null, questionMessageId = null, responseMessageId = null, quoteSelector = null, positionSelector = null, question = null, color = null, active = true, wholeResponse = false, groupQuotes = null }) {
   if (!isContextValid()) return null;
-  const highlights = await getHighlights();
-  const newQuoteId = quoteId || crypto.randomUUID();
   const newHighlight = {
     id: id || crypto.randomUUID(),
-    quoteId: newQuoteId,
+    quoteId: quoteId || crypto.randomUUID(),
     text,
     sentence: sentence || null,
     blockTypes: blockTypes || null,
@@ -129,37 +192,29 @@ async function saveHighlight({ id, quoteId, text, sentence, blockTypes, response
     question: question || null,
     color: color || null,
     url,
+    conversationId: conversationKeyForUrl(url, true),
     site,
     parentId,
     parentItemId: parentItemId || null,
     sourceTurnIndex,
     questionIndex,
     responseIndex,
+    sourceMessageId: sourceMessageId || null,
+    questionMessageId: questionMessageId || null,
+    responseMessageId: responseMessageId || null,
+    quoteSelector: quoteSelector || null,
+    positionSelector: positionSelector || null,
+    anchorConfidence: quoteSelector ? 1 : null,
     createdAt: Date.now(),
     active: active !== false,
     wholeResponse: !!wholeResponse,
+    groupQuotes: groupQuotes || null,
   };
-
-  // If adding a new active version, deactivate siblings
-  if (newHighlight.active) {
-    for (var i = 0; i < highlights.length; i++) {
-      if (highlights[i].quoteId === newQuoteId) {
-        highlights[i].active = false;
-      }
-    }
-  }
-
-  highlights.push(newHighlight);
-  await chrome.storage.local.set({ [STORAGE_KEY]: highlights });
+  // The worker deactivates active siblings in the same transaction
+  await queueWrite("save", function () { return dbCall("save", [newHighlight]); });
   return newHighlight;
 }
 
-/**
- * Link a highlight item to its Q&A message indices in the chat flow.
- * @param {string} id - The item id
- * @param {number} questionIndex
- * @param {number} responseIndex
- */
 /**
  * Get active child highlights (chained popups) for a given parent quoteId.
  * If parentItemId is provided, only returns children created in that specific version.
@@ -168,21 +223,19 @@ async function saveHighlight({ id, quoteId, text, sentence, blockTypes, response
  * @param {string} [parentItemId] - Optional: filter to children of this specific parent item
  */
 async function getChildHighlights(parentQuoteId, parentItemId) {
-  const highlights = await getHighlights();
-  return highlights.filter(function (h) {
-    if (h.parentId !== parentQuoteId || !h.active) return false;
-    if (parentItemId && h.parentItemId !== parentItemId) return false;
-    return true;
-  });
+  await writeTail;
+  return (await dbCall("getChildren", [parentQuoteId, parentItemId || null])) || [];
 }
 
 /**
- * Get highlights for a specific URL.
+ * Get highlights for the conversation at a URL (any host / query string).
  * @param {string} url
  */
 async function getHighlightsByUrl(url) {
-  const highlights = await getHighlights();
-  return highlights.filter((h) => h.url === url);
+  await writeTail;
+  var key = conversationKeyForUrl(url);
+  if (!key) return [];
+  return (await dbCall("getByConversation", [key])) || [];
 }
 
 /**
@@ -191,28 +244,7 @@ async function getHighlightsByUrl(url) {
  */
 async function deleteHighlight(quoteId) {
   if (!isContextValid()) return;
-  let highlights = await getHighlights();
-  const quoteIdsToDelete = new Set();
-
-  function collectDescendants(parentQuoteId) {
-    quoteIdsToDelete.add(parentQuoteId);
-    // Find all unique child quoteIds whose parentId matches
-    var childQuoteIds = new Set();
-    for (var i = 0; i < highlights.length; i++) {
-      if (highlights[i].parentId === parentQuoteId) {
-        childQuoteIds.add(highlights[i].quoteId);
-      }
-    }
-    childQuoteIds.forEach(function (cqid) {
-      collectDescendants(cqid);
-    });
-  }
-
-  collectDescendants(quoteId);
-  highlights = highlights.filter(function (h) {
-    return !quoteIdsToDelete.has(h.quoteId);
-  });
-  await chrome.storage.local.set({ [STORAGE_KEY]: highlights });
+  await queueWrite("delete", function () { return dbCall("deleteTree", [quoteId]); });
 }
 
 /**
@@ -222,14 +254,7 @@ async function deleteHighlight(quoteId) {
  */
 async function updateHighlightFields(id, fields) {
   if (!isContextValid()) return;
-  const highlights = await getHighlights();
-  const highlight = highlights.find(function (h) { return h.id === id; });
-  if (!highlight) return;
-  var keys = Object.keys(fields);
-  for (var i = 0; i < keys.length; i++) {
-    highlight[keys[i]] = fields[keys[i]];
-  }
-  await chrome.storage.local.set({ [STORAGE_KEY]: highlights });
+  await queueWrite("update", function () { return dbCall("update", [id, fields]); });
 }
 
 /**
@@ -239,13 +264,7 @@ async function updateHighlightFields(id, fields) {
  */
 async function updateHighlightColor(quoteId, color) {
   if (!isContextValid()) return;
-  var highlights = await getHighlights();
-  for (var i = 0; i < highlights.length; i++) {
-    if (highlights[i].quoteId === quoteId) {
-      highlights[i].color = color;
-    }
-  }
-  await chrome.storage.local.set({ [STORAGE_KEY]: highlights });
+  await queueWrite("color", function () { return dbCall("updateColor", [quoteId, color]); });
 }
 
 /**
@@ -254,24 +273,8 @@ async function updateHighlightColor(quoteId, color) {
  * @returns {Promise<number>}
  */
 async function countDescendants(quoteId) {
-  var highlights = await getHighlights();
-  var visited = new Set();
-  function walk(parentQuoteId) {
-    var childQuoteIds = new Set();
-    for (var i = 0; i < highlights.length; i++) {
-      if (highlights[i].parentId === parentQuoteId) {
-        childQuoteIds.add(highlights[i].quoteId);
-      }
-    }
-    childQuoteIds.forEach(function (cqid) {
-      if (!visited.has(cqid)) {
-        visited.add(cqid);
-        walk(cqid);
-      }
-    });
-  }
-  walk(quoteId);
-  return visited.size;
+  await writeTail;
+  return (await dbCall("countDescendants", [quoteId])) || 0;
 }
 
 /**
@@ -279,8 +282,8 @@ async function countDescendants(quoteId) {
  * @param {string} quoteId
  */
 async function getHighlightsByQuoteId(quoteId) {
-  var highlights = await getHighlights();
-  return highlights.filter(function (h) { return h.quoteId === quoteId; });
+  await writeTail;
+  return (await dbCall("getByQuoteId", [quoteId])) || [];
 }
 
 /**
@@ -290,43 +293,149 @@ async function getHighlightsByQuoteId(quoteId) {
  */
 async function setActiveItem(quoteId, itemId) {
   if (!isContextValid()) return;
-  var highlights = await getHighlights();
-  for (var i = 0; i < highlights.length; i++) {
-    if (highlights[i].quoteId === quoteId) {
-      highlights[i].active = (highlights[i].id === itemId);
-    }
-  }
-  await chrome.storage.local.set({ [STORAGE_KEY]: highlights });
+  await queueWrite("setActive", function () { return dbCall("setActive", [quoteId, itemId]); });
+}
+
+/** A hidden-turn entry: a positive turn number or a non-empty message id. */
+function isTurnRef(ref) {
+  return typeof ref === "string" ? ref.length > 0 : ref > 0;
 }
 
 /**
- * Save turn indices that should stay hidden after a highlight is deleted.
- * Stored per-URL so they only apply to the correct conversation.
+ * Save turns that should stay hidden after a highlight is deleted.
+ * Stored per conversation so they only apply to the correct chat.
  * @param {string} url - The conversation URL
- * @param {number[]} turnIndices - Turn indices to keep hidden
+ * @param {Array<number|string>} turnIndices - Turn numbers, or data-message-id strings
+ *   for turns whose id is known (preferred — ids don't shift)
  */
 async function addDeletedTurns(url, turnIndices) {
   if (!isContextValid()) return;
-  var result = await chrome.storage.local.get(DELETED_TURNS_KEY);
-  var all = result[DELETED_TURNS_KEY] || {};
-  if (!all[url]) all[url] = [];
-  for (var i = 0; i < turnIndices.length; i++) {
-    if (turnIndices[i] > 0 && all[url].indexOf(turnIndices[i]) === -1) {
-      all[url].push(turnIndices[i]);
+  var key = conversationKeyForUrl(url, true);
+  await queueWrite("deletedTurns", async function () {
+    var result = await chrome.storage.local.get(DELETED_TURNS_KEY);
+    var all = result[DELETED_TURNS_KEY] || {};
+    if (!all[key]) all[key] = [];
+    for (var i = 0; i < turnIndices.length; i++) {
+      if (isTurnRef(turnIndices[i]) && all[key].indexOf(turnIndices[i]) === -1) {
+        all[key].push(turnIndices[i]);
+      }
     }
-  }
-  await chrome.storage.local.set({ [DELETED_TURNS_KEY]: all });
+    await chrome.storage.local.set({ [DELETED_TURNS_KEY]: all });
+  });
 }
 
 /**
- * Get turn indices that should stay hidden for a given URL.
+ * Let turns show again that addDeletedTurns hid (e.g. an unfolded popup's Q&A).
+ * @param {string} url - The conversation URL
+ * @param {Array<number|string>} turnIndices - Turn numbers and/or message ids
+ */
+async function removeDeletedTurns(url, turnIndices) {
+  if (!isContextValid()) return;
+  var key = conversationKeyForUrl(url);
+  if (!key) return;
+  await queueWrite("deletedTurns", async function () {
+    var result = await chrome.storage.local.get(DELETED_TURNS_KEY);
+    var all = result[DELETED_TURNS_KEY] || {};
+    if (!all[key]) return;
+    all[key] = all[key].filter(function (ref) { return turnIndices.indexOf(ref) === -1; });
+    if (all[key].length === 0) delete all[key];
+    await chrome.storage.local.set({ [DELETED_TURNS_KEY]: all });
+  });
+}
+
+/**
+ * Get turns (numbers or message ids) that should stay hidden for a given URL.
  * @param {string} url
- * @returns {Promise<number[]>}
+ * @returns {Promise<Array<number|string>>}
  */
 async function getDeletedTurns(url) {
   if (!isContextValid()) return [];
+  await writeTail;
   var result = await chrome.storage.local.get(DELETED_TURNS_KEY);
   var all = result[DELETED_TURNS_KEY] || {};
-  return all[url] || [];
+  var key = conversationKeyForUrl(url);
+  return (key && all[key]) || [];
 }
 
+/**
+ * QuoteIds of deleted highlights (and their subtrees), in any conversation.
+ * @returns {Promise<Set<string>>}
+ */
+async function getDeletedQuoteIds() {
+  if (!isContextValid()) return new Set();
+  await writeTail;
+  var result = await chrome.storage.local.get(DELETED_QUOTES_KEY);
+  return new Set(result[DELETED_QUOTES_KEY] || []);
+}
+
+/**
+ * Get every turn that should be hidden for a URL: Q&A turns of saved
+ * highlights (from the worker-maintained map) plus deleted turns. Entries are
+ * message ids where known, turn numbers otherwise.
+ * @param {string} url
+ * @returns {Promise<Array<number|string>>}
+ */
+async function getHiddenTurns(url) {
+  if (!isContextValid()) return [];
+  await writeTail;
+  var result = await chrome.storage.local.get([HIDDEN_TURNS_KEY, DELETED_TURNS_KEY]);
+  var key = conversationKeyForUrl(url);
+  if (!key) return [];
+  var hidden = (result[HIDDEN_TURNS_KEY] || {})[key] || [];
+  var deleted = (result[DELETED_TURNS_KEY] || {})[key] || [];
+  return hidden.concat(deleted).filter(function (idx, i, arr) {
+    return isTurnRef(idx) && arr.indexOf(idx) === i;
+  });
+}
+
+// --- Backup / restore (file format and merge rules in src/backup.js) ---
+
+/**
+ * Build a backup object for one conversation, or for everything.
+ * @param {string|null} conversationId - null exports every conversation
+ * @returns {Promise<object|null>} null if the extension context is gone
+ */
+async function exportBackup(conversationId) {
+  await writeTail;
+  return dbCall("exportBackup", [conversationId || null]);
+}
+
+/**
+ * Merge a parsed backup file into the store.
+ * @param {object|Array} data
+ * @param {"skip"|"overwrite"|"keepBoth"} policy - What to do when a highlight already exists
+ * @returns {Promise<{added: number, skipped: number, overwritten: number, duplicated: number}>}
+ *   Rejects with a readable message if the file isn't a valid backup
+ */
+async function importBackup(data, policy) {
+  return queueWrite("import", function () { return dbCall("importBackup", [data, policy]); });
+}
+
+/**
+ * Stored conversations with their highlight counts, newest first.
+ * @returns {Promise<Array<{conversationId, url, title, highlights, updatedAt}>>}
+ */
+async function listConversations() {
+  await writeTail;
+  return (await dbCall("listConversations")) || [];
+}
+
+// --- Image cache (stored blobs in src/image-store.js, page side in src/image-cache.js) ---
+
+/**
+ * Store a copy of a response image.
+ * @param {{dataUrl: string}|{url: string}} source - The bytes, or a URL for the worker to fetch
+ * @returns {Promise<string|null>} The image's hash, or null if it wasn't stored
+ */
+async function saveImage(source) {
+  return dbCall("putImage", [source]);
+}
+
+/**
+ * Stored images by hash.
+ * @param {string[]} hashes
+ * @returns {Promise<Object<string, string>>} hash → data: URL, for the ones found
+ */
+async function getImages(hashes) {
+  return (await dbCall("getImages", [hashes])) || {};
+}
@@ -0,0 +1,454 @@
+// viewer.js — Runtime of an exported conversation file (built by src/html-export.js)
+//
+// Inlined into the exported HTML together with styles.css, so popups reuse the
+// extension's own classes. No extension APIs and no network: everything comes
+// from the #jr-v-data JSON block.
+(function () {
+  "use strict";
+
+  var CHEVRON_LEFT_SVG = '<svg class="jr-icon-bold" viewBox="0 0 256 256" fill="currentColor"><path d="M168.49,199.51a12,12,0,0,1-17,17l-80-80a12,12,0,0,1,0-17l80-80a12,12,0,0,1,17,17L97,128Z"/></svg>';
+  var CHEVRON_RIGHT_SVG = '<svg class="jr-icon-bold" viewBox="0 0 256 256" fill="currentColor"><path d="M184.49,136.49l-80,80a12,12,0,0,1-17-17L159,128,87.51,56.49a12,12,0,1,1,17-17l80,80A12,12,0,0,1,184.49,136.49Z"/></svg>';
+  var REPLY_SVG = '<svg viewBox="0 0 256 256" fill="currentColor"><path d="M232.49,160.49l-48,48a12,12,0,0,1-17-17L195,164H128A108.12,108.12,0,0,1,20,56a12,12,0,0,1,24,0,84.09,84.09,0,0,0,84,84h67l-27.52-27.51a12,12,0,0,1,17-17l48,48A12,12,0,0,1,232.49,160.49Z"/></svg>';
+  var POPUP_GAP = 8;
+  var VIEWPORT_MARGIN = 16;
+
+  var data = JSON.parse(document.getElementById("jr-v-data").textContent);
+  var thread = document.getElementById("jr-v-thread");
+  var groups = {};
+  for (var i = 0; i < data.highlights.length; i++) groups[data.highlights[i].quoteId] = data.highlights[i];
+
+  var stack = []; // open popups, outermost first: { quoteId, popup, anchor }
+
+  if (window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches) {
+    document.documentElement.classList.add("jr-theme-dark");
+  }
+
+  // --- Popups ---
+
+  function closeFrom(level) {
+    while (stack.length > level) {
+      var top = stack.pop();
+      top.popup.remove();
+      setAnchorActive(top, false);
+    }
+  }
+
+  function setAnchorActive(frame, on) {
+    if (!frame.anchor) return;
+    var root = frame.anchor.closest(".jr-popup-response") || thread;
+    var spans = root.querySelectorAll('[data-jr-highlight-id="' + frame.quoteId + '"]');
+    for (var s = 0; s < spans.length; s++) spans[s].classList.toggle("jr-source-highlight", on);
+  }
+
+  function position(popup, anchor) {
+    var width = popup.offsetWidth;
+    var left, top;
+    if (anchor) {
+      var r = anchor.getBoundingClientRect();
+      left = r.left;
+      top = r.bottom + POPUP_GAP;
+    } else {
+      left = (window.innerWidth - width) / 2;
+      top = window.innerHeight * 0.15;
+    }
+    left = Math.max(VIEWPORT_MARGIN, Math.min(left, window.innerWidth - width - VIEWPORT_MARGIN));
+    popup.style.left = (left + window.scrollX) + "px";
+    popup.style.top = (top + window.scrollY) + "px";
+  }
+
+  /** Add working Copy buttons to code block headers. */
+  function wireCodeBlocks(root) {
+    var headers = root.querySelectorAll(".jr-code-header");
+    for (var h = 0; h < headers.length; h++) {
+      var btns = document.createElement("div");
+      btns.className = "jr-code-header-btns";
+      var btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = "Copy";
+      btn.addEventListener("click", function (e) {
+        e.stopPropagation();
+        var block = e.currentTarget.closest(".jr-code-block");
+        var code = block && block.querySelector("pre code");
+        if (!code || !navigator.clipboard) return;
+        var b = e.currentTarget;
+        navigator.clipboard.writeText(code.textContent).then(function () {
+          b.textContent = "Copied!";
+          setTimeout(function () { b.textContent = "Copy"; }, 2000);
+        });
+      });
+      btns.appendChild(btn);
+      headers[h].appendChild(btns);
+    }
+  }
+
+  function renderVersion(frame) {
+    var g = groups[frame.quoteId];
+    var item = g.items[frame.itemIndex];
+    closeFrom(stack.indexOf(frame) + 1);
+
+    frame.questionText.textContent = item.question || "";
+    frame.questionDiv.hidden = !item.question;
+    if (frame.prevBtn) {
+      frame.prevBtn.disabled = frame.itemIndex === 0;
+      frame.nextBtn.disabled = frame.itemIndex === g.items.length - 1;
+      frame.counter.textContent = (frame.itemIndex + 1) + "/" + g.items.length;
+    }
+
+    frame.response.innerHTML = item.html || '<p class="jr-v-empty">No response saved.</p>';
+    wireCodeBlocks(frame.response);
+
+    frame.replies.textContent = "";
+    for (var r = 0; r < item.replies.length; r++) {
+      var child = groups[item.replies[r]];
+      if (!child) continue;
+      var btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "jr-reply-whole-btn jr-v-reply";
+      btn.setAttribute("data-jr-v-reply", child.quoteId);
+      btn.innerHTML = REPLY_SVG;
+      var label = child.items[child.activeIndex].question || child.text || "Reply";
+      btn.appendChild(document.createTextNode(" " + label));
+      frame.replies.appendChild(btn);
+    }
+  }
+
+  function makeVersionButton(className, label, svg) {
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = className;
+    btn.setAttribute("aria-label", label);
+    btn.innerHTML = svg;
+    return btn;
+  }
+
+  /**
+   * Open a highlight's popup at `level` (0 = from the main thread), closing
+   * anything deeper. anchor is the clicked span or reply button, or null.
+   */
+  function openPopup(quoteId, anchor, level, itemIndex) {
+    var g = groups[quoteId];
+    if (!g) return null;
+    closeFrom(level);
+
+    var popup = document.createElement("div");
+    popup.className = "jr-popup" + (level > 0 ? " jr-popup--chained" : "");
+    var frame = {
+      quoteId: quoteId,
+      popup: popup,
+      anchor: anchor,
+      itemIndex: itemIndex != null ? itemIndex : g.activeIndex,
+    };
+
+    var upper = document.createElement("div");
+    upper.className = "jr-popup-upper";
+    if (g.context) {
+      var highlight = document.createElement("div");
+      highlight.className = "jr-popup-highlight";
+      var inner = document.createElement("div");
+      inner.className = "jr-popup-highlight-inner";
+      inner.innerHTML = g.context;
+      highlight.appendChild(inner);
+      upper.appendChild(highlight);
+    }
+
+    frame.questionDiv = document.createElement("div");
+    frame.questionDiv.className = "jr-popup-question";
+    var qInner = document.createElement("div");
+    qInner.className = "jr-popup-question-inner";
+    frame.questionText = document.createElement("span");
+    frame.questionText.className = "jr-popup-question-text";
+    qInner.appendChild(frame.questionText);
+    frame.questionDiv.appendChild(qInner);
+
+    if (g.items.length > 1) {
+      var controls = document.createElement("div");
+      controls.className = "jr-popup-question-controls";
+      var nav = document.createElement("div");
+      nav.className = "jr-popup-version-nav";
+      frame.prevBtn = makeVersionButton("jr-popup-version-prev", "Previous version", CHEVRON_LEFT_SVG);
+      frame.nextBtn = makeVersionButton("jr-popup-version-next", "Next version", CHEVRON_RIGHT_SVG);
+      frame.counter = document.createElement("span");
+      frame.counter.className = "jr-v-version-count";
+      frame.prevBtn.addEventListener("click", function () {
+        if (frame.itemIndex > 0) { frame.itemIndex--; renderVersion(frame); }
+      });
+      frame.nextBtn.addEventListener("click", function () {
+        if (frame.itemIndex < g.items.length - 1) { frame.itemIndex++; renderVersion(frame); }
+      });
+      nav.appendChild(frame.prevBtn);
+      nav.appendChild(frame.counter);
+      nav.appendChild(frame.nextBtn);
+      controls.appendChild(nav);
+      frame.questionDiv.appendChild(controls);
+    }
+    upper.appendChild(frame.questionDiv);
+    popup.appendChild(upper);
+
+    frame.response = document.createElement("div");
+    frame.response.className = "jr-popup-response";
+    popup.appendChild(frame.response);
+    frame.replies = document.createElement("div");
+    frame.replies.className = "jr-v-replies";
+    popup.appendChild(frame.replies);
+
+    document.body.appendChild(popup);
+    stack.push(frame);
+    setAnchorActive(frame, true);
+    renderVersion(frame);
+    position(popup, anchor);
+    return frame;
+  }
+
+  function levelOf(el) {
+    var popup = el.closest(".jr-popup");
+    if (!popup) return 0;
+    for (var s = 0; s < stack.length; s++) {
+      if (stack[s].popup === popup) return s + 1;
+    }
+    return 0;
+  }
+
+  document.addEventListener("click", function (e) {
+    if (e.target.closest(".jr-v-search")) return;
+    var span = e.target.closest(".jr-source-highlight-done[data-jr-highlight-id]");
+    var reply = e.target.closest("[data-jr-v-reply]");
+    var unplaced = e.target.closest("[data-jr-v-unplaced]");
+    if (span) {
+      openPopup(span.getAttribute("data-jr-highlight-id"), span, levelOf(span));
+    } else if (reply) {
+      openPopup(reply.getAttribute("data-jr-v-reply"), reply, levelOf(reply));
+    } else if (unplaced) {
+      openPopup(unplaced.getAttribute("data-jr-v-unplaced"), unplaced, 0);
+    } else if (!e.target.closest(".jr-popup")) {
+      closeFrom(0);
+    } else {
+      closeFrom(levelOf(e.target));
+    }
+  });
+
+  window.addEventListener("resize", function () {
+    for (var s = 0; s < stack.length; s++) position(stack[s].popup, stack[s].anchor);
+  });
+
+  // --- Highlights without a place in the thread ---
+
+  if (data.unplaced.length > 0) {
+    var section = document.createElement("section");
+    section.className = "jr-v-turn jr-v-unplaced";
+    var heading = document.createElement("div");
+    heading.className = "jr-v-role";
+    heading.textContent = "Follow-ups whose quote isn\u2019t in the thread";
+    section.appendChild(heading);
+    for (var u = 0; u < data.unplaced.length; u++) {
+      var ug = groups[data.unplaced[u]];
+      if (!ug) continue;
+      var ub = document.createElement("button");
+      ub.type = "button";
+      ub.className = "jr-v-unplaced-btn";
+      ub.setAttribute("data-jr-v-unplaced", ug.quoteId);
+      ub.textContent = "\u201c" + ug.text.slice(0, 120) + (ug.text.length > 120 ? "\u2026" : "") + "\u201d";
+      section.appendChild(ub);
+    }
+    thread.appendChild(section);
+  }
+
+  // --- Search ---
+
+  var searchBar = document.createElement("div");
+  searchBar.className = "jr-v-search";
+  searchBar.innerHTML = '<input type="search" placeholder="Search conversation and popups" aria-label="Search">' +
+    '<span class="jr-v-search-count"></span>' +
+    '<button type="button" data-dir="-1" aria-label="Previous match">' + CHEVRON_LEFT_SVG + "</button>" +
+    '<button type="button" data-dir="1" aria-label="Next match">' + CHEVRON_RIGHT_SVG + "</button>";
+  document.body.appendChild(searchBar);
+  var searchInput = searchBar.querySelector("input");
+  var searchCount = searchBar.querySelector(".jr-v-search-count");
+  var matches = [];
+  var matchIndex = -1;
+  var textCache = {};
+
+  /** Searchable text nodes of a container (button labels like "Copy" excluded). */
+  function textNodesOf(container) {
+    var walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+      acceptNode: function (n) {
+        return n.parentElement && n.parentElement.closest("button") ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+      },
+    });
+    var nodes = [];
+    var node;
+    while ((node = walker.nextNode())) nodes.push(node);
+    return nodes;
+  }
+
+  function textOf(container) {
+    return textNodesOf(container).map(function (n) { return n.nodeValue; }).join("");
+  }
+
+  function plainText(html) {
+    if (!(html in textCache)) {
+      var div = document.createElement("div");
+      div.innerHTML = html;
+      textCache[html] = textOf(div);
+    }
+    return textCache[html];
+  }
+
+  function findAll(text, q, push) {
+    var lower = text.toLowerCase();
+    var at = 0;
+    while ((at = lower.indexOf(q, at)) !== -1) {
+      push(at);
+      at += q.length;
+    }
+  }
+
+  function runSearch() {
+    clearMarks();
+    matches = [];
+    matchIndex = -1;
+    var q = searchInput.value.trim().toLowerCase();
+    if (q) {
+      findAll(textOf(thread), q, function (at) { matches.push({ quoteId: null, offset: at, length: q.length }); });
+      for (var h = 0; h < data.highlights.length; h++) {
+        var g = data.highlights[h];
+        for (var v = 0; v < g.items.length; v++) {
+          (function (quoteId, itemIndex) {
+            findAll(plainText(g.items[itemIndex].html), q, function (at) {
+              matches.push({ quoteId: quoteId, itemIndex: itemIndex, offset: at, length: q.length });
+            });
+          })(g.quoteId, v);
+        }
+      }
+    }
+    searchCount.textContent = q ? (matches.length ? "0/" + matches.length : "No matches") : "";
+    if (matches.length) goTo(0);
+  }
+
+  function clearMarks() {
+    var marks = document.querySelectorAll(".jr-search-mark");
+    for (var m = 0; m < marks.length; m++) {
+      var parent = marks[m].parentNode;
+      while (marks[m].firstChild) parent.insertBefore(marks[m].firstChild, marks[m]);
+      parent.removeChild(marks[m]);
+      parent.normalize();
+    }
+  }
+
+  /** Wrap [start, start+length) of a container's text in search marks. */
+  function markText(container, start, length) {
+    var end = start + length;
+    var nodes = textNodesOf(container);
+    var pos = 0;
+    var pieces = [];
+    for (var n = 0; n < nodes.length; n++) {
+      var node = nodes[n];
+      var nStart = pos;
+      pos += node.nodeValue.length;
+      if (pos <= start) continue;
+      if (nStart >= end) break;
+      pieces.push({ node: node, from: Math.max(0, start - nStart), to: Math.min(node.nodeValue.length, end - nStart) });
+    }
+    var first = null;
+    for (var p = pieces.length - 1; p >= 0; p--) {
+      var tn = pieces[p].node;
+      if (pieces[p].to < tn.nodeValue.length) tn.splitText(pieces[p].to);
+      if (pieces[p].from > 0) tn = tn.splitText(pieces[p].from);
+      var mark = document.createElement("mark");
+      mark.className = "jr-search-mark jr-search-mark-active";
+      tn.parentNode.insertBefore(mark, tn);
+      mark.appendChild(tn);
+      first = mark;
+    }
+    return first;
+  }
+
+  /** quoteIds from the level-1 root down to quoteId. */
+  function chainOf(quoteId) {
+    var chain = [];
+    var g = groups[quoteId];
+    while (g) {
+      chain.unshift(g);
+      g = g.parentId ? groups[g.parentId] : null;
+    }
+    return chain;
+  }
+
+  /** Reopen the popup chain down to a highlight, on the versions that lead to it. */
+  function openChain(quoteId, itemIndex) {
+    var chain = chainOf(quoteId);
+    closeFrom(0);
+    var container = thread;
+    var frame = null;
+    for (var c = 0; c < chain.length; c++) {
+      var g = chain[c];
+      var idx = g.activeIndex;
+      if (c === chain.length - 1) {
+        idx = itemIndex;
+      } else {
+        var next = chain[c + 1];
+        for (var k = 0; k < g.items.length; k++) {
+          if (g.items[k].id === next.parentItemId) idx = k;
+        }
+      }
+      var anchor = container.querySelector('[data-jr-highlight-id="' + g.quoteId + '"]') ||
+        container.parentNode.querySelector('[data-jr-v-reply="' + g.quoteId + '"]') ||
+        (c === 0 ? document.querySelector('[data-jr-v-unplaced="' + g.quoteId + '"]') : null);
+      frame = openPopup(g.quoteId, anchor, c, idx);
+      if (!frame) return null;
+      container = frame.response;
+    }
+    return frame;
+  }
+
+  function goTo(idx) {
+    if (!matches.length) return;
+    matchIndex = (idx + matches.length) % matches.length;
+    var m = matches[matchIndex];
+    clearMarks();
+    var container;
+    if (m.quoteId === null) {
+      closeFrom(0);
+      container = thread;
+    } else {
+      var frame = openChain(m.quoteId, m.itemIndex);
+      if (!frame) return;
+      container = frame.response;
+    }
+    var mark = markText(container, m.offset, m.length);
+    if (mark) mark.scrollIntoView({ block: "center" });
+    searchCount.textContent = (matchIndex + 1) + "/" + matches.length;
+  }
+
+  var searchTimer = null;
+  searchInput.addEventListener("input", function () {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 150);
+  });
+  searchInput.addEventListener("keydown", function (e) {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      goTo(matchIndex + (e.shiftKey ? -1 : 1));
+    }
+  });
+  searchBar.addEventListener("click", function (e) {
+    var btn = e.target.closest("button[data-dir]");
+    if (btn) goTo(matchIndex + parseInt(btn.getAttribute("data-dir"), 10));
+  });
+
+  document.addEventListener("keydown", function (e) {
+    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === "f") {
+      e.preventDefault();
+      searchInput.focus();
+      searchInput.select();
+    } else if (e.key === "Escape") {
+      if (document.activeElement === searchInput && searchInput.value) {
+        searchInput.value = "";
+        runSearch();
+      } else if (stack.length) {
+        closeFrom(stack.length - 1);
+      }
+    }
+  });
+
+  wireCodeBlocks(thread);
+})();